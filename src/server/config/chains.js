@@ -2,6 +2,7 @@ export const CHAIN_CONFIG = {
   ethereum: {
     rpc: process.env.SEPOLIA_RPC || 'https://sepolia.gateway.tenderly.co',
     chainId: 11155111, // Ethereum Sepolia
+    blockTimeSeconds: 12,
     tokens: {
       USDC: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238',
       USDT: '0x7169D38820dfd117C3FA1f22a697dBA58d90BA06',
@@ -11,8 +12,11 @@ export const CHAIN_CONFIG = {
     uniswap: {
       factory: '0x0227628f3F023bb0B980b67D528571c95c6DaC1c',
       quoter: '0xEd1f6473345F45b75F8179591dd5bA1888cf2FB3',
-      router: '0x3bFA4769FB09eefC5a80d6E87c3B9C650f7Ae48E'
+      quoterVersion: 2, // QuoterV2 (struct params, returns gas estimate)
+      router: '0x3bFA4769FB09eefC5a80d6E87c3B9C650f7Ae48E',
+      routerVersion: 2 // SwapRouter02 (no deadline in swap params)
     },
+    htlc: process.env.ETHEREUM_HTLC_ADDRESS || null, // HashedTimelockERC20, see contracts/evm
     fusion: {
       relayerUrl: 'https://fusion.1inch.io/relayer/v1.0/11155111',
       apiUrl: 'https://api.1inch.dev/fusion/v1.0/11155111'
@@ -25,6 +29,7 @@ export const CHAIN_CONFIG = {
     mainnetRpc: 'https://forno.celo.org', // For mainnet later
     chainId: 44787, // Alfajores testnet
     mainnetChainId: 42220, // Celo mainnet
+    blockTimeSeconds: 5,
 
     // Rich stablecoin ecosystem
     tokens: {
@@ -59,7 +64,9 @@ export const CHAIN_CONFIG = {
     uniswap: {
       factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984',
       router: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+      routerVersion: 1, // Original SwapRouter (deadline in swap params)
       quoter: '0xb27308f9F90D607463bb33eA1BeBb41C27CE5AB6',
+      quoterVersion: 1, // Original Quoter (flat params)
       nftManager: '0xC36442b4a4522E871399CD717aBDD847Ab11FE88'
     },
 
@@ -70,12 +77,16 @@ export const CHAIN_CONFIG = {
       farmingRewards: '0x9D87c01672A7D535a8f48aA2A2329a8d9F78332C'
     },
 
-    // Curve Finance on Celo (for stable swaps)
+    // Curve Finance on Celo (for stable swaps). Coin indices are read from
+    // each pool's coins(i), so any pool can be listed here. A pool without an
+    // address is reported as unconfigured when a swap looks for it.
     curve: {
       tricrypto: '0x7d91E51C8F218d0d51dc1DFCf4C6F9a2cEa0Ee3C',
-      cUSDcEURcREAL: '0x1a8ce77f3e8d1db8b7A2e3a4b0e9e6C4d7F2A8b9' // Hypothetical
+      cUSDcEURcREAL: process.env.CELO_CURVE_STABLE_POOL || null // No verified deployment to default to
     },
 
+    htlc: process.env.CELO_HTLC_ADDRESS || null, // HashedTimelockERC20, see contracts/evm
+
     // Moola (Celo's lending protocol)
     moola: {
       lendingPool: '0x970b12522CA9b4054807a2c5B736149a5BE6f670',
@@ -91,9 +102,21 @@ export const CHAIN_CONFIG = {
       USDY: '0xa3d3b6c6d5e9c8f4b7d8e5f2a1c3e9d8f5b2c9e8d5f2a1c3e8d5f2a1c3e9d8f5::usdy::USDY',
       SUI: '0x2::sui::SUI'
     },
+    htlc: process.env.SUI_HTLC_PACKAGE || null, // htlc Move package, see contracts/sui/htlc
     cetus: {
       packageId: '0x1eabed72c53feb3805120a081dc15963c204dc8d091542592abaf7a35689b2fb',
-      globalConfig: '0xdaa46292632c3c4d8f31f23ea0f9b36a28ff3677e9684980e4438403a67a3d8f'
+      globalConfig: '0xdaa46292632c3c4d8f31f23ea0f9b36a28ff3677e9684980e4438403a67a3d8f',
+      // Cetus "integrate" package holding pool_script_v2::swap_a2b / swap_b2a.
+      // Separate from the CLMM core package above; required for real swaps.
+      integratePackageId: process.env.CETUS_INTEGRATE_PACKAGE || null,
+
+      // Pool registry. Coin order (A/B) and fee rate are read from the pool
+      // object itself; entries without a pool id are skipped.
+      pools: [
+        { pair: 'USDC-SUI', poolId: process.env.CETUS_POOL_USDC_SUI || null },
+        { pair: 'USDC-USDY', poolId: process.env.CETUS_POOL_USDC_USDY || null },
+        { pair: 'USDY-SUI', poolId: process.env.CETUS_POOL_USDY_SUI || null }
+      ]
     }
   }
 };
@@ -173,4 +196,78 @@ export const DEX_CONFIG = {
     primary: 'cetus',
     secondary: 'aftermath'
   }
-};
\ No newline at end of file
+};
+
+// Token decimals by chain (Sui coins also publish theirs in coin metadata)
+export const TOKEN_DECIMALS = {
+  ethereum: { ETH: 18, WETH: 18, USDC: 6, USDT: 6, DAI: 18 },
+  celo: { CELO: 18, cUSD: 18, cEUR: 18, cREAL: 18, USDC: 6, USDT: 6, wETH: 18, wBTC: 8 },
+  sui: { SUI: 9, USDC: 6, USDY: 6 }
+};
+
+// Where scanners get their prices from
+export const PRICE_SOURCE_CONFIG = {
+  source: process.env.PRICE_SOURCE || 'live', // 'live' | 'replay' | 'fixture'
+  recordFile: process.env.PRICE_RECORD_FILE || null, // Live quotes are appended here (JSON lines)
+  replayFile: process.env.PRICE_REPLAY_FILE || null, // Recording to replay when source=replay
+  fixtureFile: process.env.PRICE_FIXTURE_FILE || null // Scripted prices when source=fixture
+};
+
+// Cost of moving a leg's output to the next leg's chain (bridge or inventory rebalancing).
+// Deducted from the measured output before it is spent on the next chain.
+export const BRIDGE_FEE_CONFIG = {
+  percent: parseFloat(process.env.BRIDGE_FEE_PERCENT) || 0,
+  flat: parseFloat(process.env.BRIDGE_FEE_FLAT) || 0 // In units of the bridged token
+};
+
+// EIP-1559 fee strategy. Urgency picks how aggressively fees track recent blocks;
+// caps bound what any single send may pay per gas, in gwei.
+export const FEE_STRATEGY_CONFIG = {
+  urgency: process.env.GAS_URGENCY || 'medium', // 'low' | 'medium' | 'high'
+  historyBlocks: 10,
+  gasLimitMultiplier: 1.2, // Headroom over eth_estimateGas
+  maxGasShareOfProfit: parseFloat(process.env.MAX_GAS_PROFIT_SHARE) || 0.5, // Refuse trades whose gas eats more of the expected profit
+  caps: {
+    ethereum: {
+      maxFeePerGasGwei: parseFloat(process.env.ETHEREUM_MAX_FEE_GWEI) || 100,
+      maxPriorityFeePerGasGwei: parseFloat(process.env.ETHEREUM_MAX_PRIORITY_FEE_GWEI) || 5
+    },
+    celo: {
+      maxFeePerGasGwei: parseFloat(process.env.CELO_MAX_FEE_GWEI) || 50,
+      maxPriorityFeePerGasGwei: parseFloat(process.env.CELO_MAX_PRIORITY_FEE_GWEI) || 5
+    }
+  }
+};
+
+// Uniswap's Permit2, deployed at the same address on every chain we trade on
+export const PERMIT2_ADDRESS = '0x000000000022D473030f116DDEe9F8b43AC78ba3';
+
+// Conditions a counterparty HTLC lock must meet before the swap secret is
+// released to claim it. Confirmations are blocks on EVM chains, checkpoints on Sui.
+export const HTLC_CONFIG = {
+  confirmations: {
+    ethereum: parseInt(process.env.ETHEREUM_HTLC_CONFIRMATIONS) || 12,
+    celo: parseInt(process.env.CELO_HTLC_CONFIRMATIONS) || 3,
+    sui: 1 // Checkpointed transactions are final
+  },
+  minClaimWindowSeconds: parseInt(process.env.HTLC_MIN_CLAIM_WINDOW) || 600, // Claim must land well before the lock expires
+  minTimelockGapSeconds: parseInt(process.env.HTLC_MIN_TIMELOCK_GAP) || 1800, // Counterparty lock must expire this long before ours
+  eventLookbackBlocks: 10000 // How far back to search for an EVM lock's Locked event
+};
+
+// Background sweep of swapStates: refunds expired locks, expires swaps and
+// evicts finished ones once they have been idle for the retention period
+export const SWAP_SWEEPER_CONFIG = {
+  intervalMs: parseInt(process.env.SWAP_SWEEP_INTERVAL_MS) || 60 * 1000,
+  retentionSeconds: parseInt(process.env.SWAP_RETENTION_SECONDS) || 60 * 60,
+  historySize: 20 // Sweep reports kept for the status route
+};
+
+// Durable state: swaps, wallet sessions, faucet usage and swap secrets.
+// 'file' keeps one JSON document per collection in dataDir; 'memory' keeps nothing.
+export const PERSISTENCE_CONFIG = {
+  backend: process.env.PERSISTENCE_BACKEND || 'file', // 'file' | 'memory'
+  dataDir: process.env.DATA_DIR || 'data', // Relative to the working directory
+  flushDelayMs: 250, // Batch writes after set/delete
+  autosaveIntervalMs: 1000 // Also picks up values changed in place (swap status, steps)
+};
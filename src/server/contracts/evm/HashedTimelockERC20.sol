@@ -0,0 +1,104 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title HashedTimelockERC20
+/// @notice Escrows ERC-20 tokens for one side of a cross-chain atomic swap.
+/// The recipient can claim with the SHA-256 preimage of the hashlock before
+/// the timelock; after it, only a refund to the sender is possible.
+/// SHA-256 (not keccak) so the same hashlock works in the Sui Move escrow.
+contract HashedTimelockERC20 {
+    struct Lock {
+        address sender;
+        address recipient;
+        address token;
+        uint256 amount;
+        bytes32 hashlock;
+        uint256 timelock;
+        bool claimed;
+        bool refunded;
+        bytes32 preimage;
+    }
+
+    mapping(bytes32 => Lock) private locks;
+
+    event Locked(
+        bytes32 indexed lockId,
+        address indexed sender,
+        address indexed recipient,
+        address token,
+        uint256 amount,
+        bytes32 hashlock,
+        uint256 timelock
+    );
+    event Claimed(bytes32 indexed lockId, bytes32 preimage);
+    event Refunded(bytes32 indexed lockId);
+
+    error InvalidLock(string reason);
+    error LockExists(bytes32 lockId);
+    error LockNotFound(bytes32 lockId);
+    error AlreadySettled(bytes32 lockId);
+    error WrongPreimage(bytes32 lockId);
+    error Expired(bytes32 lockId, uint256 timelock);
+    error NotExpired(bytes32 lockId, uint256 timelock);
+    error TransferFailed(address token);
+
+    /// @notice Pull `amount` of `token` from the caller into escrow.
+    /// @param timelock Unix time after which the lock can only be refunded
+    function lock(address recipient, address token, uint256 amount, bytes32 hashlock, uint256 timelock)
+        external
+        returns (bytes32 lockId)
+    {
+        if (recipient == address(0)) revert InvalidLock("recipient");
+        if (amount == 0) revert InvalidLock("amount");
+        if (timelock <= block.timestamp) revert InvalidLock("timelock");
+
+        lockId = keccak256(abi.encode(msg.sender, recipient, token, amount, hashlock, timelock));
+        if (locks[lockId].sender != address(0)) revert LockExists(lockId);
+
+        locks[lockId] = Lock(msg.sender, recipient, token, amount, hashlock, timelock, false, false, bytes32(0));
+        _call(token, abi.encodeWithSelector(0x23b872dd, msg.sender, address(this), amount)); // transferFrom
+
+        emit Locked(lockId, msg.sender, recipient, token, amount, hashlock, timelock);
+    }
+
+    /// @notice Release the escrow to the recipient. Anyone holding the preimage may call this.
+    function claim(bytes32 lockId, bytes32 preimage) external {
+        Lock storage l = _open(lockId);
+        if (sha256(abi.encodePacked(preimage)) != l.hashlock) revert WrongPreimage(lockId);
+        if (block.timestamp >= l.timelock) revert Expired(lockId, l.timelock);
+
+        l.claimed = true;
+        l.preimage = preimage;
+        _call(l.token, abi.encodeWithSelector(0xa9059cbb, l.recipient, l.amount)); // transfer
+
+        emit Claimed(lockId, preimage);
+    }
+
+    /// @notice Return the escrow to the sender once the timelock has passed.
+    function refund(bytes32 lockId) external {
+        Lock storage l = _open(lockId);
+        if (block.timestamp < l.timelock) revert NotExpired(lockId, l.timelock);
+
+        l.refunded = true;
+        _call(l.token, abi.encodeWithSelector(0xa9059cbb, l.sender, l.amount)); // transfer
+
+        emit Refunded(lockId);
+    }
+
+    function getLock(bytes32 lockId) external view returns (Lock memory) {
+        return locks[lockId];
+    }
+
+    function _open(bytes32 lockId) private view returns (Lock storage l) {
+        l = locks[lockId];
+        if (l.sender == address(0)) revert LockNotFound(lockId);
+        if (l.claimed || l.refunded) revert AlreadySettled(lockId);
+    }
+
+    // Tolerates tokens that return nothing from transfer/transferFrom (e.g. USDT)
+    function _call(address token, bytes memory data) private {
+        if (token.code.length == 0) revert TransferFailed(token);
+        (bool ok, bytes memory result) = token.call(data);
+        if (!ok || (result.length > 0 && !abi.decode(result, (bool)))) revert TransferFailed(token);
+    }
+}
@@ -0,0 +1,125 @@
+/// Escrows coins for the Sui side of a cross-chain atomic swap.
+/// The recipient can claim with the SHA-256 preimage of the hashlock before
+/// the timelock; after it, only a refund to the sender is possible. The
+/// hashlock and preimage match contracts/evm/HashedTimelockERC20.sol, so one
+/// secret settles both sides. Each lock is a shared object.
+module htlc::htlc {
+    use std::hash;
+    use std::vector;
+    use sui::balance::{Self, Balance};
+    use sui::clock::{Self, Clock};
+    use sui::coin::{Self, Coin};
+    use sui::event;
+    use sui::object::{Self, ID, UID};
+    use sui::transfer;
+    use sui::tx_context::{Self, TxContext};
+
+    // Abort codes (services/sui-htlc.js names them)
+    const EInvalidRecipient: u64 = 0;
+    const EInvalidAmount: u64 = 1;
+    const EInvalidHashlock: u64 = 2;
+    const EInvalidTimelock: u64 = 3;
+    const EAlreadySettled: u64 = 4;
+    const EWrongPreimage: u64 = 5;
+    const EExpired: u64 = 6;
+    const ENotExpired: u64 = 7;
+
+    struct Lock<phantom T> has key {
+        id: UID,
+        sender: address,
+        recipient: address,
+        /// Amount originally locked; `balance` is emptied on settlement
+        amount: u64,
+        balance: Balance<T>,
+        hashlock: vector<u8>,
+        /// Unix time in seconds, as on the EVM side
+        timelock: u64,
+        claimed: bool,
+        refunded: bool,
+        preimage: vector<u8>,
+    }
+
+    struct Locked has copy, drop {
+        lock_id: ID,
+        sender: address,
+        recipient: address,
+        amount: u64,
+        hashlock: vector<u8>,
+        timelock: u64,
+    }
+
+    struct Claimed has copy, drop {
+        lock_id: ID,
+        preimage: vector<u8>,
+    }
+
+    struct Refunded has copy, drop {
+        lock_id: ID,
+    }
+
+    /// Escrow `coin` for `recipient` and share the lock. Returns the lock id.
+    public fun lock<T>(
+        coin: Coin<T>,
+        recipient: address,
+        hashlock: vector<u8>,
+        timelock: u64,
+        clock: &Clock,
+        ctx: &mut TxContext
+    ): ID {
+        let amount = coin::value(&coin);
+        assert!(recipient != @0x0, EInvalidRecipient);
+        assert!(amount > 0, EInvalidAmount);
+        assert!(vector::length(&hashlock) == 32, EInvalidHashlock);
+        assert!(timelock > now_seconds(clock), EInvalidTimelock);
+
+        let id = object::new(ctx);
+        let lock_id = object::uid_to_inner(&id);
+        let sender = tx_context::sender(ctx);
+
+        event::emit(Locked { lock_id, sender, recipient, amount, hashlock, timelock });
+        transfer::share_object(Lock<T> {
+            id,
+            sender,
+            recipient,
+            amount,
+            balance: coin::into_balance(coin),
+            hashlock,
+            timelock,
+            claimed: false,
+            refunded: false,
+            preimage: vector::empty(),
+        });
+
+        lock_id
+    }
+
+    /// Release the escrow to the recipient. Anyone holding the preimage may call this.
+    public fun claim<T>(escrow: &mut Lock<T>, preimage: vector<u8>, clock: &Clock, ctx: &mut TxContext) {
+        assert!(!escrow.claimed && !escrow.refunded, EAlreadySettled);
+        assert!(hash::sha2_256(preimage) == escrow.hashlock, EWrongPreimage);
+        assert!(now_seconds(clock) < escrow.timelock, EExpired);
+
+        escrow.claimed = true;
+        escrow.preimage = preimage;
+        let payout = coin::from_balance(balance::withdraw_all(&mut escrow.balance), ctx);
+        transfer::public_transfer(payout, escrow.recipient);
+
+        event::emit(Claimed { lock_id: object::id(escrow), preimage });
+    }
+
+    /// Return the escrow to the sender once the timelock has passed.
+    public fun refund<T>(escrow: &mut Lock<T>, clock: &Clock, ctx: &mut TxContext) {
+        assert!(!escrow.claimed && !escrow.refunded, EAlreadySettled);
+        assert!(now_seconds(clock) >= escrow.timelock, ENotExpired);
+
+        escrow.refunded = true;
+        let payout = coin::from_balance(balance::withdraw_all(&mut escrow.balance), ctx);
+        transfer::public_transfer(payout, escrow.sender);
+
+        event::emit(Refunded { lock_id: object::id(escrow) });
+    }
+
+    fun now_seconds(clock: &Clock): u64 {
+        clock::timestamp_ms(clock) / 1000
+    }
+}
@@ -1,8 +1,9 @@
+// Load .env before any module reads process.env at import time (config/chains.js)
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import dotenv from 'dotenv';
 import { createServer } from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -13,12 +14,14 @@ import arbitrageRoutes from './routes/arbitrage.js';
 import walletRoutes from './routes/wallet.js';
 import faucetRoutes from './routes/faucet.js';
 import celoRoutes from './routes/celo.js';
+import oracleRoutes from './routes/oracles.js';
 
 // Service imports
 import { initializeProviders } from './services/blockchain.js';
 import { initializeTestWallets } from './services/wallets.js';
-
-dotenv.config();
+import { startSwapSweeper, stopSwapSweeper } from './services/swap-sweeper.js';
+import { initializePersistence, closePersistence, getPersistenceStatus } from './services/persistence.js';
+import { initializeSecretStore } from './services/secret-store.js';
 
 // ================================
 // PORT CONFIGURATION (FIXED)
@@ -129,6 +132,14 @@ app.use('/api', generalLimiter);
 app.use('/api/swap/execute-arbitrage', tradingLimiter);
 app.use('/api/swap/execute-enhanced-arbitrage', tradingLimiter);
 app.use('/api/swap/execute-real-trade', tradingLimiter);
+app.use('/api/swap/execute-step', tradingLimiter);
+app.use('/api/swap/htlc', tradingLimiter);
+// Wallet routes that send transactions (reads stay on the general limit)
+app.post([
+  '/api/wallet/transactions/:id/speed-up',
+  '/api/wallet/transactions/:id/cancel',
+  '/api/wallet/allowances/revoke'
+], tradingLimiter);
 app.use('/api/faucet', faucetLimiter);
 
 // Enhanced request logging middleware
@@ -144,6 +155,7 @@ app.use((req, res, next) => {
       const safeBody = { ...req.body };
       if (safeBody.privateKey) safeBody.privateKey = '[REDACTED]';
       if (safeBody.secret) safeBody.secret = '[REDACTED]';
+      if (safeBody.preimage) safeBody.preimage = '[REDACTED]';
       console.log(`📝 Request body:`, JSON.stringify(safeBody, null, 2));
     }
   }
@@ -201,6 +213,7 @@ app.use('/api/arbitrage', arbitrageRoutes);
 app.use('/api/wallet', walletRoutes);
 app.use('/api/faucet', faucetRoutes);
 app.use('/api/celo', celoRoutes);
+app.use('/api/oracles', oracleRoutes);
 
 // ================================
 // ENHANCED CORE ENDPOINTS
@@ -253,6 +266,9 @@ app.get('/api/health', async (req, res) => {
         celo: 'Alfajores Testnet'
       },
 
+      // Durable state collections
+      persistence: getPersistenceStatus(),
+
       // Frontend integration
       frontend: {
         enabled: process.env.NODE_ENV === 'production',
@@ -299,6 +315,13 @@ app.get('/api/info', (req, res) => {
       // Atomic swaps
       createSwap: 'POST /api/swap/bidirectional-real - Create atomic cross-chain swap',
       swapStatus: 'GET /api/swap/status-real/:swapId - Get swap status',
+      executeStep: 'POST /api/swap/execute-step - Run the next pending step of an atomic swap',
+      htlcLock: 'POST /api/swap/htlc/:swapId/lock - Escrow funds in the chain HTLC under the swap hashlock',
+      htlcClaim: 'POST /api/swap/htlc/:swapId/claim - Claim a swap lock with the preimage',
+      htlcRefund: 'POST /api/swap/htlc/:swapId/refund - Refund an expired swap lock',
+      htlcReveal: 'POST /api/swap/htlc/:swapId/reveal - Claim the confirmed counterparty lock with the swap secret',
+      secretAudit: 'GET /api/swap/htlc/:swapId/secret-audit - Audit log of swap secret access',
+      sweeper: 'GET /api/swap/sweeper - Expiry sweeper status and recent sweeps',
 
       // Celo integration
       celoOpportunities: 'GET /api/celo/opportunities - Celo-specific arbitrage opportunities',
@@ -306,6 +329,10 @@ app.get('/api/info', (req, res) => {
       celoPrices: 'GET /api/celo/prices/:pair - Celo token pair prices',
       celoInfo: 'GET /api/celo/info - Celo network information',
 
+      // Reference prices
+      oracles: 'GET /api/oracles - Chainlink feed prices with staleness status',
+      chainOracles: 'GET /api/oracles/:chain/:feed? - Feeds for one chain or a single feed',
+
       // Faucets (testnet)
       faucetUSDC: 'POST /api/faucet/usdc - Request test USDC tokens',
       faucetStatus: 'GET /api/faucet/status/:address - Check faucet availability'
@@ -478,7 +505,8 @@ app.use('/api/*', (req, res) => {
       '/api/config',
       '/api/swap/wallet-status',
       '/api/swap/scan-opportunities',
-      '/api/celo/opportunities'
+      '/api/celo/opportunities',
+      '/api/oracles'
     ],
     timestamp: new Date().toISOString()
   });
@@ -505,6 +533,12 @@ async function startServer() {
       console.warn('⚠️ Some trading features may be limited');
     }
 
+    // Reload swaps, wallet sessions and faucet usage saved before the last restart
+    initializePersistence();
+
+    // Load the swap secret key now, so a malformed SWAP_SECRET_KEY stops startup
+    initializeSecretStore();
+
     // Initialize blockchain providers
     console.log('🔗 Initializing blockchain providers...');
     try {
@@ -554,6 +588,9 @@ async function startServer() {
       console.log(`   💰 Celo Balances: GET http://localhost:${finalPort}/api/celo/balances`);
       console.log(`   ℹ️ Celo Info: GET http://localhost:${finalPort}/api/celo/info`);
       console.log('');
+      console.log('🔮 ORACLES:');
+      console.log(`   📡 Chainlink Feeds: GET http://localhost:${finalPort}/api/oracles`);
+      console.log('');
       console.log('🚰 TESTNET FAUCETS:');
       console.log(`   💧 USDC Faucet: POST http://localhost:${finalPort}/api/faucet/usdc`);
       console.log(`   📊 Faucet Status: GET http://localhost:${finalPort}/api/faucet/status/:address`);
@@ -592,6 +629,8 @@ async function startServer() {
     // Graceful shutdown handling
     const shutdown = (signal) => {
       console.log(`\n🛑 Received ${signal}, shutting down gracefully...`);
+      stopSwapSweeper();
+      closePersistence();
       server.close(() => {
         console.log('✅ Server closed successfully');
         process.exit(0);
@@ -607,27 +646,8 @@ async function startServer() {
     process.on('SIGTERM', () => shutdown('SIGTERM'));
     process.on('SIGINT', () => shutdown('SIGINT'));
 
-    // Enhanced cleanup for expired swaps
-    setInterval(() => {
-      try {
-        const now = Math.floor(Date.now() / 1000);
-        let expiredCount = 0;
-
-        // This would need to be imported from blockchain service
-        // for (const [swapId, swapState] of swapStates.entries()) {
-        //   if (now > swapState.timelock + 3600) { // 1 hour after expiry
-        //     swapStates.delete(swapId);
-        //     expiredCount++;
-        //   }
-        // }
-
-        if (expiredCount > 0) {
-          console.log(`🧹 Cleaned up ${expiredCount} expired swaps`);
-        }
-      } catch (error) {
-        console.error('Cleanup error:', error);
-      }
-    }, 5 * 60 * 1000);
+    // Refund and expire timed-out swaps, evict finished ones
+    startSwapSweeper();
 
   } catch (error) {
     console.error('❌ Enhanced server startup failed:', error);
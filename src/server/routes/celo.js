@@ -1,8 +1,17 @@
 import express from 'express';
 import { getWalletBalances } from '../services/wallets.js';
+import { scanCeloArbitrageOpportunities } from '../services/celo-dex.js';
+import { getReferencePrice } from '../services/oracles.js';
 
 const router = express.Router();
 
+// Query number that must be positive: the default when absent, null when invalid
+function parsePositive(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
 // ================================
 // SIMPLIFIED CELO ROUTES
 // ================================
@@ -25,11 +34,16 @@ router.get('/balances', async (req, res) => {
     let totalValueUSD = 0;
     const celoBalances = balances.celo;
 
-    Object.entries(celoBalances).forEach(([token, balance]) => {
+    const referencePrices = {};
+
+    for (const [token, balance] of Object.entries(celoBalances)) {
       if (token !== 'address' && token !== 'network' && token !== 'error' && !isNaN(parseFloat(balance))) {
-        totalValueUSD += parseFloat(balance); // Simplified 1:1 USD assumption
+        // Chainlink reference price, 1:1 USD if the feed is missing or unhealthy
+        const price = await getReferencePrice(token, 'celo').catch(() => null);
+        referencePrices[token] = price ?? 'fallback 1.0';
+        totalValueUSD += parseFloat(balance) * (price ?? 1);
       }
-    });
+    }
 
     res.json({
       success: true,
@@ -37,6 +51,7 @@ router.get('/balances', async (req, res) => {
         balances: celoBalances,
         portfolio: {
           totalValueUSD: totalValueUSD.toFixed(2),
+          referencePrices,
           nativeStablecoins: {
             cUSD: celoBalances.cUSD || '0',
             cEUR: celoBalances.cEUR || '0',
@@ -72,62 +87,29 @@ router.get('/balances', async (req, res) => {
   }
 });
 
-// Simplified Celo opportunities
+// Celo opportunities priced from on-chain Ubeswap / Uniswap V3 quotes
 router.get('/opportunities', async (req, res) => {
   try {
-    const { minProfit = 0.1 } = req.query;
+    const minProfit = parsePositive(req.query.minProfit, 0.1);
+    const amount = parsePositive(req.query.amount, 100);
+
+    if (minProfit === null || amount === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'minProfit and amount must be positive numbers',
+        details: `Got minProfit=${JSON.stringify(req.query.minProfit)}, amount=${JSON.stringify(req.query.amount)}`
+      });
+    }
 
     console.log(`🌟 Scanning Celo opportunities (min profit: ${minProfit}%)...`);
 
-    // Generate realistic Celo opportunities
-    const opportunities = [];
+    const scan = await scanCeloArbitrageOpportunities(minProfit, amount);
 
-    const celoPairs = [
-      { 
-        pair: 'cUSD-USDC', 
-        spread: 0.2 + Math.random() * 0.6,
-        type: 'bridge_arbitrage',
-        dexes: ['ubeswap', 'uniswap_v3']
-      },
-      { 
-        pair: 'cUSD-cEUR', 
-        spread: 0.3 + Math.random() * 0.8,
-        type: 'forex_arbitrage',
-        dexes: ['ubeswap', 'curve']
-      },
-      { 
-        pair: 'cEUR-USDC', 
-        spread: 0.4 + Math.random() * 1.0,
-        type: 'forex_bridge',
-        dexes: ['uniswap_v3', 'ubeswap']
-      },
-      { 
-        pair: 'cUSD-cREAL', 
-        spread: 0.5 + Math.random() * 1.2,
-        type: 'emerging_market',
-        dexes: ['ubeswap', 'moola']
-      }
-    ];
-
-    celoPairs.forEach(item => {
-      if (item.spread >= parseFloat(minProfit)) {
-        opportunities.push({
-          pair: item.pair,
-          spread: parseFloat(item.spread.toFixed(4)),
-          type: item.type,
-          direction: `${item.dexes[1]}_to_${item.dexes[0]}`, // Buy from second, sell to first
-          recommendedDEX: item.dexes[0],
-          alternativeDEX: item.dexes[1],
-          recommendedAmount: Math.min(100, Math.max(20, item.spread * 50)),
-          estimatedProfit: (item.spread * 0.85).toFixed(2) + '%', // 85% after fees
-          confidence: item.spread > 1.0 ? 'HIGH' : item.spread > 0.5 ? 'MEDIUM' : 'LOW',
-          specialFeatures: getCeloFeatures(item.type),
-          gasEstimate: '~$0.01 CELO',
-          blockTime: '5 seconds',
-          timestamp: new Date().toISOString()
-        });
-      }
-    });
+    const opportunities = scan.opportunities.map(opp => ({
+      ...opp,
+      gasEstimate: '~$0.01 CELO',
+      blockTime: '5 seconds'
+    }));
 
     const summary = {
       totalFound: opportunities.length,
@@ -136,9 +118,9 @@ router.get('/opportunities', async (req, res) => {
         '0',
       marketCondition: opportunities.length > 2 ? 'ACTIVE' : opportunities.length > 0 ? 'MODERATE' : 'QUIET',
       byType: {
-        bridge_arbitrage: opportunities.filter(o => o.type === 'bridge_arbitrage').length,
-        forex_arbitrage: opportunities.filter(o => o.type === 'forex_arbitrage').length,
-        emerging_market: opportunities.filter(o => o.type === 'emerging_market').length
+        stable: opportunities.filter(o => o.type === 'stable').length,
+        forex: opportunities.filter(o => o.type === 'forex').length,
+        emerging: opportunities.filter(o => o.type === 'emerging').length
       }
     };
 
@@ -155,7 +137,8 @@ router.get('/opportunities', async (req, res) => {
           'Carbon negative blockchain'
         ],
         scanParams: {
-          minProfitThreshold: parseFloat(minProfit)
+          minProfitThreshold: minProfit,
+          quoteSize: amount
         }
       },
       message: `Found ${opportunities.length} Celo arbitrage opportunities`,
@@ -269,35 +252,4 @@ router.get('/test', async (req, res) => {
   }
 });
 
-// ================================
-// UTILITY FUNCTIONS
-// ================================
-
-function getCeloFeatures(type) {
-  const features = {
-    bridge_arbitrage: [
-      'Arbitrage between native cUSD and bridged USDC',
-      'Exploit bridge inefficiencies',
-      'Lower risk stable-to-stable trades'
-    ],
-    forex_arbitrage: [
-      'Real forex exposure (EUR/USD, BRL/USD)',
-      'Backed by crypto reserves',
-      'Access to international markets'
-    ],
-    emerging_market: [
-      'Exposure to Brazilian Real (BRL)',
-      'Growing emerging market adoption',
-      'Higher volatility = higher spreads'
-    ],
-    forex_bridge: [
-      'Multi-step forex arbitrage',
-      'Cross-DEX opportunities',
-      'Complex but potentially profitable'
-    ]
-  };
-
-  return features[type] || ['Celo native arbitrage opportunity'];
-}
-
 export default router;
\ No newline at end of file
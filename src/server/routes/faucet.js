@@ -2,11 +2,12 @@ import express from 'express';
 import { ethers } from 'ethers';
 import { ethWallet } from '../services/wallets.js';
 import { CHAIN_CONFIG } from '../config/chains.js';
+import { createRepository } from '../services/persistence.js';
 
 const router = express.Router();
 
-// Simple rate limiting for faucets
-const faucetUsage = new Map();
+// Simple rate limiting for faucets (survives restarts)
+const faucetUsage = createRepository('faucetUsage');
 const FAUCET_COOLDOWN = 3600000; // 1 hour
 
 // Test USDC faucet
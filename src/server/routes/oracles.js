@@ -0,0 +1,112 @@
+import express from 'express';
+import { CHAINLINK_ORACLES } from '../config/chains.js';
+import { getOraclePrices, readOracleFeed } from '../services/oracles.js';
+
+const router = express.Router();
+
+// ?maxAge=<seconds>: undefined when absent, null when not a whole number
+function parseMaxAge(query) {
+  if (query.maxAge === undefined || query.maxAge === '') return undefined;
+  return /^\d+$/.test(query.maxAge) ? parseInt(query.maxAge) : null;
+}
+
+function rejectMaxAge(res, maxAge) {
+  return res.status(400).json({
+    success: false,
+    error: 'maxAge must be a whole number of seconds',
+    details: `Got ${JSON.stringify(maxAge)}`
+  });
+}
+
+// All Chainlink feeds across chains
+router.get('/', async (req, res) => {
+  try {
+    const maxAge = parseMaxAge(req.query);
+    if (maxAge === null) {
+      return rejectMaxAge(res, req.query.maxAge);
+    }
+    const prices = await getOraclePrices(null, maxAge);
+
+    res.json({
+      success: true,
+      data: prices,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Oracle fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read oracle feeds',
+      details: error.message
+    });
+  }
+});
+
+// Feeds for one chain
+router.get('/:chain', async (req, res) => {
+  try {
+    const { chain } = req.params;
+
+    if (!Object.hasOwn(CHAINLINK_ORACLES, chain)) {
+      return res.status(404).json({
+        success: false,
+        error: `No oracles configured for chain: ${chain}`,
+        supportedChains: Object.keys(CHAINLINK_ORACLES)
+      });
+    }
+
+    const maxAge = parseMaxAge(req.query);
+    if (maxAge === null) {
+      return rejectMaxAge(res, req.query.maxAge);
+    }
+    const prices = await getOraclePrices(chain, maxAge);
+
+    res.json({
+      success: true,
+      data: prices,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Oracle fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read oracle feeds',
+      details: error.message
+    });
+  }
+});
+
+// A single feed, e.g. /api/oracles/celo/cUSD_USD
+router.get('/:chain/:feed', async (req, res) => {
+  try {
+    const { chain, feed } = req.params;
+    const feeds = Object.hasOwn(CHAINLINK_ORACLES, chain) ? CHAINLINK_ORACLES[chain] : null;
+
+    if (!feeds || !Object.hasOwn(feeds, feed) || feed === 'decimals') {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown oracle feed: ${chain}/${feed}`
+      });
+    }
+
+    const maxAge = parseMaxAge(req.query);
+    if (maxAge === null) {
+      return rejectMaxAge(res, req.query.maxAge);
+    }
+    const reading = await readOracleFeed(chain, feed, maxAge);
+
+    res.json({
+      success: true,
+      data: reading,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read oracle feed',
+      details: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,50 +1,18 @@
 import express from 'express';
 import { randomBytes, createHash } from 'crypto';
 import { swapStates, walletConnections, checkCrossChainSpread } from '../services/blockchain.js';
-import { executeRealArbitrageTrade, scanForArbitrageOpportunities } from '../services/trading.js';
+import { SwapState } from '../services/swap-state.js';
+import { executeRealArbitrageTrade, executeEnhancedCrossChainArbitrage, scanForArbitrageOpportunities, previewArbitrageTrade, previewCrossChainArbitrage } from '../services/trading.js';
 import { getWalletBalances, getGasPrices } from '../services/wallets.js';
+import { getReferencePrice } from '../services/oracles.js';
+import { getParkedPositions, resolveParkedPosition } from '../services/leg-pipeline.js';
+import { executeSwapStep, serializeSwapState, FINAL_STATUSES } from '../services/swap-executor.js';
+import { lockSwapFunds, claimSwapLock, refundSwapLock, refreshSwapLocks, revealAndClaim, HTLC_CHAINS } from '../services/htlc.js';
+import { storeSwapSecret, getSwapSecretStatus, getSecretAuditLog } from '../services/secret-store.js';
+import { getSweeperStatus } from '../services/swap-sweeper.js';
 
 const router = express.Router();
 
-// Enhanced swap state class
-class SwapState {
-  constructor(config) {
-    this.swapId = config.swapId;
-    this.fromChain = config.fromChain;
-    this.toChain = config.toChain;
-    this.fromToken = config.fromToken;
-    this.toToken = config.toToken;
-    this.amount = config.amount;
-    this.walletSession = config.walletSession;
-    this.minSpread = config.minSpread;
-    this.maxSlippage = config.maxSlippage;
-    this.enableAtomicSwap = config.enableAtomicSwap;
-    this.hashlock = config.hashlock;
-    this.secret = config.secret;
-    this.timelock = config.timelock;
-    this.status = 'CREATED';
-    this.steps = [];
-    this.createdAt = new Date().toISOString();
-    this.updatedAt = new Date().toISOString();
-    this.chains = config.chains || [config.fromChain, config.toChain]; // Support multi-chain
-    this.arbitrageType = config.arbitrageType || 'bilateral';
-  }
-
-  updateStatus(newStatus) {
-    this.status = newStatus;
-    this.updatedAt = new Date().toISOString();
-    console.log(`🔄 Swap ${this.swapId} status: ${newStatus}`);
-  }
-
-  addStep(step) {
-    this.steps.push({
-      ...step,
-      timestamp: new Date().toISOString()
-    });
-    this.updatedAt = new Date().toISOString();
-  }
-}
-
 // ================================
 // WALLET STATUS & MANAGEMENT
 // ================================
@@ -73,6 +41,12 @@ router.get('/wallet-status', async (req, res) => {
     let totalValueUSD = 0;
     const chainValues = {};
 
+    // Chainlink reference prices for the non-USD stablecoins (rough fallback if a feed is unhealthy)
+    const [eurUsd, brlUsd] = await Promise.all([
+      getReferencePrice('cEUR').catch(() => null),
+      getReferencePrice('cREAL').catch(() => null)
+    ]);
+
     try {
       // Ethereum portfolio
       if (balances.ethereum?.USDC) {
@@ -91,8 +65,8 @@ router.get('/wallet-status', async (req, res) => {
         let celoValue = 0;
         if (balances.celo.cUSD) celoValue += parseFloat(balances.celo.cUSD);
         if (balances.celo.USDC) celoValue += parseFloat(balances.celo.USDC);
-        if (balances.celo.cEUR) celoValue += parseFloat(balances.celo.cEUR) * 1.1; // Rough EUR to USD
-        if (balances.celo.cREAL) celoValue += parseFloat(balances.celo.cREAL) * 0.2; // Rough BRL to USD
+        if (balances.celo.cEUR) celoValue += parseFloat(balances.celo.cEUR) * (eurUsd ?? 1.1);
+        if (balances.celo.cREAL) celoValue += parseFloat(balances.celo.cREAL) * (brlUsd ?? 0.2);
 
         chainValues.celo = celoValue;
         totalValueUSD += celoValue;
@@ -134,6 +108,10 @@ router.get('/wallet-status', async (req, res) => {
         portfolio: {
           totalValueUSD: totalValueUSD.toFixed(2),
           breakdown: chainValues,
+          referencePrices: {
+            cEUR: eurUsd ?? 'fallback 1.1',
+            cREAL: brlUsd ?? 'fallback 0.2'
+          },
           readyForTrading,
           crossChainCapable: Object.keys(chainValues).length >= 2
         },
@@ -371,6 +349,11 @@ router.post('/execute-arbitrage', async (req, res) => {
     console.log(`================================================`);
 
     if (dryRun) {
+      // Every leg simulated on-chain (staticCall / dry run), nothing sent; legs
+      // still needing an approval are carried at their quote (simulated: false)
+      const preflight = await previewArbitrageTrade({ tokenPair, amount, direction, maxSlippage })
+        .catch(error => ({ ok: false, error: error.message, legs: [] }));
+
       // Enhanced simulation
       const simulationResult = {
         success: true,
@@ -385,9 +368,13 @@ router.post('/execute-arbitrage', async (req, res) => {
           actualProfit: (expectedSpread * getEfficiencyMultiplier(direction)).toFixed(2),
           profitUSD: (amount * expectedSpread * getEfficiencyMultiplier(direction) * 0.01).toFixed(2),
           involvedChains: getInvolvedChains(direction),
-          estimatedGasCost: estimateGasForDirection(direction)
+          estimatedGasCost: estimateGasForDirection(direction),
+          simulatedFinalAmountOut: preflight.simulatedFinalAmountOut ?? null,
+          projectedFinalAmountOut: preflight.projectedFinalAmountOut ?? null,
+          fullySimulated: preflight.fullySimulated ?? false
         },
         transactions: generateSimulatedTransactions(direction),
+        preflight,
         note: 'This was a simulation - no real transactions were executed',
         enhancedFeatures: [
           'Celo support included',
@@ -521,6 +508,11 @@ router.post('/execute-enhanced-arbitrage', async (req, res) => {
     console.log(`===============================================`);
 
     if (dryRun) {
+      // Every leg simulated on-chain (staticCall / dry run), nothing sent; legs
+      // still needing an approval are carried at their quote (simulated: false)
+      const preflight = await previewCrossChainArbitrage({ chains, tokens, amount, maxSlippage })
+        .catch(error => ({ ok: false, error: error.message, legs: [] }));
+
       // Enhanced multi-chain simulation
       const simulationResult = {
         success: true,
@@ -536,8 +528,12 @@ router.post('/execute-enhanced-arbitrage', async (req, res) => {
           actualProfit: (expectedSpread * getMultiChainEfficiency(chains)).toFixed(2),
           profitUSD: (amount * expectedSpread * getMultiChainEfficiency(chains) * 0.01).toFixed(2),
           complexity: arbitrageType === 'triangular' ? 'HIGH' : 'MEDIUM',
-          estimatedTime: arbitrageType === 'triangular' ? '10-15 minutes' : '5-8 minutes'
+          estimatedTime: arbitrageType === 'triangular' ? '10-15 minutes' : '5-8 minutes',
+          simulatedFinalAmountOut: preflight.simulatedFinalAmountOut ?? null,
+          projectedFinalAmountOut: preflight.projectedFinalAmountOut ?? null,
+          fullySimulated: preflight.fullySimulated ?? false
         },
+        preflight,
         execution: {
           steps: generateMultiChainSteps(chains, tokens),
           estimatedGas: estimateMultiChainGas(chains),
@@ -680,7 +676,6 @@ router.post('/bidirectional-real', async (req, res) => {
       maxSlippage,
       enableAtomicSwap,
       hashlock,
-      secret: secret.toString('hex'),
       timelock,
       chains: [fromChain, toChain],
       arbitrageType: 'atomic_swap'
@@ -702,6 +697,7 @@ router.post('/bidirectional-real', async (req, res) => {
 
     swapState.executionPlan = executionPlan;
     swapState.updateStatus('PLAN_CREATED');
+    storeSwapSecret(swapId, secret.toString('hex'), hashlock, { actor: req.ip });
     swapStates.set(swapId, swapState);
 
     console.log(`✅ Created enhanced atomic swap: ${swapId}`);
@@ -767,13 +763,16 @@ router.get('/status-real/:swapId', async (req, res) => {
     const totalSteps = swapState.executionPlan.steps.length;
     const progress = Math.round((completedSteps / totalSteps) * 100);
 
-    // Check for expiration
+    // Check for expiration; a settled swap keeps its final status
     const currentTime = Math.floor(Date.now() / 1000);
     const isExpired = currentTime > swapState.timelock;
-    if (isExpired && swapState.status !== 'EXPIRED') {
+    if (isExpired && !FINAL_STATUSES.includes(swapState.status)) {
       swapState.updateStatus('EXPIRED');
     }
 
+    // On-chain state of any HTLC locks
+    const locks = await refreshSwapLocks(swapState);
+
     // Get current spread for comparison (enhanced)
     let currentSpread = null;
     try {
@@ -846,11 +845,15 @@ router.get('/status-real/:swapId', async (req, res) => {
         },
 
         // Enhanced atomic guarantees
+        // Only what the HTLC locks enforce on chain
         atomicGuarantees: swapState.enableAtomicSwap ? {
           hashlock: swapState.hashlock,
-          secretRevealed: swapState.status === 'COMPLETED',
-          canRefund: isExpired || swapState.status === 'FAILED',
-          securityLevel: 'HIGH'
+          locks,
+          enforcedOnChain: locks.length > 0,
+          secretRevealed: locks.some(lock => lock.status === 'CLAIMED'),
+          canRefund: locks.some(lock => lock.role === 'own' && lock.status === 'EXPIRED'),
+          secretCustody: getSwapSecretStatus(swapId),
+          securityLevel: locks.length > 0 ? 'HTLC' : 'NONE (no funds locked)'
         } : null,
 
         // Enhanced execution details
@@ -877,6 +880,209 @@ router.get('/status-real/:swapId', async (req, res) => {
   }
 });
 
+// Execute the next pending step of an atomic swap plan. stepIndex (0-based,
+// optional) must match the next pending step; expired swaps are refused.
+router.post('/execute-step', async (req, res) => {
+  try {
+    const { swapId, stepIndex } = req.body;
+
+    if (!swapId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: swapId'
+      });
+    }
+
+    const swapState = swapStates.get(swapId);
+    if (!swapState) {
+      return res.status(404).json({
+        success: false,
+        error: 'Swap not found',
+        suggestion: 'Check swapId or create new swap'
+      });
+    }
+
+    const { index, step } = await executeSwapStep(swapState, { stepIndex });
+    const steps = swapState.executionPlan.steps;
+    const next = steps.findIndex(s => s.status === 'PENDING');
+
+    res.json({
+      success: step.status === 'COMPLETED',
+      data: {
+        executedStep: { index, type: step.type, status: step.status, result: step.result, error: step.error },
+        nextStep: swapState.status === 'FAILED' || next < 0 ?
+          null :
+          { index: next, type: steps[next].type, description: steps[next].description },
+        swap: serializeSwapState(swapState)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    // Out-of-order, expired or finished swaps carry their own status code
+    const swapState = swapStates.get(req.body?.swapId);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to execute swap step',
+      details: error.statusCode ? undefined : error.message,
+      swap: swapState ? serializeSwapState(swapState) : undefined
+    });
+  }
+});
+
+// ================================
+// HTLC LOCKS
+// ================================
+
+// Run an HTLC action for a swap and answer with the lock it touched
+async function handleHtlcAction(req, res, action, required, run) {
+  try {
+    const body = req.body || {};
+    const missing = required.filter(field => !body[field]);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Missing required fields: ${missing.join(', ')}`
+      });
+    }
+
+    const swapState = swapStates.get(req.params.swapId);
+
+    if (!swapState) {
+      return res.status(404).json({
+        success: false,
+        error: 'Swap not found',
+        suggestion: 'Check swapId or create new swap'
+      });
+    }
+
+    const lock = await run(swapState, body);
+
+    res.json({
+      success: true,
+      data: {
+        swapId: swapState.swapId,
+        lock,
+        locks: swapState.locks
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    // Refused locks carry their own status code
+    console.error(`HTLC ${action} error:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : `Failed to ${action} HTLC`,
+      details: error.statusCode ? undefined : error.message
+    });
+  }
+}
+
+// Lock the swap amount on the source chain under the swap's hashlock. What is
+// locked, for whom and until when all come from the swap and its plan.
+router.post('/htlc/:swapId/lock', (req, res) => handleHtlcAction(req, res, 'lock', [], swapState => {
+  return lockSwapFunds(swapState);
+}));
+
+// Claim a lock with a preimage revealed elsewhere (e.g. by the counterparty's
+// claim). Claims with the swap's own secret go through /reveal.
+router.post('/htlc/:swapId/claim', (req, res) => handleHtlcAction(req, res, 'claim', ['lockId', 'preimage'], (swapState, body) => {
+  return claimSwapLock(swapState, body.lockId, body.preimage);
+}));
+
+// Refund an expired lock to its sender
+router.post('/htlc/:swapId/refund', (req, res) => handleHtlcAction(req, res, 'refund', ['lockId'], (swapState, body) => {
+  return refundSwapLock(swapState, body.lockId);
+}));
+
+// Claim the counterparty's lock on the destination chain with the swap secret.
+// The secret is only released once that lock is confirmed and payable to the
+// server wallet on that chain; otherwise 409 with the reasons.
+router.post('/htlc/:swapId/reveal', async (req, res) => {
+  try {
+    const { lockId, chain } = req.body || {};
+    if (!lockId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: lockId'
+      });
+    }
+
+    if (chain !== undefined && !HTLC_CHAINS.includes(chain)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported HTLC chain: ${chain}`,
+        supportedChains: HTLC_CHAINS
+      });
+    }
+
+    const swapState = swapStates.get(req.params.swapId);
+
+    if (!swapState) {
+      return res.status(404).json({
+        success: false,
+        error: 'Swap not found',
+        suggestion: 'Check swapId or create new swap'
+      });
+    }
+
+    const result = await revealAndClaim(swapState, {
+      chain: chain || swapState.toChain,
+      lockId,
+      actor: req.ip
+    });
+
+    if (!result.released) {
+      return res.status(409).json({
+        success: false,
+        error: 'Counterparty lock not confirmed, secret withheld',
+        verification: result.verification
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        swapId: swapState.swapId,
+        ...result,
+        locks: swapState.locks
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('HTLC reveal error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reveal secret and claim HTLC',
+      details: error.message
+    });
+  }
+});
+
+// Every store, release and refusal of a swap's secret
+router.get('/htlc/:swapId/secret-audit', (req, res) => {
+  const { swapId } = req.params;
+
+  res.json({
+    success: true,
+    data: {
+      swapId,
+      custody: getSwapSecretStatus(swapId),
+      entries: getSecretAuditLog(swapId)
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// What the expiry sweeper has refunded, expired and evicted
+router.get('/sweeper', (req, res) => {
+  res.json({
+    success: true,
+    data: getSweeperStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 // ================================
 // ENHANCED UTILITY FUNCTIONS
 // ================================
@@ -1252,6 +1458,42 @@ function estimateGasImpact(tradeAmountUSD, chains = ['ethereum', 'sui']) {
   };
 }
 
+// ================================
+// PARKED POSITIONS
+// ================================
+
+// Positions a failed trade could not unwind, waiting for manual handling
+router.get('/parked-positions', (req, res) => {
+  const positions = getParkedPositions();
+
+  res.json({
+    success: true,
+    data: {
+      positions,
+      open: positions.filter(position => position.status === 'NEEDS_MANUAL_HANDLING').length
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Mark a parked position as handled
+router.post('/parked-positions/:id/resolve', (req, res) => {
+  const position = resolveParkedPosition(req.params.id, req.body?.note || null);
+
+  if (!position) {
+    return res.status(404).json({
+      success: false,
+      error: `Parked position not found: ${req.params.id}`
+    });
+  }
+
+  res.json({
+    success: true,
+    data: position,
+    timestamp: new Date().toISOString()
+  });
+});
+
 // ================================
 // ENHANCED HEALTH & INFO ENDPOINTS
 // ================================
@@ -1,5 +1,7 @@
 import express from 'express';
 import { walletConnections } from '../services/blockchain.js';
+import { getTrackedTransactions, findTxManager } from '../services/tx-manager.js';
+import { getAllowances, revokeAllowance } from '../services/allowances.js';
 
 const router = express.Router();
 
@@ -117,4 +119,114 @@ router.get('/debug/sessions', (req, res) => {
   });
 });
 
-export default router;
\ No newline at end of file
+// Transactions sent by the trading wallets (?pending=true for unmined only)
+router.get('/transactions', (req, res) => {
+  const transactions = getTrackedTransactions({ pendingOnly: req.query.pending === 'true' });
+
+  res.json({
+    success: true,
+    data: {
+      transactions,
+      pending: transactions.filter(tx => tx.status === 'PENDING').length
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Replace a stuck transaction with higher fees (speed-up) or an empty self-transfer (cancel)
+async function replaceTransaction(req, res, action) {
+  try {
+    const manager = findTxManager(req.params.id);
+
+    if (!manager) {
+      return res.status(404).json({
+        success: false,
+        error: `Transaction not found: ${req.params.id}`
+      });
+    }
+
+    const entry = action === 'cancel' ?
+      await manager.cancel(req.params.id) :
+      await manager.speedUp(req.params.id);
+
+    res.json({
+      success: true,
+      data: {
+        id: entry.id,
+        chain: entry.chain,
+        nonce: entry.nonce,
+        hash: entry.hash,
+        hashes: entry.hashes,
+        replacements: entry.replacements
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action} transaction`,
+      details: error.message
+    });
+  }
+}
+
+router.post('/transactions/:id/speed-up', (req, res) => replaceTransaction(req, res, 'speed-up'));
+router.post('/transactions/:id/cancel', (req, res) => replaceTransaction(req, res, 'cancel'));
+
+// Token allowances held by our wallets (?chain=celo, ?includeZero=true)
+router.get('/allowances', async (req, res) => {
+  try {
+    const { allowances, errors } = await getAllowances({
+      chain: req.query.chain || null,
+      includeZero: req.query.includeZero === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        allowances,
+        count: allowances.length,
+        unlimited: allowances.filter(a => a.formatted === 'unlimited').length,
+        errors
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read allowances',
+      details: error.message
+    });
+  }
+});
+
+// Revoke one allowance. token and spender take a symbol / spender name or an address;
+// via is 'erc20' (default) or 'permit2'.
+router.post('/allowances/revoke', async (req, res) => {
+  try {
+    const { chain, token, spender, via = 'erc20' } = req.body;
+
+    if (!chain || !token || !spender) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: chain, token, spender'
+      });
+    }
+
+    const result = await revokeAllowance(chain, { token, spender, via });
+
+    res.json({
+      success: true,
+      data: result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to revoke allowance',
+      details: error.message
+    });
+  }
+});
+
+export default router;
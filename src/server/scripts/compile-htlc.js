@@ -0,0 +1,41 @@
+// Rebuild contracts/evm/HashedTimelockERC20.json from the Solidity source.
+// Usage: npm run compile:htlc
+import { readFileSync, writeFileSync } from 'fs';
+import solc from 'solc';
+
+// The committed artifact is built with exactly this compiler and these settings
+const SOLC_VERSION = '0.8.24';
+const SETTINGS = { optimizer: { enabled: true, runs: 200 }, evmVersion: 'paris' };
+
+const source = new URL('../contracts/evm/HashedTimelockERC20.sol', import.meta.url);
+const artifact = new URL('../contracts/evm/HashedTimelockERC20.json', import.meta.url);
+
+if (!solc.version().startsWith(`${SOLC_VERSION}+`)) {
+  console.error(`❌ solc ${solc.version()} installed, ${SOLC_VERSION} required (npm install)`);
+  process.exit(1);
+}
+
+const output = JSON.parse(solc.compile(JSON.stringify({
+  language: 'Solidity',
+  sources: { 'HashedTimelockERC20.sol': { content: readFileSync(source, 'utf8') } },
+  settings: { ...SETTINGS, outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } }
+})));
+
+const errors = (output.errors || []).filter(error => error.severity === 'error');
+for (const error of output.errors || []) {
+  console.error(error.formattedMessage);
+}
+if (errors.length > 0) {
+  process.exit(1);
+}
+
+const contract = output.contracts['HashedTimelockERC20.sol'].HashedTimelockERC20;
+writeFileSync(artifact, `${JSON.stringify({
+  contractName: 'HashedTimelockERC20',
+  sourceName: 'contracts/evm/HashedTimelockERC20.sol',
+  compiler: { version: solc.version(), ...SETTINGS },
+  abi: contract.abi,
+  bytecode: `0x${contract.evm.bytecode.object}`
+}, null, 2)}\n`);
+
+console.log(`✅ HashedTimelockERC20 compiled with solc ${solc.version()} (${contract.evm.bytecode.object.length / 2} bytes)`);
@@ -0,0 +1,29 @@
+// Deploy HashedTimelockERC20 with the configured test wallet.
+// Usage: node src/server/scripts/deploy-htlc.js <ethereum|celo>
+import 'dotenv/config';
+import { initializeTestWallets, getWalletInstance } from '../services/wallets.js';
+import { getTxManager } from '../services/tx-manager.js';
+import { deployHtlc } from '../services/htlc.js';
+
+const chain = process.argv[2];
+
+if (!['ethereum', 'celo'].includes(chain)) {
+  console.error('Usage: node src/server/scripts/deploy-htlc.js <ethereum|celo>');
+  process.exit(1);
+}
+
+await initializeTestWallets();
+const wallet = getWalletInstance(chain);
+if (!wallet) {
+  console.error(`❌ No ${chain} wallet configured`);
+  process.exit(1);
+}
+
+const manager = getTxManager(chain);
+const { address, txHash } = await deployHtlc(wallet, {
+  send: (request, options) => manager.sendAndWait(request, options)
+});
+
+console.log(`✅ HashedTimelockERC20 deployed on ${chain}: ${address} (${txHash})`);
+console.log(`   Add to .env: ${chain.toUpperCase()}_HTLC_ADDRESS=${address}`);
+process.exit(0);
@@ -0,0 +1,296 @@
+import { ethers } from 'ethers';
+import { CHAIN_CONFIG, TOKEN_DECIMALS, PERMIT2_ADDRESS } from '../config/chains.js';
+import { getWalletInstance } from './wallets.js';
+import { getTxManager } from './tx-manager.js';
+import { nativeToUSD } from './fee-strategy.js';
+
+// ================================
+// TOKEN ALLOWANCES AND PERMITS
+// ================================
+
+const ALLOWANCE_CHAINS = ['ethereum', 'celo'];
+
+// Permits are signed to expire with the swap they ride along with
+const PERMIT_TTL_SECONDS = 1800;
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+const EIP2612_ABI = [
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)'
+];
+
+const EIP2612_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Permit2 is only audited and revoked here, never signed for. Our spenders
+// are Uniswap's SwapRouter and SwapRouter02, which pull tokens with the
+// token's own transferFrom and redeem permits through selfPermit (EIP-2612);
+// neither calls Permit2, so a Permit2 signature or allowance would never be
+// used. Only the Universal Router redeems those. Tokens without EIP-2612 get
+// a plain approval (ensureAllowance).
+const PERMIT2_ABI = [
+  'function allowance(address user, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)',
+  'function lockdown((address token, address spender)[] approvals)'
+];
+
+// token address -> EIP-712 domain, or null when the token has no usable permit
+const permitDomains = new Map();
+
+function getWallet(chain) {
+  const wallet = getWalletInstance(chain);
+  if (!ALLOWANCE_CHAINS.includes(chain) || !wallet?.provider) {
+    throw new Error(`No EVM wallet for ${chain}`);
+  }
+  return wallet;
+}
+
+function getTokenSymbol(chain, tokenAddress) {
+  const entry = Object.entries(CHAIN_CONFIG[chain].tokens)
+    .find(([, address]) => address.toLowerCase() === tokenAddress.toLowerCase());
+  return entry ? entry[0] : tokenAddress;
+}
+
+// Contracts that may hold an allowance from our wallet on a chain.
+// Unconfigured ones (no address) are left out.
+export function getKnownSpenders(chain) {
+  const config = CHAIN_CONFIG[chain];
+  const spenders = [];
+
+  if (config.uniswap?.router) {
+    spenders.push({ name: 'uniswap_v3_router', address: config.uniswap.router });
+  }
+  if (config.ubeswap?.router) {
+    spenders.push({ name: 'ubeswap_router', address: config.ubeswap.router });
+  }
+  for (const [pool, address] of Object.entries(config.curve || {})) {
+    if (address) {
+      spenders.push({ name: `curve_${pool}`, address });
+    }
+  }
+  spenders.push({ name: 'permit2', address: PERMIT2_ADDRESS });
+
+  // Some configured addresses are not checksummed
+  return spenders.map(spender => ({ ...spender, address: ethers.getAddress(spender.address.toLowerCase()) }));
+}
+
+// A request naming a chain, token, spender or allowance type we do not know;
+// carries the HTTP status the route should answer with
+class AllowanceRequestError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AllowanceRequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Token symbol or address -> address
+function resolveToken(chain, token) {
+  if (ethers.isAddress(token)) return ethers.getAddress(token.toLowerCase());
+
+  const { tokens } = CHAIN_CONFIG[chain];
+  const address = Object.hasOwn(tokens, token) ? tokens[token] : null;
+  if (!address) throw new AllowanceRequestError(`Unknown ${chain} token: ${token}`);
+  return address;
+}
+
+// Spender name (as listed by getAllowances) or address -> address
+function resolveSpender(chain, spender) {
+  if (ethers.isAddress(spender)) return ethers.getAddress(spender.toLowerCase());
+
+  const known = getKnownSpenders(chain).find(s => s.name === spender);
+  if (!known) throw new AllowanceRequestError(`Unknown ${chain} spender: ${spender}`);
+  return known.address;
+}
+
+// Approve `spender` for exactly `amount` (base units) unless the allowance
+// already covers it. Approving the exact amount leaves nothing behind once the
+// swap has pulled it. The approval is held to `maxGasCostUSD`, and what it cost
+// comes back as gasCostUSD so the swap can be held to the rest.
+export async function ensureAllowance(chain, { token, spender, amount, maxGasCostUSD = null }) {
+  const wallet = getWallet(chain);
+  const symbol = getTokenSymbol(chain, token);
+  const contract = new ethers.Contract(token, ERC20_ABI, wallet);
+
+  const current = await contract.allowance(wallet.address, spender);
+  if (current >= amount) {
+    console.log(`✅ Sufficient ${symbol} allowance already exists`);
+    return { method: 'existing', allowance: current.toString(), gasCostUSD: 0 };
+  }
+
+  console.log(`📝 Approving ${symbol} spending...`);
+  const receipt = await getTxManager(chain).sendAndWait(
+    await contract.approve.populateTransaction(spender, amount),
+    { label: `approve ${symbol}`, maxGasCostUSD }
+  );
+  const gasCostUSD = await nativeToUSD(chain, receipt.gasUsed * receipt.gasPrice);
+
+  console.log(`✅ ${symbol} approval completed: ${receipt.hash}`);
+  return { method: 'approve', txHash: receipt.hash, allowance: amount.toString(), gasCostUSD };
+}
+
+// ================================
+// EIP-2612 PERMITS
+// ================================
+
+// The token's EIP-712 domain, only when it matches the token's own
+// DOMAIN_SEPARATOR (otherwise signatures would not verify)
+async function getPermitDomain(chain, tokenAddress) {
+  const key = `${chain}:${tokenAddress.toLowerCase()}`;
+  if (permitDomains.has(key)) return permitDomains.get(key);
+
+  const token = new ethers.Contract(tokenAddress, EIP2612_ABI, getWallet(chain).provider);
+  let domain = null;
+
+  try {
+    const [name, separator] = await Promise.all([
+      token.name(),
+      token.DOMAIN_SEPARATOR(),
+      token.nonces(ethers.ZeroAddress)
+    ]);
+    const version = await token.version().catch(() => '1');
+    const candidate = { name, version, chainId: CHAIN_CONFIG[chain].chainId, verifyingContract: tokenAddress };
+
+    if (ethers.TypedDataEncoder.hashDomain(candidate) === separator) {
+      domain = candidate;
+    }
+  } catch (error) {
+    // No DOMAIN_SEPARATOR / nonces: not an EIP-2612 token
+  }
+
+  permitDomains.set(key, domain);
+  return domain;
+}
+
+// Sign an EIP-2612 permit for `spender`, or return null when the token does not support one
+export async function signPermit(chain, { token, spender, amount, deadline = Math.floor(Date.now() / 1000) + PERMIT_TTL_SECONDS }) {
+  const domain = await getPermitDomain(chain, token);
+  if (!domain) return null;
+
+  const wallet = getWallet(chain);
+  const nonce = await new ethers.Contract(token, EIP2612_ABI, wallet.provider).nonces(wallet.address);
+  const signature = ethers.Signature.from(await wallet.signTypedData(domain, EIP2612_TYPES, {
+    owner: wallet.address,
+    spender,
+    value: amount,
+    nonce,
+    deadline
+  }));
+
+  return { token, spender, amount, deadline, v: signature.v, r: signature.r, s: signature.s };
+}
+
+// ================================
+// ALLOWANCE AUDIT
+// ================================
+
+function describeAllowance(chain, tokenAddress, spender, amount, extra = {}) {
+  const symbol = getTokenSymbol(chain, tokenAddress);
+  const decimals = TOKEN_DECIMALS[chain]?.[symbol] ?? 18;
+
+  return {
+    chain,
+    token: symbol,
+    tokenAddress,
+    spender: spender.name,
+    spenderAddress: spender.address,
+    allowance: amount.toString(),
+    formatted: amount >= ethers.MaxUint256 / 2n ? 'unlimited' : ethers.formatUnits(amount, decimals),
+    ...extra
+  };
+}
+
+// Current allowances from our wallets to every known spender. Tokens approved
+// to Permit2 also list the per-spender allowances held inside Permit2.
+export async function getAllowances({ chain = null, includeZero = false } = {}) {
+  const chains = chain ? [chain] : ALLOWANCE_CHAINS;
+  const allowances = [];
+  const errors = [];
+
+  for (const name of chains) {
+    const wallet = getWalletInstance(name);
+    if (!ALLOWANCE_CHAINS.includes(name) || !wallet?.provider) {
+      errors.push({ chain: name, error: 'No EVM wallet' });
+      continue;
+    }
+
+    const spenders = getKnownSpenders(name);
+    const permit2 = new ethers.Contract(PERMIT2_ADDRESS, PERMIT2_ABI, wallet.provider);
+
+    for (const tokenAddress of Object.values(CHAIN_CONFIG[name].tokens)) {
+      try {
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, wallet.provider);
+        const amounts = await Promise.all(spenders.map(spender => token.allowance(wallet.address, spender.address)));
+
+        spenders.forEach((spender, index) => {
+          if (includeZero || amounts[index] > 0n) {
+            allowances.push(describeAllowance(name, tokenAddress, spender, amounts[index], { via: 'erc20' }));
+          }
+        });
+
+        const permit2Index = spenders.findIndex(spender => spender.address === PERMIT2_ADDRESS);
+        if (amounts[permit2Index] === 0n) continue;
+
+        const now = Math.floor(Date.now() / 1000);
+        for (const spender of spenders.filter(s => s.address !== PERMIT2_ADDRESS)) {
+          const { amount, expiration } = await permit2.allowance(wallet.address, tokenAddress, spender.address);
+          if (includeZero || amount > 0n) {
+            allowances.push(describeAllowance(name, tokenAddress, spender, amount, {
+              via: 'permit2',
+              expiration: new Date(Number(expiration) * 1000).toISOString(),
+              expired: Number(expiration) < now
+            }));
+          }
+        }
+      } catch (error) {
+        errors.push({ chain: name, token: getTokenSymbol(name, tokenAddress), error: error.message });
+      }
+    }
+  }
+
+  return { allowances, errors };
+}
+
+// Set an allowance back to zero. `via: 'permit2'` revokes a spender inside
+// Permit2 (lockdown) rather than the token's own allowance.
+// Bad input is refused with an AllowanceRequestError before anything is sent.
+export async function revokeAllowance(chain, { token, spender, via = 'erc20' }) {
+  if (!ALLOWANCE_CHAINS.includes(chain)) {
+    throw new AllowanceRequestError(`Unknown allowance chain: ${chain} (expected ${ALLOWANCE_CHAINS.join(' or ')})`);
+  }
+  if (via !== 'erc20' && via !== 'permit2') {
+    throw new AllowanceRequestError(`Unknown allowance type: ${via} (expected erc20 or permit2)`);
+  }
+
+  const tokenAddress = resolveToken(chain, token);
+  const spenderAddress = resolveSpender(chain, spender);
+  const wallet = getWallet(chain);
+  const symbol = getTokenSymbol(chain, tokenAddress);
+  const manager = getTxManager(chain);
+
+  let request;
+  if (via === 'permit2') {
+    const permit2 = new ethers.Contract(PERMIT2_ADDRESS, PERMIT2_ABI, wallet);
+    request = await permit2.lockdown.populateTransaction([{ token: tokenAddress, spender: spenderAddress }]);
+  } else {
+    const contract = new ethers.Contract(tokenAddress, ERC20_ABI, wallet);
+    request = await contract.approve.populateTransaction(spenderAddress, 0n);
+  }
+
+  const receipt = await manager.sendAndWait(request, { label: `revoke ${symbol}${via === 'permit2' ? ' (permit2)' : ''}` });
+  console.log(`🧹 Revoked ${symbol} allowance for ${spenderAddress} on ${chain}: ${receipt.hash}`);
+
+  return { chain, token: symbol, tokenAddress, spender: spenderAddress, via, txHash: receipt.hash };
+}
@@ -1,14 +1,49 @@
 import { ethers } from 'ethers';
 import { SuiClient } from '@mysten/sui.js/client';
 import { CHAIN_CONFIG } from '../config/chains.js';
+import { ethWallet, celoWallet, suiClient } from './wallets.js';
+import { createRepository } from './persistence.js';
+import { SwapState } from './swap-state.js';
 
 // Global provider instances
 let ethProvider = null;
 let suiProvider = null;
 
-// Storage for swap states and wallet connections
-export const swapStates = new Map();
-export const walletConnections = new Map();
+// Read-only providers created on demand when no wallet is connected
+const readProviders = new Map();
+let readSuiClient = null;
+
+// Storage for swap states and wallet connections, reloaded at startup
+export const swapStates = createRepository('swapStates', { revive: SwapState.restore });
+export const walletConnections = createRepository('walletConnections');
+
+// Get a provider for read-only calls (quotes, pool state) on an EVM chain
+export function getProvider(chain) {
+  if (chain === 'ethereum') {
+    if (ethWallet?.provider) return ethWallet.provider;
+    if (global.ethProvider) return global.ethProvider;
+  } else if (chain === 'celo') {
+    if (celoWallet?.provider) return celoWallet.provider;
+  } else {
+    throw new Error(`No EVM provider for chain: ${chain}`);
+  }
+
+  if (!readProviders.has(chain)) {
+    readProviders.set(chain, new ethers.JsonRpcProvider(CHAIN_CONFIG[chain].rpc));
+  }
+  return readProviders.get(chain);
+}
+
+// Get a Sui client for reads, preferring the one bound to the test wallet
+export function getSuiClient() {
+  if (suiClient) return suiClient;
+  if (global.suiProvider) return global.suiProvider;
+
+  if (!readSuiClient) {
+    readSuiClient = new SuiClient({ url: CHAIN_CONFIG.sui.rpc });
+  }
+  return readSuiClient;
+}
 
 // Check cross-chain spread function
 export async function checkCrossChainSpread(fromChain, toChain, fromToken, toToken, minSpread) {
@@ -1,35 +1,26 @@
 import { ethers } from 'ethers';
 import { celoWallet } from './wallets.js';
-import { CHAIN_CONFIG } from '../config/chains.js';
-
-// ================================
-// CELO DEX INTEGRATIONS
-// ================================
-
-// Ubeswap Router ABI (Uniswap V2 style)
-const UBESWAP_ROUTER_ABI = [
-  'function getAmountsOut(uint amountIn, address[] calldata path) external view returns (uint[] memory amounts)',
-  'function getAmountsIn(uint amountOut, address[] calldata path) external view returns (uint[] memory amounts)',
-  'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
-  'function swapTokensForExactTokens(uint amountOut, uint amountInMax, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)'
-];
-
-// Uniswap V3 Router ABI (for Celo)
-const UNISWAP_V3_ROUTER_ABI = [
-  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) external payable returns (uint256 amountOut)'
-];
-
-// Curve Finance ABI (for stable swaps)
-const CURVE_ABI = [
-  'function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy) external returns (uint256)',
-  'function get_dy(int128 i, int128 j, uint256 dx) external view returns (uint256)'
-];
+import { CHAIN_CONFIG, TOKEN_DECIMALS } from '../config/chains.js';
+import { UBESWAP_ROUTER_ABI, findUbeswapPath } from './ubeswap.js';
+import { selectFeeTier, getSwapRouter, buildExactInputSingleParams, buildRouterSwapCall } from './uniswap-v3.js';
+import { quoteCurveGetDy, getCurvePoolForSigner, curveMethod } from './curve.js';
+import { getPriceSource, PRICE_VENUES } from './price-sources.js';
+import { buildProfitCurve, buildTwoVenueRoute, summarizeSizing } from './trade-sizing.js';
+import { getEvmSwapOutput, describeSwapOutput } from './receipts.js';
+import { preflightEvmSwap, assertPreflight } from './preflight.js';
+import { getTxManager } from './tx-manager.js';
+import { ensureAllowance, signPermit } from './allowances.js';
+import { remainingGasBudget } from './fee-strategy.js';
+
+// Default trade size (in tokenA units) used when pricing a pair
+const DEFAULT_QUOTE_SIZE = 100;
 
 // ================================
 // CELO STABLECOIN ARBITRAGE
 // ================================
 
-export async function executeCeloStablecoinSwap(tokenIn, tokenOut, amountIn, minAmountOut, dexPreference = 'ubeswap') {
+// With options.preflight the swap is only simulated (staticCall) and nothing is sent
+export async function executeCeloStablecoinSwap(tokenIn, tokenOut, amountIn, minAmountOut, dexPreference = 'ubeswap', options = {}) {
   try {
     console.log(`🌟 Executing Celo swap: ${amountIn} ${tokenIn} → ${tokenOut} via ${dexPreference}`);
 
@@ -48,13 +39,13 @@ export async function executeCeloStablecoinSwap(tokenIn, tokenOut, amountIn, min
 
     switch (dexPreference) {
       case 'ubeswap':
-        swapResult = await executeUbeswapSwap(tokenInAddress, tokenOutAddress, amountIn, minAmountOut, tokenIn, tokenOut);
+        swapResult = await executeUbeswapSwap(tokenInAddress, tokenOutAddress, amountIn, minAmountOut, tokenIn, tokenOut, options);
         break;
       case 'uniswap_v3':
-        swapResult = await executeCeloUniswapV3Swap(tokenInAddress, tokenOutAddress, amountIn, minAmountOut, tokenIn, tokenOut);
+        swapResult = await executeCeloUniswapV3Swap(tokenInAddress, tokenOutAddress, amountIn, minAmountOut, tokenIn, tokenOut, options);
         break;
       case 'curve':
-        swapResult = await executeCurveStableSwap(tokenIn, tokenOut, amountIn, minAmountOut);
+        swapResult = await executeCurveStableSwap(tokenIn, tokenOut, amountIn, minAmountOut, options);
         break;
       default:
         throw new Error(`Unsupported DEX: ${dexPreference}`);
@@ -82,53 +73,96 @@ export async function executeCeloStablecoinSwap(tokenIn, tokenOut, amountIn, min
 // UBESWAP INTEGRATION (V2 STYLE)
 // ================================
 
-async function executeUbeswapSwap(tokenInAddress, tokenOutAddress, amountIn, minAmountOut, tokenInSymbol, tokenOutSymbol) {
+async function executeUbeswapSwap(tokenInAddress, tokenOutAddress, amountIn, minAmountOut, tokenInSymbol, tokenOutSymbol, options = {}) {
   try {
-    if (process.env.ENABLE_REAL_TRADING === 'true') {
+    const tokenInDecimals = getTokenDecimals(tokenInSymbol);
+    const tokenOutDecimals = getTokenDecimals(tokenOutSymbol);
+    const amountInWei = ethers.parseUnits(Number(amountIn).toFixed(tokenInDecimals), tokenInDecimals);
+    const minAmountOutWei = ethers.parseUnits(Number(minAmountOut).toFixed(tokenOutDecimals), tokenOutDecimals);
+
+    // Direct pair or a route through CELO / cUSD, whichever returns the most
+    const route = await findUbeswapPath(tokenInSymbol, tokenOutSymbol, amountInWei);
+    console.log(`🧭 Ubeswap path ${route.symbols.join(' → ')} (quoted ${route.quotedOutput} ${tokenOutSymbol})`);
+
+    if (route.amountOut < minAmountOutWei) {
+      throw new Error(`Best Ubeswap quote ${route.quotedOutput} ${tokenOutSymbol} (${route.symbols.join(' → ')}) below minimum ${minAmountOut}`);
+    }
+
+    const pathSummary = {
+      symbols: route.symbols,
+      path: route.path,
+      alternatives: route.alternatives,
+      skipped: route.skipped
+    };
+
+    if (options.preflight || process.env.ENABLE_REAL_TRADING === 'true') {
       const router = new ethers.Contract(
         CHAIN_CONFIG.celo.ubeswap.router,
         UBESWAP_ROUTER_ABI,
         celoWallet
       );
 
-      // Approve token spending
-      if (tokenInSymbol !== 'CELO') {
-        await approveToken(tokenInAddress, CHAIN_CONFIG.celo.ubeswap.router, amountIn, tokenInSymbol);
-      }
-
-      // Prepare swap path
-      const path = [tokenInAddress, tokenOutAddress];
       const deadline = Math.floor(Date.now() / 1000) + 1800; // 30 minutes
+      const swapArgs = [
+        amountInWei,
+        minAmountOutWei,
+        route.path,
+        celoWallet.address,
+        deadline
+      ];
 
-      // Get token decimals
-      const tokenInDecimals = getTokenDecimals(tokenInSymbol);
-      const tokenOutDecimals = getTokenDecimals(tokenOutSymbol);
+      const checkSwap = () => preflightEvmSwap({
+        wallet: celoWallet,
+        tokenIn: tokenInAddress,
+        spender: CHAIN_CONFIG.celo.ubeswap.router,
+        amountIn: amountInWei,
+        minAmountOut: minAmountOutWei,
+        decimalsOut: tokenOutDecimals,
+        simulate: async () => (await router.swapExactTokensForTokens.staticCall(...swapArgs)).at(-1),
+        estimateGas: () => router.swapExactTokensForTokens.estimateGas(...swapArgs)
+      });
 
-      const amountInWei = ethers.parseUnits(amountIn.toString(), tokenInDecimals);
-      const minAmountOutWei = ethers.parseUnits(minAmountOut.toString(), tokenOutDecimals);
+      let preflight = await checkSwap();
+      if (options.preflight) {
+        return {
+          success: preflight.ok,
+          error: preflight.error,
+          preflight,
+          ubeswapPath: pathSummary,
+          estimatedOutput: route.quotedOutput
+        };
+      }
+      assertPreflight(preflight);
+
+      // CELO is an ERC-20 on Celo, so it is approved like any other token.
+      // The Ubeswap (V2) router has no selfPermit, so this is always an approval.
+      const maxGasCostUSD = options.maxGasCostUSD ?? null;
+      const approval = await ensureAllowance('celo', { token: tokenInAddress, spender: CHAIN_CONFIG.celo.ubeswap.router, amount: amountInWei, maxGasCostUSD });
+
+      if (preflight.approvalRequired) {
+        preflight = await checkSwap();
+        assertPreflight(preflight);
+      }
 
       // Execute swap
-      const tx = await router.swapExactTokensForTokens(
-        amountInWei,
-        minAmountOutWei,
-        path,
-        celoWallet.address,
-        deadline,
-        {
-          value: tokenInSymbol === 'CELO' ? amountInWei : 0,
-          gasLimit: 250000
-        }
+      const receipt = await getTxManager('celo').sendAndWait(
+        await router.swapExactTokensForTokens.populateTransaction(...swapArgs),
+        { label: `Ubeswap ${tokenInSymbol}→${tokenOutSymbol}`, maxGasCostUSD: remainingGasBudget(maxGasCostUSD, approval.gasCostUSD) }
       );
-
-      const receipt = await tx.wait();
+      const output = getEvmSwapOutput(receipt, tokenOutAddress, celoWallet.address);
 
       return {
         success: true,
-        txHash: tx.hash,
+        txHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString(),
-        explorer: `https://alfajores.celoscan.io/tx/${tx.hash}`,
-        estimatedOutput: (amountIn * 0.997).toString() // 0.3% fee
+        explorer: `https://alfajores.celoscan.io/tx/${receipt.hash}`,
+        ubeswapPath: pathSummary,
+        estimatedOutput: route.quotedOutput,
+        ...describeSwapOutput(output.amountOut, route.amountOut, tokenOutDecimals, output.outputSource),
+        swapEvents: output.swaps,
+        approval,
+        preflight
       };
     } else {
       // Simulation mode
@@ -140,7 +174,9 @@ async function executeUbeswapSwap(tokenInAddress, tokenOutAddress, amountIn, min
         blockNumber: Math.floor(Math.random() * 1000000) + 20000000,
         gasUsed: '180000',
         explorer: `https://alfajores.celoscan.io/tx/${simulatedTxHash}`,
-        estimatedOutput: (amountIn * 0.997).toString(),
+        ubeswapPath: pathSummary,
+        estimatedOutput: route.quotedOutput,
+        ...describeSwapOutput(route.amountOut, route.amountOut, tokenOutDecimals, 'quote'),
         note: 'SIMULATED UBESWAP TRANSACTION'
       };
     }
@@ -153,48 +189,107 @@ async function executeUbeswapSwap(tokenInAddress, tokenOutAddress, amountIn, min
 // UNISWAP V3 ON CELO
 // ================================
 
-async function executeCeloUniswapV3Swap(tokenInAddress, tokenOutAddress, amountIn, minAmountOut, tokenInSymbol, tokenOutSymbol) {
+async function executeCeloUniswapV3Swap(tokenInAddress, tokenOutAddress, amountIn, minAmountOut, tokenInSymbol, tokenOutSymbol, options = {}) {
   try {
-    if (process.env.ENABLE_REAL_TRADING === 'true') {
-      const router = new ethers.Contract(
-        CHAIN_CONFIG.celo.uniswap.router,
-        UNISWAP_V3_ROUTER_ABI,
-        celoWallet
-      );
+    const tokenInDecimals = getTokenDecimals(tokenInSymbol);
+    const tokenOutDecimals = getTokenDecimals(tokenOutSymbol);
+    const amountInWei = ethers.parseUnits(Number(amountIn).toFixed(tokenInDecimals), tokenInDecimals);
+    const minAmountOutWei = ethers.parseUnits(Number(minAmountOut).toFixed(tokenOutDecimals), tokenOutDecimals);
 
-      // Approve token spending
-      if (tokenInSymbol !== 'CELO') {
-        await approveToken(tokenInAddress, CHAIN_CONFIG.celo.uniswap.router, amountIn, tokenInSymbol);
-      }
+    // Stable pairs often only have a 0.01% or 0.05% pool, so quote them all
+    const tier = await selectFeeTier('celo', tokenInAddress, tokenOutAddress, amountInWei, tokenOutDecimals);
 
-      const tokenInDecimals = getTokenDecimals(tokenInSymbol);
-      const tokenOutDecimals = getTokenDecimals(tokenOutSymbol);
+    if (tier.amountOut < minAmountOutWei) {
+      throw new Error(`Best quote ${tier.selection.quotedOutput} ${tokenOutSymbol} (${tier.selection.feeTier} pool) below minimum ${minAmountOut}`);
+    }
 
-      const swapParams = {
+    if (options.preflight || process.env.ENABLE_REAL_TRADING === 'true') {
+      const router = getSwapRouter('celo', celoWallet);
+
+      const swapParams = buildExactInputSingleParams(router, {
         tokenIn: tokenInAddress,
         tokenOut: tokenOutAddress,
-        fee: 3000, // 0.3% fee tier
+        fee: tier.fee,
         recipient: celoWallet.address,
         deadline: Math.floor(Date.now() / 1000) + 1800,
-        amountIn: ethers.parseUnits(amountIn.toString(), tokenInDecimals),
-        amountOutMinimum: ethers.parseUnits(minAmountOut.toString(), tokenOutDecimals),
-        sqrtPriceLimitX96: 0
+        amountIn: amountInWei,
+        amountOutMinimum: minAmountOutWei
+      });
+
+      const txOptions = {
+        value: tokenInSymbol === 'CELO' ? swapParams.amountIn : 0
       };
 
-      const tx = await router.exactInputSingle(swapParams, {
-        value: tokenInSymbol === 'CELO' ? swapParams.amountIn : 0,
-        gasLimit: 300000
+      const swapCall = permit => buildRouterSwapCall(router, 'exactInputSingle', swapParams, txOptions, permit);
+
+      const checkSwap = (permit = null) => preflightEvmSwap({
+        wallet: celoWallet,
+        tokenIn: tokenInAddress,
+        spender: router.address,
+        amountIn: amountInWei,
+        minAmountOut: minAmountOutWei,
+        decimalsOut: tokenOutDecimals,
+        permitted: Boolean(permit),
+        ...swapCall(permit)
       });
 
-      const receipt = await tx.wait();
+      let preflight = await checkSwap();
+
+      // Tokens with an EIP-2612 permit redeem it inside the swap instead of a separate approval
+      let permit = null;
+      if (preflight.approvalRequired && tokenInSymbol !== 'CELO') {
+        permit = await signPermit('celo', { token: tokenInAddress, spender: router.address, amount: amountInWei });
+        const permitted = permit && await checkSwap(permit);
+        if (permitted?.ok) {
+          preflight = permitted;
+        } else {
+          permit = null;
+        }
+      }
+
+      if (options.preflight) {
+        return {
+          success: preflight.ok,
+          error: preflight.error,
+          preflight,
+          feeTier: tier.fee,
+          feeTierSelection: tier.selection,
+          estimatedOutput: tier.selection.quotedOutput
+        };
+      }
+      assertPreflight(preflight);
+
+      // Native CELO is paid with msg.value instead
+      const maxGasCostUSD = options.maxGasCostUSD ?? null;
+      let approval = { method: permit ? 'eip2612' : 'native', gasCostUSD: 0 };
+      if (!permit && tokenInSymbol !== 'CELO') {
+        approval = await ensureAllowance('celo', { token: tokenInAddress, spender: router.address, amount: amountInWei, maxGasCostUSD });
+      }
+
+      if (preflight.approvalRequired) {
+        preflight = await checkSwap();
+        assertPreflight(preflight);
+      }
+
+      const receipt = await getTxManager('celo').sendAndWait(
+        await swapCall(permit).populate(),
+        { label: `Uniswap V3 ${tokenInSymbol}→${tokenOutSymbol}`, maxGasCostUSD: remainingGasBudget(maxGasCostUSD, approval.gasCostUSD) }
+      );
+      const output = getEvmSwapOutput(receipt, tokenOutAddress, celoWallet.address);
 
       return {
         success: true,
-        txHash: tx.hash,
+        txHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString(),
-        explorer: `https://alfajores.celoscan.io/tx/${tx.hash}`,
-        estimatedOutput: (amountIn * 0.997).toString()
+        explorer: `https://alfajores.celoscan.io/tx/${receipt.hash}`,
+        feeTier: tier.fee,
+        feeTierSelection: tier.selection,
+        estimatedOutput: tier.selection.quotedOutput,
+        ...describeSwapOutput(output.amountOut, tier.amountOut, tokenOutDecimals, output.outputSource),
+        swapEvents: output.swaps,
+        approval,
+        preflight
       };
     } else {
       // Simulation
@@ -206,7 +301,10 @@ async function executeCeloUniswapV3Swap(tokenInAddress, tokenOutAddress, amountI
         blockNumber: Math.floor(Math.random() * 1000000) + 20000000,
         gasUsed: '200000',
         explorer: `https://alfajores.celoscan.io/tx/${simulatedTxHash}`,
-        estimatedOutput: (amountIn * 0.997).toString(),
+        feeTier: tier.fee,
+        feeTierSelection: tier.selection,
+        estimatedOutput: tier.selection.quotedOutput,
+        ...describeSwapOutput(tier.amountOut, tier.amountOut, tokenOutDecimals, 'quote'),
         note: 'SIMULATED UNISWAP V3 TRANSACTION'
       };
     }
@@ -219,36 +317,82 @@ async function executeCeloUniswapV3Swap(tokenInAddress, tokenOutAddress, amountI
 // CURVE STABLE SWAPS
 // ================================
 
-async function executeCurveStableSwap(tokenIn, tokenOut, amountIn, minAmountOut) {
+async function executeCurveStableSwap(tokenIn, tokenOut, amountIn, minAmountOut, options = {}) {
   try {
-    // Map tokens to Curve pool indices
-    const stablecoinIndices = {
-      'cUSD': 0,
-      'cEUR': 1,
-      'cREAL': 2,
-      'USDC': 3
-    };
+    const tokenInAddress = CHAIN_CONFIG.celo.tokens[tokenIn];
+    const tokenOutAddress = CHAIN_CONFIG.celo.tokens[tokenOut];
 
-    const fromIndex = stablecoinIndices[tokenIn];
-    const toIndex = stablecoinIndices[tokenOut];
+    const tokenInDecimals = getTokenDecimals(tokenIn);
+    const tokenOutDecimals = getTokenDecimals(tokenOut);
 
-    if (fromIndex === undefined || toIndex === undefined) {
-      throw new Error(`Unsupported tokens for Curve: ${tokenIn}, ${tokenOut}`);
+    const amountInWei = ethers.parseUnits(Number(amountIn).toFixed(tokenInDecimals), tokenInDecimals);
+    const minAmountOutWei = ethers.parseUnits(Number(minAmountOut).toFixed(tokenOutDecimals), tokenOutDecimals);
+
+    // Coin indices come from the pool's own coins(i) ordering
+    const quote = await quoteCurveGetDy(tokenInAddress, tokenOutAddress, amountInWei);
+
+    if (quote.amountOut < minAmountOutWei) {
+      throw new Error(`Curve quote ${ethers.formatUnits(quote.amountOut, tokenOutDecimals)} ${tokenOut} below minimum ${minAmountOut}`);
     }
 
-    if (process.env.ENABLE_REAL_TRADING === 'true') {
-      // Real Curve integration would go here
-      // For now, simulate
-      const simulatedTxHash = `0x${randomBytes(32).toString('hex')}`;
+    if (options.preflight || process.env.ENABLE_REAL_TRADING === 'true') {
+      const pool = getCurvePoolForSigner(quote.pool, celoWallet);
+      const exchange = pool[curveMethod('exchange', quote.indexType)];
+      const exchangeArgs = [quote.i, quote.j, amountInWei, minAmountOutWei];
+
+      const checkSwap = () => preflightEvmSwap({
+        wallet: celoWallet,
+        tokenIn: tokenInAddress,
+        spender: quote.pool,
+        amountIn: amountInWei,
+        minAmountOut: minAmountOutWei,
+        decimalsOut: tokenOutDecimals,
+        simulate: () => exchange.staticCall(...exchangeArgs),
+        estimateGas: () => exchange.estimateGas(...exchangeArgs)
+      });
+
+      let preflight = await checkSwap();
+      if (options.preflight) {
+        return {
+          success: preflight.ok,
+          error: preflight.error,
+          preflight,
+          pool: quote.pool,
+          coinIndices: { i: quote.i, j: quote.j },
+          estimatedOutput: ethers.formatUnits(quote.amountOut, tokenOutDecimals)
+        };
+      }
+      assertPreflight(preflight);
+
+      const maxGasCostUSD = options.maxGasCostUSD ?? null;
+      const approval = await ensureAllowance('celo', { token: tokenInAddress, spender: quote.pool, amount: amountInWei, maxGasCostUSD });
+
+      if (preflight.approvalRequired) {
+        preflight = await checkSwap();
+        assertPreflight(preflight);
+      }
+
+      const receipt = await getTxManager('celo').sendAndWait(
+        await exchange.populateTransaction(...exchangeArgs),
+        { label: `Curve ${tokenIn}→${tokenOut}`, maxGasCostUSD: remainingGasBudget(maxGasCostUSD, approval.gasCostUSD) }
+      );
+
+      // What actually arrived, not what get_dy promised
+      const output = getEvmSwapOutput(receipt, tokenOutAddress, celoWallet.address);
 
       return {
         success: true,
-        txHash: simulatedTxHash,
-        blockNumber: Math.floor(Math.random() * 1000000) + 20000000,
-        gasUsed: '150000',
-        explorer: `https://alfajores.celoscan.io/tx/${simulatedTxHash}`,
-        estimatedOutput: (amountIn * 0.9995).toString(), // Very low fees for stable swaps
-        note: 'CURVE STABLE SWAP'
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        explorer: `https://alfajores.celoscan.io/tx/${receipt.hash}`,
+        pool: quote.pool,
+        coinIndices: { i: quote.i, j: quote.j },
+        quotedOutput: ethers.formatUnits(quote.amountOut, tokenOutDecimals),
+        estimatedOutput: ethers.formatUnits(quote.amountOut, tokenOutDecimals),
+        ...describeSwapOutput(output.amountOut, quote.amountOut, tokenOutDecimals, output.outputSource),
+        approval,
+        preflight
       };
     } else {
       const simulatedTxHash = `0x${randomBytes(32).toString('hex')}`;
@@ -259,7 +403,11 @@ async function executeCurveStableSwap(tokenIn, tokenOut, amountIn, minAmountOut)
         blockNumber: Math.floor(Math.random() * 1000000) + 20000000,
         gasUsed: '150000',
         explorer: `https://alfajores.celoscan.io/tx/${simulatedTxHash}`,
-        estimatedOutput: (amountIn * 0.9995).toString(),
+        pool: quote.pool,
+        coinIndices: { i: quote.i, j: quote.j },
+        quotedOutput: ethers.formatUnits(quote.amountOut, tokenOutDecimals),
+        estimatedOutput: ethers.formatUnits(quote.amountOut, tokenOutDecimals),
+        ...describeSwapOutput(quote.amountOut, quote.amountOut, tokenOutDecimals, 'quote'),
         note: 'SIMULATED CURVE STABLE SWAP'
       };
     }
@@ -272,9 +420,10 @@ async function executeCurveStableSwap(tokenIn, tokenOut, amountIn, minAmountOut)
 // CELO ARBITRAGE OPPORTUNITIES
 // ================================
 
-export async function scanCeloArbitrageOpportunities() {
+// sizingOptions are passed to buildProfitCurve (e.g. a fixed gasCostUSD)
+export async function scanCeloArbitrageOpportunities(minSpread = 0.1, tradeSize = DEFAULT_QUOTE_SIZE, sizingOptions = {}) {
   try {
-    console.log('🔍 Scanning Celo-specific arbitrage opportunities...');
+    console.log(`🔍 Scanning Celo-specific arbitrage opportunities (min spread ${minSpread}%, size ${tradeSize})...`);
 
     const opportunities = [];
 
@@ -289,9 +438,17 @@ export async function scanCeloArbitrageOpportunities() {
 
     for (const pair of celoPairs) {
       try {
-        const pairSpread = await getCeloPairSpread(pair.from, pair.to);
+        const pairSpread = await getCeloPairSpread(pair.from, pair.to, tradeSize);
+
+        if (pairSpread.spread >= minSpread) { // Lower default threshold for Celo due to higher volatility
+          // Round trip: sell on the venue paying most, buy back on the cheapest
+          const sizing = await buildProfitCurve(buildTwoVenueRoute(
+            pair.from,
+            pair.to,
+            { chain: 'celo', venue: pairSpread.sellDEX },
+            { chain: 'celo', venue: pairSpread.bestDEX }
+          ), sizingOptions);
 
-        if (pairSpread.spread >= 0.1) { // Lower threshold for Celo due to higher volatility
           opportunities.push({
             pair: `${pair.from}-${pair.to}`,
             type: pair.type,
@@ -301,8 +458,12 @@ export async function scanCeloArbitrageOpportunities() {
             uniswapV3Price: pairSpread.uniswapV3Price,
             curvePrice: pairSpread.curvePrice,
             recommendedDEX: pairSpread.bestDEX,
-            recommendedAmount: Math.min(100, Math.max(20, pairSpread.spread * 50)),
-            estimatedProfit: (pairSpread.spread * 0.8).toFixed(2) + '%',
+            sellDEX: pairSpread.sellDEX,
+            blockNumber: pairSpread.blockNumber,
+            recommendedAmount: sizing.recommended,
+            estimatedProfit: `${sizing.expectedNetProfitPercent?.toFixed(2) ?? '0.00'}%`,
+            expectedNetProfit: sizing.expectedNetProfit,
+            sizing: summarizeSizing(sizing),
             confidence: pair.type === 'stable' ? 'HIGH' : 
                        pair.type === 'forex' ? 'MEDIUM' : 'HIGH_RISK',
             specialFeatures: getCeloSpecialFeatures(pair.from, pair.to),
@@ -318,6 +479,7 @@ export async function scanCeloArbitrageOpportunities() {
       opportunities,
       totalFound: opportunities.length,
       bestSpread: opportunities.length > 0 ? Math.max(...opportunities.map(o => o.spread)) : 0,
+      priceSource: getPriceSource().name,
       celoSpecific: true,
       advantages: [
         'Low transaction fees (~$0.01)',
@@ -333,35 +495,62 @@ export async function scanCeloArbitrageOpportunities() {
   }
 }
 
-async function getCeloPairSpread(tokenA, tokenB) {
+async function getCeloPairSpread(tokenA, tokenB, tradeSize = DEFAULT_QUOTE_SIZE) {
   try {
-    // Simulate different DEX prices with realistic Celo market conditions
-    const basePrice = 1.0000;
+    const tokenAAddress = CHAIN_CONFIG.celo.tokens[tokenA];
+    const tokenBAddress = CHAIN_CONFIG.celo.tokens[tokenB];
 
-    // Ubeswap (higher volume, tighter spreads)
-    const ubeswapVariance = (Math.random() - 0.5) * 0.002; // ±0.1%
-    const ubeswapPrice = basePrice + ubeswapVariance;
+    if (!tokenAAddress || !tokenBAddress) {
+      throw new Error(`Token not found on Celo: ${tokenA} or ${tokenB}`);
+    }
 
-    // Uniswap V3 (newer, potentially different liquidity)
-    const uniswapVariance = (Math.random() - 0.5) * 0.004; // ±0.2%
-    const uniswapV3Price = basePrice + uniswapVariance;
+    // Pin all venue quotes to one block so the spread is between comparable prices
+    const source = getPriceSource();
+    const blockNumber = await source.getBlockNumber('celo');
 
-    // Curve (stable swaps, very tight for similar assets)
-    const curveVariance = (Math.random() - 0.5) * 0.001; // ±0.05%
-    const curvePrice = basePrice + curveVariance;
+    const venues = PRICE_VENUES.celo;
+    const results = await Promise.allSettled(venues.map(venue => source.quote({
+      chain: 'celo',
+      venue,
+      tokenIn: tokenA,
+      tokenOut: tokenB,
+      amountIn: tradeSize,
+      blockTag: blockNumber
+    })));
+
+    const quotes = {};
+    const quoteErrors = {};
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        quotes[venues[index]] = result.value;
+      } else {
+        quoteErrors[venues[index]] = result.reason?.message;
+      }
+    });
 
-    // Find best and worst prices
+    const ubeswapPrice = quotes.ubeswap?.price ?? null;
+    const uniswapV3Price = quotes.uniswap_v3?.price ?? null;
+    const curvePrice = quotes.curve?.price ?? null;
+
+    // Find best and worst prices among venues that actually quoted
     const prices = [
       { price: ubeswapPrice, dex: 'ubeswap' },
       { price: uniswapV3Price, dex: 'uniswap_v3' },
       { price: curvePrice, dex: 'curve' }
-    ];
+    ].filter(p => p.price !== null);
+
+    if (prices.length === 0) {
+      throw new Error(`No Celo DEX quoted ${tokenA}-${tokenB}: ${JSON.stringify(quoteErrors)}`);
+    }
 
     prices.sort((a, b) => b.price - a.price);
     const highestPrice = prices[0];
-    const lowestPrice = prices[2];
+    const lowestPrice = prices[prices.length - 1];
 
-    const spread = ((highestPrice.price - lowestPrice.price) / lowestPrice.price) * 100;
+    // A single venue has nothing to arbitrage against
+    const spread = prices.length > 1 ?
+      ((highestPrice.price - lowestPrice.price) / lowestPrice.price) * 100 :
+      0;
 
     return {
       spread: parseFloat(spread.toFixed(4)),
@@ -369,8 +558,15 @@ async function getCeloPairSpread(tokenA, tokenB) {
       ubeswapPrice,
       uniswapV3Price,
       curvePrice,
+      curvePool: quotes.curve?.pool ?? null,
+      uniswapV3FeeTier: quotes.uniswap_v3?.feeTier ?? null,
       bestDEX: lowestPrice.dex, // Buy from cheapest
       sellDEX: highestPrice.dex, // Sell at highest
+      venuesQuoted: prices.length,
+      quoteErrors,
+      tradeSize,
+      blockNumber,
+      priceSource: source.name,
       confidence: spread > 0.5 ? 'HIGH' : spread > 0.2 ? 'MEDIUM' : 'LOW'
     };
   } catch (error) {
@@ -404,48 +600,8 @@ function getCeloSpecialFeatures(tokenA, tokenB) {
 // UTILITY FUNCTIONS
 // ================================
 
-async function approveToken(tokenAddress, spenderAddress, amount, symbol) {
-  try {
-    const tokenContract = new ethers.Contract(
-      tokenAddress,
-      ['function approve(address spender, uint256 amount) returns (bool)', 'function allowance(address owner, address spender) view returns (uint256)'],
-      celoWallet
-    );
-
-    // Check current allowance
-    const currentAllowance = await tokenContract.allowance(celoWallet.address, spenderAddress);
-    const decimals = getTokenDecimals(symbol);
-    const requiredAmount = ethers.parseUnits((amount * 1.1).toString(), decimals);
-
-    if (currentAllowance >= requiredAmount) {
-      console.log(`✅ Sufficient ${symbol} allowance already exists`);
-      return 'no_approval_needed';
-    }
-
-    // Execute approval
-    const tx = await tokenContract.approve(spenderAddress, requiredAmount);
-    await tx.wait();
-
-    console.log(`✅ ${symbol} approval completed: ${tx.hash}`);
-    return tx.hash;
-  } catch (error) {
-    console.error(`${symbol} approval failed:`, error);
-    throw error;
-  }
-}
-
 function getTokenDecimals(tokenSymbol) {
-  const decimals = {
-    'CELO': 18,
-    'cUSD': 18,
-    'cEUR': 18,
-    'cREAL': 18,
-    'USDC': 6,
-    'USDT': 6,
-    'wETH': 18,
-    'wBTC': 8
-  };
-  return decimals[tokenSymbol] || 18;
+  return TOKEN_DECIMALS.celo[tokenSymbol] ?? 18;
 }
 
 function randomBytes(size) {
@@ -456,12 +612,12 @@ function randomBytes(size) {
 // CELO PRICE FEEDS
 // ================================
 
-export async function getCeloPrices(tokenPair) {
+export async function getCeloPrices(tokenPair, tradeSize = DEFAULT_QUOTE_SIZE) {
   try {
     const [tokenA, tokenB] = tokenPair.split('-');
 
-    // Simulate Celo-specific price feeds
-    const pairData = await getCeloPairSpread(tokenA, tokenB);
+    // On-chain quotes from each Celo venue for the requested size
+    const pairData = await getCeloPairSpread(tokenA, tokenB, tradeSize);
 
     return {
       pair: tokenPair,
@@ -471,6 +627,10 @@ export async function getCeloPrices(tokenPair) {
       spread: pairData.spread,
       bestBuy: pairData.bestDEX,
       bestSell: pairData.sellDEX,
+      tradeSize: pairData.tradeSize,
+      blockNumber: pairData.blockNumber,
+      priceSource: pairData.priceSource,
+      quoteErrors: pairData.quoteErrors,
       marketFeatures: getCeloSpecialFeatures(tokenA, tokenB),
       liquidityInfo: {
         ubeswap: 'High - Primary DEX',
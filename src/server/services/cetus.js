@@ -0,0 +1,329 @@
+import { normalizeStructTag, parseStructTag } from '@mysten/sui.js/utils';
+import { TransactionBlock } from '@mysten/sui.js/transactions';
+import { CHAIN_CONFIG } from '../config/chains.js';
+import { getSuiClient } from './blockchain.js';
+
+// ================================
+// CETUS CLMM POOL READER (SUI)
+// ================================
+
+// Cetus sqrt prices are Q64.64 fixed point
+const Q64 = 1n << 64n;
+
+// Cetus fee_rate is expressed in millionths (2500 = 0.25%)
+const FEE_RATE_DENOMINATOR = 1_000_000n;
+
+// Coin type -> decimals (coin metadata is immutable)
+const decimalsCache = new Map();
+
+// Registered pools that have an object id configured
+export function getCetusPools() {
+  return (CHAIN_CONFIG.sui.cetus.pools || []).filter(pool => pool.poolId);
+}
+
+// Load a pool object and decode the fields needed for pricing
+export async function getCetusPoolState(poolId) {
+  const object = await getSuiClient().getObject({
+    id: poolId,
+    options: { showContent: true, showType: true }
+  });
+
+  const content = object.data?.content;
+  if (!content || content.dataType !== 'moveObject') {
+    throw new Error(`Cetus pool ${poolId} not found or not a Move object`);
+  }
+
+  // Pool<CoinTypeA, CoinTypeB> - the type parameters fix the swap direction
+  const typeTag = parseStructTag(content.type);
+  if (typeTag.name !== 'Pool' || typeTag.typeParams.length !== 2) {
+    throw new Error(`Object ${poolId} is not a Cetus pool (${content.type})`);
+  }
+
+  const fields = content.fields;
+  const tickBits = Number(fields.current_tick_index?.fields?.bits ?? 0);
+
+  return {
+    poolId,
+    coinTypeA: normalizeStructTag(typeTag.typeParams[0]),
+    coinTypeB: normalizeStructTag(typeTag.typeParams[1]),
+    currentSqrtPrice: BigInt(fields.current_sqrt_price),
+    liquidity: BigInt(fields.liquidity),
+    feeRate: BigInt(fields.fee_rate),
+    tickSpacing: Number(fields.tick_spacing),
+    currentTickIndex: tickBits >= 2 ** 31 ? tickBits - 2 ** 32 : tickBits, // I32 stored as u32 bits
+    reserveA: BigInt(fields.coin_a),
+    reserveB: BigInt(fields.coin_b),
+    isPaused: !!fields.is_pause
+  };
+}
+
+export async function getCoinDecimals(coinType) {
+  const key = normalizeStructTag(coinType);
+  if (decimalsCache.has(key)) {
+    return decimalsCache.get(key);
+  }
+
+  const metadata = await getSuiClient().getCoinMetadata({ coinType: key });
+  if (!metadata) {
+    throw new Error(`No coin metadata for ${key}`);
+  }
+
+  decimalsCache.set(key, metadata.decimals);
+  return metadata.decimals;
+}
+
+// Output of an exact-input swap against the pool's active liquidity.
+// This treats the current liquidity as constant, i.e. it ignores tick
+// crossings, so it overstates output for trades that move the price far.
+export function computeCetusSwapOutput(state, a2b, amountIn) {
+  const { currentSqrtPrice: sqrtPrice, liquidity } = state;
+  if (liquidity === 0n || amountIn <= 0n) {
+    return { amountOut: 0n, sqrtPriceAfter: sqrtPrice };
+  }
+
+  const amountAfterFee = amountIn * (FEE_RATE_DENOMINATOR - state.feeRate) / FEE_RATE_DENOMINATOR;
+
+  let sqrtPriceAfter;
+  let amountOut;
+
+  if (a2b) {
+    // Selling A pushes the price down: √P' = L·√P / (L + Δx·√P)
+    sqrtPriceAfter = (liquidity * sqrtPrice * Q64) / (liquidity * Q64 + amountAfterFee * sqrtPrice);
+    amountOut = (liquidity * (sqrtPrice - sqrtPriceAfter)) / Q64;
+  } else {
+    // Selling B pushes the price up: √P' = √P + Δy / L
+    sqrtPriceAfter = sqrtPrice + (amountAfterFee * Q64) / liquidity;
+    amountOut = (liquidity * Q64 * (sqrtPriceAfter - sqrtPrice)) / (sqrtPrice * sqrtPriceAfter);
+  }
+
+  // Never promise more than the pool holds
+  const reserveOut = a2b ? state.reserveB : state.reserveA;
+  if (amountOut > reserveOut) amountOut = reserveOut;
+
+  return { amountOut, sqrtPriceAfter };
+}
+
+// Spot price of A in B, adjusted for decimals
+export function sqrtPriceToPrice(sqrtPrice, decimalsA, decimalsB) {
+  const ratio = Number(sqrtPrice) / Number(Q64);
+  return ratio * ratio * Math.pow(10, decimalsA - decimalsB);
+}
+
+// Load every registered pool that trades the two coin types
+export async function findCetusPools(coinTypeX, coinTypeY) {
+  const x = normalizeStructTag(coinTypeX);
+  const y = normalizeStructTag(coinTypeY);
+
+  const results = await Promise.allSettled(getCetusPools().map(pool => getCetusPoolState(pool.poolId)));
+
+  return results
+    .filter(result => result.status === 'fulfilled')
+    .map(result => result.value)
+    .filter(state =>
+      (state.coinTypeA === x && state.coinTypeB === y) ||
+      (state.coinTypeA === y && state.coinTypeB === x)
+    );
+}
+
+// Best exact-input quote across registered pools. amountIn is in base units.
+export async function quoteCetusSwap(coinTypeIn, coinTypeOut, amountIn) {
+  const coinIn = normalizeStructTag(coinTypeIn);
+  const pools = (await findCetusPools(coinTypeIn, coinTypeOut)).filter(pool => !pool.isPaused);
+
+  if (pools.length === 0) {
+    throw new Error(`No registered Cetus pool for ${coinTypeIn} / ${coinTypeOut}`);
+  }
+
+  const quotes = pools.map(pool => {
+    const a2b = pool.coinTypeA === coinIn;
+    const { amountOut, sqrtPriceAfter } = computeCetusSwapOutput(pool, a2b, amountIn);
+    return { pool, a2b, amountIn, amountOut, sqrtPriceAfter };
+  });
+
+  return quotes.reduce((best, quote) => (quote.amountOut > best.amountOut ? quote : best));
+}
+
+// Price tokenIn in tokenOut (symbols from CHAIN_CONFIG.sui.tokens) for a trade size
+export async function getCetusPrice(tokenIn, tokenOut, tradeSize) {
+  const coinTypeIn = CHAIN_CONFIG.sui.tokens[tokenIn];
+  const coinTypeOut = CHAIN_CONFIG.sui.tokens[tokenOut];
+
+  if (!coinTypeIn || !coinTypeOut) {
+    throw new Error(`Token not found on Sui: ${tokenIn} or ${tokenOut}`);
+  }
+
+  const [decimalsIn, decimalsOut] = await Promise.all([
+    getCoinDecimals(coinTypeIn),
+    getCoinDecimals(coinTypeOut)
+  ]);
+
+  const amountIn = BigInt(Math.floor(tradeSize * Math.pow(10, decimalsIn)));
+  const quote = await quoteCetusSwap(coinTypeIn, coinTypeOut, amountIn);
+
+  const amountOut = Number(quote.amountOut) / Math.pow(10, decimalsOut);
+  const priceAToB = sqrtPriceToPrice(quote.pool.currentSqrtPrice,
+    quote.a2b ? decimalsIn : decimalsOut,
+    quote.a2b ? decimalsOut : decimalsIn);
+  const spotPrice = quote.a2b ? priceAToB : 1 / priceAToB;
+  const price = amountOut / tradeSize;
+
+  return {
+    price,
+    spotPrice,
+    priceImpactPercent: spotPrice > 0 ? ((spotPrice - price) / spotPrice) * 100 : null,
+    amountIn: tradeSize.toString(),
+    amountOut: amountOut.toString(),
+    poolId: quote.pool.poolId,
+    a2b: quote.a2b,
+    feeRate: Number(quote.pool.feeRate) / Number(FEE_RATE_DENOMINATOR),
+    liquidity: quote.pool.liquidity.toString(),
+    currentSqrtPrice: quote.pool.currentSqrtPrice.toString(),
+    approximation: 'active-liquidity (no tick crossing)'
+  };
+}
+
+// Per-pool depth for a pair, for liquidity reporting
+export async function getCetusPoolLiquidity(tokenA, tokenB) {
+  const coinTypeA = CHAIN_CONFIG.sui.tokens[tokenA];
+  const coinTypeB = CHAIN_CONFIG.sui.tokens[tokenB];
+
+  if (!coinTypeA || !coinTypeB) {
+    throw new Error(`Token not found on Sui: ${tokenA} or ${tokenB}`);
+  }
+
+  const pools = await findCetusPools(coinTypeA, coinTypeB);
+
+  return Promise.all(pools.map(async pool => {
+    const [decimalsA, decimalsB] = await Promise.all([
+      getCoinDecimals(pool.coinTypeA),
+      getCoinDecimals(pool.coinTypeB)
+    ]);
+
+    return {
+      poolId: pool.poolId,
+      feeTier: `${(Number(pool.feeRate) / 10000).toString()}%`,
+      coinTypeA: pool.coinTypeA,
+      coinTypeB: pool.coinTypeB,
+      liquidity: pool.liquidity.toString(),
+      reserves: {
+        coinA: Number(pool.reserveA) / Math.pow(10, decimalsA),
+        coinB: Number(pool.reserveB) / Math.pow(10, decimalsB)
+      },
+      price: sqrtPriceToPrice(pool.currentSqrtPrice, decimalsA, decimalsB),
+      currentTickIndex: pool.currentTickIndex,
+      tickSpacing: pool.tickSpacing,
+      paused: pool.isPaused
+    };
+  }));
+}
+
+// ================================
+// CETUS SWAP TRANSACTIONS
+// ================================
+
+// Bounds of the CLMM sqrt price (tick ±443636)
+const MIN_SQRT_PRICE = 4295048016n;
+const MAX_SQRT_PRICE = 79226673515401279992447579055n;
+
+const SUI_COIN_TYPE = normalizeStructTag('0x2::sui::SUI');
+const CLOCK_OBJECT_ID = '0x6';
+
+function bigIntSqrt(value) {
+  if (value < 2n) return value;
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+// Sqrt price at which the swap stops, from the worst average price minAmountOut allows.
+// Pool price is B per A, so a2b swaps push it down and b2a swaps push it up.
+export function getSqrtPriceLimit(a2b, amountIn, minAmountOut) {
+  if (minAmountOut <= 0n) {
+    return a2b ? MIN_SQRT_PRICE : MAX_SQRT_PRICE;
+  }
+
+  const limit = a2b ?
+    bigIntSqrt((minAmountOut << 128n) / amountIn) :
+    bigIntSqrt((amountIn << 128n) / minAmountOut);
+
+  if (limit < MIN_SQRT_PRICE) return MIN_SQRT_PRICE;
+  if (limit > MAX_SQRT_PRICE) return MAX_SQRT_PRICE;
+  return limit;
+}
+
+// Owned coin objects of a type, largest first, until they cover `amount`
+export async function selectCoinsForAmount(owner, coinType, amount) {
+  const selected = [];
+  let total = 0n;
+  let cursor = null;
+
+  do {
+    const page = await getSuiClient().getCoins({ owner, coinType, cursor });
+    const coins = [...page.data].sort((a, b) => (BigInt(b.balance) > BigInt(a.balance) ? 1 : -1));
+
+    for (const coin of coins) {
+      selected.push(coin);
+      total += BigInt(coin.balance);
+      if (total >= amount) {
+        return { coins: selected, total };
+      }
+    }
+
+    cursor = page.hasNextPage ? page.nextCursor : null;
+  } while (cursor);
+
+  throw new Error(`Insufficient ${coinType} balance: have ${total}, need ${amount}`);
+}
+
+// Build an exact-input swap against a Cetus pool via pool_script_v2.
+// The entry function sends the output (and any unspent input) back to the sender.
+export async function buildCetusSwapTransaction({ owner, pool, a2b, amountIn, minAmountOut }) {
+  const { integratePackageId, globalConfig } = CHAIN_CONFIG.sui.cetus;
+  if (!integratePackageId) {
+    throw new Error('Cetus integrate package not configured (set CETUS_INTEGRATE_PACKAGE)');
+  }
+
+  const coinTypeIn = a2b ? pool.coinTypeA : pool.coinTypeB;
+  const coinTypeOut = a2b ? pool.coinTypeB : pool.coinTypeA;
+  const txb = new TransactionBlock();
+
+  // SUI is split off the gas coin; other coins are merged and split to size
+  let inputCoin;
+  if (coinTypeIn === SUI_COIN_TYPE) {
+    [inputCoin] = txb.splitCoins(txb.gas, [txb.pure(amountIn)]);
+  } else {
+    const { coins } = await selectCoinsForAmount(owner, coinTypeIn, amountIn);
+    const primary = txb.object(coins[0].coinObjectId);
+    if (coins.length > 1) {
+      txb.mergeCoins(primary, coins.slice(1).map(coin => txb.object(coin.coinObjectId)));
+    }
+    [inputCoin] = txb.splitCoins(primary, [txb.pure(amountIn)]);
+  }
+
+  const [zeroCoin] = txb.moveCall({
+    target: '0x2::coin::zero',
+    typeArguments: [coinTypeOut]
+  });
+
+  txb.moveCall({
+    target: `${integratePackageId}::pool_script_v2::${a2b ? 'swap_a2b' : 'swap_b2a'}`,
+    typeArguments: [pool.coinTypeA, pool.coinTypeB],
+    arguments: [
+      txb.object(globalConfig),
+      txb.object(pool.poolId),
+      a2b ? inputCoin : zeroCoin, // coin_a
+      a2b ? zeroCoin : inputCoin, // coin_b
+      txb.pure(true), // by_amount_in
+      txb.pure(amountIn.toString()), // amount
+      txb.pure(minAmountOut.toString()), // amount_limit: minimum output
+      txb.pure(getSqrtPriceLimit(a2b, amountIn, minAmountOut).toString()),
+      txb.object(CLOCK_OBJECT_ID)
+    ]
+  });
+
+  return { txb, coinTypeIn, coinTypeOut };
+}
@@ -0,0 +1,136 @@
+import { ethers } from 'ethers';
+import { CHAIN_CONFIG } from '../config/chains.js';
+import { getProvider } from './blockchain.js';
+
+// ================================
+// CURVE STABLE POOLS ON CELO
+// ================================
+
+// Curve Finance ABI (for stable swaps). Older pools index coins by int128,
+// newer ones (e.g. tricrypto) by uint256, so every indexed method is declared
+// both ways and called with the index type the pool's coins() answered to.
+export const CURVE_POOL_ABI = [
+  'function coins(uint256 i) external view returns (address)',
+  'function coins(int128 i) external view returns (address)',
+  'function exchange(int128 i, int128 j, uint256 dx, uint256 min_dy) external returns (uint256)',
+  'function exchange(uint256 i, uint256 j, uint256 dx, uint256 min_dy) external payable returns (uint256)',
+  'function get_dy(int128 i, int128 j, uint256 dx) external view returns (uint256)',
+  'function get_dy(uint256 i, uint256 j, uint256 dx) external view returns (uint256)'
+];
+
+const INDEX_TYPES = ['uint256', 'int128'];
+
+// Curve pools hold at most 8 coins
+const MAX_POOL_COINS = 8;
+
+// Pool address -> { coins, indexType } (pool coins never change)
+const poolCoinsCache = new Map();
+
+function normalizeAddress(address) {
+  return ethers.getAddress(address.toLowerCase());
+}
+
+function getPoolContract(poolAddress, runner = getProvider('celo')) {
+  return new ethers.Contract(normalizeAddress(poolAddress), CURVE_POOL_ABI, runner);
+}
+
+// Full signature of a pool method for the pool's index type, e.g.
+// curveMethod('exchange', 'int128') -> 'exchange(int128,int128,uint256,uint256)'
+export function curveMethod(name, indexType) {
+  const params = {
+    get_dy: [indexType, indexType, 'uint256'],
+    exchange: [indexType, indexType, 'uint256', 'uint256']
+  }[name];
+  return `${name}(${params.join(',')})`;
+}
+
+// A revert marks the end of the coin list; anything else (RPC errors) is a failed read
+function isRevert(error) {
+  return error.code === 'CALL_EXCEPTION';
+}
+
+// Read coins(i) until the pool reverts to learn its coin ordering and which
+// index type it takes. Only a read that reached the end of the list is cached.
+export async function getCurvePoolCoins(poolAddress) {
+  const key = normalizeAddress(poolAddress);
+  if (poolCoinsCache.has(key)) {
+    return poolCoinsCache.get(key);
+  }
+
+  const pool = getPoolContract(key);
+  let indexType = null;
+  let first = null;
+
+  for (const type of INDEX_TYPES) {
+    try {
+      first = normalizeAddress(await pool[`coins(${type})`](0));
+      indexType = type;
+      break;
+    } catch (error) {
+      if (!isRevert(error)) throw error;
+    }
+  }
+
+  if (!indexType) {
+    throw new Error(`Curve pool ${key} returned no coins`);
+  }
+
+  const coins = [first];
+  for (let i = 1; i < MAX_POOL_COINS; i++) {
+    try {
+      coins.push(normalizeAddress(await pool[`coins(${indexType})`](i)));
+    } catch (error) {
+      if (!isRevert(error)) throw error;
+      break; // Past the last coin
+    }
+  }
+
+  if (coins.length < 2) {
+    throw new Error(`Curve pool ${key} returned no coins`);
+  }
+
+  const poolCoins = { coins, indexType };
+  poolCoinsCache.set(key, poolCoins);
+  return poolCoins;
+}
+
+// Find a configured Curve pool holding both tokens and their coin indices
+export async function findCurvePool(tokenInAddress, tokenOutAddress) {
+  const tokenIn = normalizeAddress(tokenInAddress);
+  const tokenOut = normalizeAddress(tokenOutAddress);
+  const poolErrors = [];
+
+  for (const [name, poolAddress] of Object.entries(CHAIN_CONFIG.celo.curve)) {
+    if (!poolAddress) {
+      poolErrors.push(`${name}: pool address not configured`);
+      continue;
+    }
+
+    try {
+      const { coins, indexType } = await getCurvePoolCoins(poolAddress);
+      const i = coins.indexOf(tokenIn);
+      const j = coins.indexOf(tokenOut);
+
+      if (i >= 0 && j >= 0) {
+        return { pool: normalizeAddress(poolAddress), i, j, coins, indexType };
+      }
+    } catch (error) {
+      poolErrors.push(`${name} ${poolAddress}: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  throw new Error(`No Curve pool holds ${tokenIn} and ${tokenOut}${poolErrors.length ? ` (${poolErrors.join('; ')})` : ''}`);
+}
+
+// Quote a Curve exchange with get_dy. amountIn is in token base units.
+export async function quoteCurveGetDy(tokenInAddress, tokenOutAddress, amountIn, blockTag = 'latest') {
+  const { pool, i, j, indexType } = await findCurvePool(tokenInAddress, tokenOutAddress);
+  const amountOut = await getPoolContract(pool)[curveMethod('get_dy', indexType)](i, j, amountIn, { blockTag });
+
+  return { pool, i, j, indexType, amountIn, amountOut };
+}
+
+// Pool contract connected to a signer, for sending exchange()
+export function getCurvePoolForSigner(poolAddress, signer) {
+  return getPoolContract(poolAddress, signer);
+}
@@ -1,27 +1,25 @@
 import { ethers } from 'ethers';
-import { TransactionBlock } from '@mysten/sui.js/transactions';
 import { ethWallet, suiWallet, suiClient } from './wallets.js';
-import { CHAIN_CONFIG } from '../config/chains.js';
+import { CHAIN_CONFIG, TOKEN_DECIMALS } from '../config/chains.js';
+import { getCetusPoolLiquidity, getCoinDecimals, quoteCetusSwap, buildCetusSwapTransaction } from './cetus.js';
+import { getEvmSwapOutput, getSuiSwapOutput, describeSwapOutput } from './receipts.js';
+import { preflightEvmSwap, preflightSuiSwap, assertPreflight } from './preflight.js';
+import { getTxManager } from './tx-manager.js';
+import { ensureAllowance, signPermit } from './allowances.js';
+import { nativeToUSD, assertWithinGasBudget, remainingGasBudget } from './fee-strategy.js';
+import { getUniswapPoolLiquidity, findBestRoute, getSwapRouter, buildExactInputSingleParams, buildExactInputParams, buildRouterSwapCall } from './uniswap-v3.js';
+import { getPriceSource } from './price-sources.js';
+import { buildProfitCurve, buildTwoVenueRoute } from './trade-sizing.js';
+
+// Default trade size (in tokenA units) used when pricing a pair
+const DEFAULT_QUOTE_SIZE = 100;
 
 // ================================
 // UNISWAP V3 INTEGRATION
 // ================================
 
-// Simplified Uniswap V3 Router ABI
-const UNISWAP_ROUTER_ABI = [
-  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) external payable returns (uint256 amountOut)',
-  'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96)) external payable returns (uint256 amountIn)'
-];
-
-// ERC20 Token ABI (for approvals)
-const ERC20_ABI = [
-  'function approve(address spender, uint256 amount) returns (bool)',
-  'function allowance(address owner, address spender) view returns (uint256)',
-  'function balanceOf(address account) view returns (uint256)',
-  'function decimals() view returns (uint8)'
-];
-
-export async function executeEthereumSwap(tokenIn, tokenOut, amountIn, minAmountOut) {
+// With options.preflight the swap is only simulated (staticCall) and nothing is sent
+export async function executeEthereumSwap(tokenIn, tokenOut, amountIn, minAmountOut, options = {}) {
   try {
     console.log(`🦄 Executing Ethereum swap: ${amountIn} ${tokenIn} → ${tokenOut}`);
 
@@ -29,69 +27,148 @@ export async function executeEthereumSwap(tokenIn, tokenOut, amountIn, minAmount
       throw new Error('Ethereum wallet not initialized');
     }
 
-    const tokenInAddress = CHAIN_CONFIG.ethereum.tokens[tokenIn];
+    // Native ETH is routed as WETH and paid as the call's value: the router
+    // wraps it, so nothing is pulled with transferFrom and no allowance is needed
+    const nativeIn = tokenIn === 'ETH';
+    const routeTokenIn = nativeIn ? 'WETH' : tokenIn;
+    const tokenInAddress = CHAIN_CONFIG.ethereum.tokens[routeTokenIn];
     const tokenOutAddress = CHAIN_CONFIG.ethereum.tokens[tokenOut];
 
     if (!tokenInAddress || !tokenOutAddress) {
       throw new Error(`Token not found: ${tokenIn} or ${tokenOut}`);
     }
 
-    // For demo purposes, we'll simulate the swap
-    // In production, you'd execute real Uniswap transactions
+    const tokenInDecimals = getTokenDecimals(tokenIn);
+    const tokenOutDecimals = getTokenDecimals(tokenOut);
+    const amountInWei = ethers.parseUnits(Number(amountIn).toFixed(tokenInDecimals), tokenInDecimals);
+    const minAmountOutWei = ethers.parseUnits(Number(minAmountOut).toFixed(tokenOutDecimals), tokenOutDecimals);
 
-    if (process.env.ENABLE_REAL_TRADING === 'true') {
-      // Create Uniswap V3 router contract
-      const router = new ethers.Contract(
-        CHAIN_CONFIG.ethereum.uniswap.router,
-        UNISWAP_ROUTER_ABI,
-        ethWallet
-      );
+    // Best of the direct pool (every fee tier) and two-hop routes through other tokens
+    const route = await findBestRoute('ethereum', routeTokenIn, tokenOut, amountInWei);
+    const routeLabel = route.hops.map(hop => `${hop.tokenIn} →(${hop.feeTier}) ${hop.tokenOut}`).join(', ');
+    console.log(`🧭 Route ${routeLabel} (quoted ${route.quotedOutput} ${tokenOut})`);
 
-      // Approve token spending first (if not ETH)
-      if (tokenIn !== 'ETH' && tokenIn !== 'WETH') {
-        console.log(`📝 Approving ${tokenIn} spending...`);
-        const approvalTxHash = await approveToken(tokenInAddress, CHAIN_CONFIG.ethereum.uniswap.router, amountIn);
-        console.log(`✅ Approval transaction: ${approvalTxHash}`);
-      }
+    if (route.amountOut < minAmountOutWei) {
+      throw new Error(`Best route quote ${route.quotedOutput} ${tokenOut} (${routeLabel}) below minimum ${minAmountOut}`);
+    }
+
+    const routeSummary = {
+      symbols: route.symbols,
+      hops: route.hops,
+      fees: route.fees,
+      path: route.path,
+      alternatives: route.alternatives,
+      errors: route.errors
+    };
 
-      // Determine token decimals
-      const tokenInDecimals = getTokenDecimals(tokenIn);
-      const tokenOutDecimals = getTokenDecimals(tokenOut);
+    if (options.preflight || process.env.ENABLE_REAL_TRADING === 'true') {
+      // Create Uniswap V3 router contract
+      const router = getSwapRouter('ethereum', ethWallet);
 
-      // Prepare swap parameters
-      const swapParams = {
-        tokenIn: tokenInAddress,
-        tokenOut: tokenOutAddress,
-        fee: 3000, // 0.3% fee tier
-        recipient: ethWallet.address,
-        deadline: Math.floor(Date.now() / 1000) + 1800, // 30 minutes
-        amountIn: ethers.parseUnits(amountIn.toString(), tokenInDecimals),
-        amountOutMinimum: ethers.parseUnits(minAmountOut.toString(), tokenOutDecimals),
-        sqrtPriceLimitX96: 0 // No price limit
+      const deadline = Math.floor(Date.now() / 1000) + 1800; // 30 minutes
+      // Gas limit and fees are set by the fee strategy when the swap is sent
+      const txOptions = {
+        value: nativeIn ? amountInWei : 0
       };
 
-      // Execute swap
-      console.log(`⚡ Executing real swap transaction...`);
-      const tx = await router.exactInputSingle(swapParams, {
-        value: tokenIn === 'ETH' ? swapParams.amountIn : 0,
-        gasLimit: 300000
+      // One pool via exactInputSingle, several via an encoded path
+      const [swapMethod, swapParams] = route.hops.length === 1 ?
+        ['exactInputSingle', buildExactInputSingleParams(router, {
+          tokenIn: tokenInAddress,
+          tokenOut: tokenOutAddress,
+          fee: route.fees[0],
+          recipient: ethWallet.address,
+          deadline,
+          amountIn: amountInWei,
+          amountOutMinimum: minAmountOutWei
+        })] :
+        ['exactInput', buildExactInputParams(router, {
+          path: route.path,
+          recipient: ethWallet.address,
+          deadline,
+          amountIn: amountInWei,
+          amountOutMinimum: minAmountOutWei
+        })];
+      const swapCall = permit => buildRouterSwapCall(router, swapMethod, swapParams, txOptions, permit);
+
+      const checkSwap = (permit = null) => preflightEvmSwap({
+        wallet: ethWallet,
+        tokenIn: tokenInAddress,
+        spender: router.address,
+        amountIn: amountInWei,
+        minAmountOut: minAmountOutWei,
+        decimalsOut: tokenOutDecimals,
+        permitted: Boolean(permit),
+        native: nativeIn,
+        ...swapCall(permit)
       });
 
-      console.log(`📝 Transaction submitted: ${tx.hash}`);
+      let preflight = await checkSwap();
+
+      // Without an allowance, prefer redeeming an EIP-2612 permit inside the swap
+      // over a separate approval transaction. The router has no Permit2 path
+      // (see PERMIT2_ABI in allowances.js), so other tokens are approved.
+      let permit = null;
+      if (preflight.approvalRequired) {
+        permit = await signPermit('ethereum', { token: tokenInAddress, spender: router.address, amount: amountInWei });
+        const permitted = permit && await checkSwap(permit);
+        if (permitted?.ok) {
+          preflight = permitted;
+        } else {
+          permit = null;
+        }
+      }
 
-      // Wait for confirmation
-      const receipt = await tx.wait();
+      if (options.preflight) {
+        return {
+          success: preflight.ok,
+          error: preflight.error,
+          chain: 'ethereum',
+          preflight,
+          route: routeSummary,
+          estimatedOutput: route.quotedOutput
+        };
+      }
+      assertPreflight(preflight);
+
+      // Only a token pulled with transferFrom needs an allowance (WETH included);
+      // native ETH arrives as value and a permit is redeemed inside the swap
+      const maxGasCostUSD = options.maxGasCostUSD ?? null;
+      const approval = nativeIn ? { method: 'native', gasCostUSD: 0 } :
+        permit ? { method: 'eip2612', gasCostUSD: 0 } :
+        await ensureAllowance('ethereum', { token: tokenInAddress, spender: router.address, amount: amountInWei, maxGasCostUSD });
+
+      // The swap could not be simulated until the allowance existed
+      if (preflight.approvalRequired) {
+        preflight = await checkSwap();
+        assertPreflight(preflight);
+      }
+
+      // Nonce, confirmation and stuck-transaction replacement go through the tx manager
+      console.log(`⚡ Executing real swap transaction${permit ? ' (with permit)' : ''}...`);
+      const receipt = await getTxManager('ethereum').sendAndWait(
+        await swapCall(permit).populate(),
+        { label: `${tokenIn}→${tokenOut} swap`, maxGasCostUSD: remainingGasBudget(maxGasCostUSD, approval.gasCostUSD) }
+      );
+      const output = getEvmSwapOutput(receipt, tokenOutAddress, ethWallet.address);
 
       console.log(`✅ Real swap completed! Block: ${receipt.blockNumber}`);
 
       return {
         success: true,
-        txHash: tx.hash,
+        txHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed.toString(),
-        effectiveGasPrice: receipt.effectiveGasPrice.toString(),
-        explorer: `https://sepolia.etherscan.io/tx/${tx.hash}`,
-        estimatedOutput: (amountIn * 0.997).toString() // Simulate output after fees
+        effectiveGasPrice: receipt.gasPrice.toString(),
+        explorer: `https://sepolia.etherscan.io/tx/${receipt.hash}`,
+        feeTier: route.hops.length === 1 ? route.fees[0] : null,
+        feeTierSelection: route.directSelection,
+        route: routeSummary,
+        estimatedOutput: route.quotedOutput,
+        ...describeSwapOutput(output.amountOut, route.amountOut, tokenOutDecimals, output.outputSource),
+        swapEvents: output.swaps,
+        approval,
+        preflight
       };
     } else {
       // Simulation mode
@@ -108,7 +185,11 @@ export async function executeEthereumSwap(tokenIn, tokenOut, amountIn, minAmount
         gasUsed: '180000',
         effectiveGasPrice: '20000000000',
         explorer: `https://sepolia.etherscan.io/tx/${simulatedTxHash}`,
-        estimatedOutput: (amountIn * 0.997).toString(),
+        feeTier: route.hops.length === 1 ? route.fees[0] : null,
+        feeTierSelection: route.directSelection,
+        route: routeSummary,
+        estimatedOutput: route.quotedOutput,
+        ...describeSwapOutput(route.amountOut, route.amountOut, tokenOutDecimals, 'quote'),
         note: 'SIMULATED TRANSACTION'
       };
     }
@@ -127,7 +208,8 @@ export async function executeEthereumSwap(tokenIn, tokenOut, amountIn, minAmount
 // SUI CETUS DEX INTEGRATION
 // ================================
 
-export async function executeSuiSwap(tokenIn, tokenOut, amountIn, minAmountOut) {
+// With options.preflight the transaction is only dry-run and nothing is sent
+export async function executeSuiSwap(tokenIn, tokenOut, amountIn, minAmountOut, options = {}) {
   try {
     console.log(`🌊 Executing Sui swap: ${amountIn} ${tokenIn} → ${tokenOut}`);
 
@@ -142,29 +224,66 @@ export async function executeSuiSwap(tokenIn, tokenOut, amountIn, minAmountOut)
       throw new Error(`Token not found: ${tokenIn} or ${tokenOut}`);
     }
 
-    if (process.env.ENABLE_REAL_TRADING === 'true') {
-      // Create transaction block for real Cetus swap
-      const txb = new TransactionBlock();
-
-      // Mock Cetus swap (replace with real Cetus integration)
-      // In production, you'd use the actual Cetus SDK
-      const swapCoin = txb.moveCall({
-        target: `${CHAIN_CONFIG.sui.cetus.packageId}::pool::swap`,
-        arguments: [
-          txb.pure(Math.floor(amountIn * 1_000_000)), // Convert to proper decimals
-          txb.pure(Math.floor(minAmountOut * 1_000_000)),
-          txb.pure(false) // a2b direction
-        ],
-        typeArguments: [tokenInType, tokenOutType]
+    const [decimalsIn, decimalsOut] = await Promise.all([
+      getCoinDecimals(tokenInType),
+      getCoinDecimals(tokenOutType)
+    ]);
+    const amountInBase = ethers.parseUnits(Number(amountIn).toFixed(decimalsIn), decimalsIn);
+    const minAmountOutBase = ethers.parseUnits(Number(minAmountOut).toFixed(decimalsOut), decimalsOut);
+
+    // Best registered pool and its direction for this pair
+    const quote = await quoteCetusSwap(tokenInType, tokenOutType, amountInBase);
+    if (quote.amountOut < minAmountOutBase) {
+      throw new Error(`Cetus quote ${ethers.formatUnits(quote.amountOut, decimalsOut)} ${tokenOut} is below minimum ${minAmountOut}`);
+    }
+
+    const poolSummary = {
+      poolId: quote.pool.poolId,
+      a2b: quote.a2b,
+      feeRate: Number(quote.pool.feeRate) / 1_000_000
+    };
+    const estimatedOutput = ethers.formatUnits(quote.amountOut, decimalsOut);
+
+    if (options.preflight || process.env.ENABLE_REAL_TRADING === 'true') {
+      const owner = suiWallet.getPublicKey().toSuiAddress();
+      const { txb } = await buildCetusSwapTransaction({
+        owner,
+        pool: quote.pool,
+        a2b: quote.a2b,
+        amountIn: amountInBase,
+        minAmountOut: minAmountOutBase
+      });
+
+      txb.setGasBudget(50_000_000); // 0.05 SUI
+
+      const preflight = await preflightSuiSwap({
+        client: suiClient,
+        txb,
+        owner,
+        coinTypeOut: tokenOutType,
+        minAmountOut: minAmountOutBase,
+        decimalsOut
       });
 
-      // Transfer result to sender
-      txb.transferObjects([swapCoin], txb.pure(suiWallet.getPublicKey().toSuiAddress()));
+      if (options.preflight) {
+        return {
+          success: preflight.ok,
+          error: preflight.error,
+          chain: 'sui',
+          preflight,
+          pool: poolSummary,
+          estimatedOutput
+        };
+      }
+      assertPreflight(preflight);
 
-      // Set gas budget
-      txb.setGasBudget(10_000_000); // 0.01 SUI
+      // The dry run's net cost (MIST) against what the trade may still spend on gas
+      const maxGasCostUSD = options.maxGasCostUSD ?? null;
+      if (maxGasCostUSD !== null) {
+        const expectedCostUSD = preflight.gasEstimate ? await nativeToUSD('sui', BigInt(preflight.gasEstimate)) : null;
+        assertWithinGasBudget('sui', expectedCostUSD, maxGasCostUSD);
+      }
 
-      // Sign and execute
       console.log(`⚡ Executing real Sui transaction...`);
       const result = await suiClient.signAndExecuteTransactionBlock({
         signer: suiWallet,
@@ -172,9 +291,15 @@ export async function executeSuiSwap(tokenIn, tokenOut, amountIn, minAmountOut)
         options: {
           showEffects: true,
           showObjectChanges: true,
+          showBalanceChanges: true
         }
       });
 
+      if (result.effects.status.status !== 'success') {
+        throw new Error(`Cetus swap aborted: ${result.effects.status.error}`);
+      }
+
+      const output = getSuiSwapOutput(result, owner, tokenOutType);
       console.log(`✅ Real Sui swap completed! Digest: ${result.digest}`);
 
       return {
@@ -183,7 +308,14 @@ export async function executeSuiSwap(tokenIn, tokenOut, amountIn, minAmountOut)
         gasUsed: result.effects.gasUsed,
         status: result.effects.status.status,
         explorer: `https://suiexplorer.com/txblock/${result.digest}?network=testnet`,
-        estimatedOutput: (amountIn * 0.9995).toString()
+        pool: poolSummary,
+        estimatedOutput,
+        ...describeSwapOutput(output.amountOut, quote.amountOut, decimalsOut, output.outputSource),
+        receivedCoin: {
+          coinType: output.coinType,
+          objectIds: output.objectIds
+        },
+        preflight
       };
     } else {
       // Simulation mode
@@ -199,7 +331,9 @@ export async function executeSuiSwap(tokenIn, tokenOut, amountIn, minAmountOut)
         gasUsed: { computationCost: '1000000', storageCost: '100000' },
         status: 'success',
         explorer: `https://suiexplorer.com/txblock/${simulatedTxHash}?network=testnet`,
-        estimatedOutput: (amountIn * 0.9995).toString(),
+        pool: poolSummary,
+        estimatedOutput,
+        ...describeSwapOutput(quote.amountOut, quote.amountOut, decimalsOut, 'quote'),
         note: 'SIMULATED TRANSACTION'
       };
     }
@@ -218,58 +352,69 @@ export async function executeSuiSwap(tokenIn, tokenOut, amountIn, minAmountOut)
 // PRICE FETCHING
 // ================================
 
-export async function getCurrentDEXPrices(tokenPair) {
+export async function getCurrentDEXPrices(tokenPair, tradeSize = DEFAULT_QUOTE_SIZE) {
   try {
     const [tokenA, tokenB] = tokenPair.split('-');
 
-    console.log(`📊 Fetching DEX prices for ${tokenPair}...`);
+    console.log(`📊 Fetching DEX prices for ${tokenPair} (size ${tradeSize} ${tokenA})...`);
 
-    // Simulate realistic price variations with small spreads
-    const basePrice = 1.0000;
-    const ethVariance = (Math.random() - 0.5) * 0.002; // ±0.1% variance
-    const suiVariance = (Math.random() - 0.5) * 0.002; // ±0.1% variance
+    // Ethereum: Uniswap V3 Quoter. Sui: Cetus pool state. Both for the requested size.
+    const source = getPriceSource();
+    const [ethereumResult, suiResult] = await Promise.allSettled([
+      getEthereumPrice(tokenA, tokenB, tradeSize),
+      source.quote({ chain: 'sui', venue: 'cetus', tokenIn: tokenA, tokenOut: tokenB, amountIn: tradeSize })
+    ]);
 
-    const ethereumPrice = basePrice + ethVariance;
-    const suiPrice = basePrice + suiVariance;
+    if (ethereumResult.status === 'rejected' && suiResult.status === 'rejected') {
+      throw new Error(`No venue priced ${tokenPair}: Ethereum: ${ethereumResult.reason.message}; Sui: ${suiResult.reason.message}`);
+    }
 
-    // Calculate spread
-    const spread = Math.abs(ethereumPrice - suiPrice) / Math.min(ethereumPrice, suiPrice) * 100;
+    const ethereumQuote = ethereumResult.status === 'fulfilled' ? ethereumResult.value : null;
+    const suiQuote = suiResult.status === 'fulfilled' ? suiResult.value : null;
+    const ethereumPrice = ethereumQuote?.price ?? null;
+    const suiPrice = suiQuote?.price ?? null;
 
-    // Add some realistic market conditions
-    const marketConditions = getMarketConditions();
-    const adjustedSpread = spread * marketConditions.volatilityMultiplier;
+    // A spread needs a price on both sides
+    const spread = ethereumPrice !== null && suiPrice !== null ?
+      Math.abs(ethereumPrice - suiPrice) / Math.min(ethereumPrice, suiPrice) * 100 :
+      0;
 
     const priceData = {
       pair: tokenPair,
-      ethereum: parseFloat(ethereumPrice.toFixed(6)),
-      sui: parseFloat(suiPrice.toFixed(6)),
-      spread: parseFloat(adjustedSpread.toFixed(4)),
-      volume24h: {
-        ethereum: Math.random() * 1000000 + 500000, // $500k-1.5M
-        sui: Math.random() * 500000 + 100000 // $100k-600k
+      tradeSize,
+      priceSource: source.name,
+      ethereum: ethereumPrice !== null ? parseFloat(ethereumPrice.toFixed(6)) : null,
+      sui: suiPrice !== null ? parseFloat(suiPrice.toFixed(6)) : null,
+      spread: parseFloat(spread.toFixed(4)),
+      quotes: {
+        ethereum: ethereumQuote,
+        sui: suiQuote
+      },
+      quoteErrors: {
+        ethereum: ethereumResult.status === 'rejected' ? ethereumResult.reason.message : null,
+        sui: suiResult.status === 'rejected' ? suiResult.reason.message : null
       },
       liquidity: {
-        ethereum: Math.random() * 5000000 + 2000000, // $2M-7M
-        sui: Math.random() * 2000000 + 500000 // $500k-2.5M
+        ethereum: null, // Not reported by the quoter
+        sui: suiQuote ? suiQuote.liquidity : null
       },
-      marketConditions,
       timestamp: new Date().toISOString(),
       lastUpdated: Date.now()
     };
 
-    console.log(`📈 ${tokenPair}: ETH=${ethereumPrice.toFixed(6)}, SUI=${suiPrice.toFixed(6)}, Spread=${adjustedSpread.toFixed(4)}%`);
+    console.log(`📈 ${tokenPair}: ETH=${ethereumPrice?.toFixed(6) ?? 'n/a'}${ethereumQuote?.feeTier ? ` (fee ${ethereumQuote.feeTier}, block ${ethereumQuote.blockNumber})` : ''}, SUI=${suiPrice?.toFixed(6) ?? 'n/a'}${suiQuote?.poolId ? ` (pool ${suiQuote.poolId})` : ''}, Spread=${spread.toFixed(4)}%`);
 
     return priceData;
 
   } catch (error) {
     console.error('Price fetch error:', error);
 
-    // Fallback to basic mock data
+    // No prices rather than made-up ones, so nothing trades on a failed fetch
     return {
       pair: tokenPair,
-      ethereum: 1.0000,
-      sui: 1.0005,
-      spread: 0.05,
+      ethereum: null,
+      sui: null,
+      spread: 0,
       timestamp: new Date().toISOString(),
       error: error.message,
       fallback: true
@@ -277,84 +422,23 @@ export async function getCurrentDEXPrices(tokenPair) {
   }
 }
 
+// Price tokenA in tokenB on Ethereum via the Uniswap V3 Quoter (or whichever price source is active)
+export async function getEthereumPrice(tokenA, tokenB, tradeSize = DEFAULT_QUOTE_SIZE) {
+  return getPriceSource().quote({
+    chain: 'ethereum',
+    venue: 'uniswap_v3',
+    tokenIn: tokenA,
+    tokenOut: tokenB,
+    amountIn: tradeSize
+  });
+}
+
 // ================================
 // UTILITY FUNCTIONS
 // ================================
 
-async function approveToken(tokenAddress, spenderAddress, amount) {
-  try {
-    const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, ethWallet);
-
-    // Check current allowance
-    const currentAllowance = await tokenContract.allowance(ethWallet.address, spenderAddress);
-    const requiredAmount = ethers.parseUnits((amount * 1.1).toString(), getTokenDecimals(getTokenSymbol(tokenAddress)));
-
-    if (currentAllowance >= requiredAmount) {
-      console.log(`✅ Sufficient allowance already exists`);
-      return 'no_approval_needed';
-    }
-
-    // Execute approval
-    const tx = await tokenContract.approve(spenderAddress, requiredAmount);
-    await tx.wait();
-
-    console.log(`✅ Token approval completed: ${tx.hash}`);
-    return tx.hash;
-  } catch (error) {
-    console.error('Token approval failed:', error);
-    throw error;
-  }
-}
-
 function getTokenDecimals(tokenSymbol) {
-  const decimals = {
-    'ETH': 18,
-    'WETH': 18,
-    'USDC': 6,
-    'USDT': 6,
-    'DAI': 18,
-    'SUI': 9,
-    'USDY': 6
-  };
-  return decimals[tokenSymbol] || 18;
-}
-
-function getTokenSymbol(tokenAddress) {
-  // Reverse lookup for token symbols
-  for (const [chain, config] of Object.entries(CHAIN_CONFIG)) {
-    for (const [symbol, address] of Object.entries(config.tokens || {})) {
-      if (address.toLowerCase() === tokenAddress.toLowerCase()) {
-        return symbol;
-      }
-    }
-  }
-  return 'UNKNOWN';
-}
-
-function getMarketConditions() {
-  // Simulate different market conditions
-  const conditions = [
-    { name: 'STABLE', volatilityMultiplier: 0.8, description: 'Low volatility market' },
-    { name: 'ACTIVE', volatilityMultiplier: 1.2, description: 'Normal trading activity' },
-    { name: 'VOLATILE', volatilityMultiplier: 1.8, description: 'High volatility period' }
-  ];
-
-  // Weighted random selection (favor stable/active over volatile)
-  const weights = [0.5, 0.4, 0.1];
-  const random = Math.random();
-  let weightSum = 0;
-
-  for (let i = 0; i < conditions.length; i++) {
-    weightSum += weights[i];
-    if (random <= weightSum) {
-      return {
-        ...conditions[i],
-        confidence: 0.7 + Math.random() * 0.3 // 70-100% confidence
-      };
-    }
-  }
-
-  return conditions[0]; // Fallback to stable
+  return TOKEN_DECIMALS.ethereum[tokenSymbol] ?? TOKEN_DECIMALS.sui[tokenSymbol] ?? 18;
 }
 
 function randomBytes(size) {
@@ -370,27 +454,57 @@ export async function checkLiquidityPools(tokenPair) {
   try {
     const [tokenA, tokenB] = tokenPair.split('-');
 
-    // Simulate liquidity pool data
+    // Uniswap V3 depth comes from the factory's pool for each fee tier
+    let uniswap = null;
+    let uniswapError = null;
+    try {
+      const tokenAAddress = CHAIN_CONFIG.ethereum.tokens[tokenA];
+      const tokenBAddress = CHAIN_CONFIG.ethereum.tokens[tokenB];
+      if (!tokenAAddress || !tokenBAddress) {
+        throw new Error(`Token not found on Ethereum: ${tokenA} or ${tokenB}`);
+      }
+      uniswap = await getUniswapPoolLiquidity('ethereum', tokenAAddress, tokenBAddress);
+    } catch (error) {
+      uniswapError = error.message;
+    }
+
+    // Cetus depth comes from the registered pool objects
+    let cetusPools = [];
+    let cetusError = null;
+    try {
+      cetusPools = await getCetusPoolLiquidity(tokenA, tokenB);
+    } catch (error) {
+      cetusError = error.message;
+    }
+
+    const uniswapTiers = (uniswap?.tiers || []).map(tier => ({
+      ...tier,
+      depthInTokenB: tier.exists ? getActiveDepthInTokenB(tier, CHAIN_CONFIG.ethereum.tokens[tokenA]) : 0
+    }));
+
     const liquidityData = {
       ethereum: {
-        uniswapV3: {
-          '0.05%': { liquidity: Math.random() * 1000000 + 500000, volume24h: Math.random() * 100000 },
-          '0.3%': { liquidity: Math.random() * 5000000 + 2000000, volume24h: Math.random() * 500000 },
-          '1%': { liquidity: Math.random() * 2000000 + 1000000, volume24h: Math.random() * 200000 }
-        }
+        uniswapV3: Object.fromEntries(uniswapTiers.map(tier => [tier.feeTier, tier])),
+        blockNumber: uniswap?.blockNumber ?? null,
+        activityWindowBlocks: uniswap?.lookbackBlocks ?? null,
+        error: uniswapError
       },
       sui: {
-        cetus: {
-          '0.05%': { liquidity: Math.random() * 500000 + 100000, volume24h: Math.random() * 50000 },
-          '0.3%': { liquidity: Math.random() * 2000000 + 500000, volume24h: Math.random() * 200000 }
-        }
+        cetus: Object.fromEntries(cetusPools.map(pool => [pool.feeTier, pool])),
+        error: cetusError
       }
     };
 
+    const deepest = uniswapTiers
+      .filter(tier => tier.exists)
+      .reduce((best, tier) => (!best || tier.depthInTokenB > best.depthInTokenB ? tier : best), null);
+
     return {
       pair: tokenPair,
       liquidity: liquidityData,
-      recommendation: 'Use 0.3% fee pools for best liquidity',
+      recommendation: deepest ?
+        `Use the ${deepest.feeTier} Uniswap pool (deepest active liquidity: ~${deepest.depthInTokenB.toFixed(2)} ${tokenB})` :
+        `No Uniswap V3 pool found for ${tokenPair} on Ethereum`,
       timestamp: new Date().toISOString()
     };
   } catch (error) {
@@ -398,48 +512,78 @@ export async function checkLiquidityPools(tokenPair) {
   }
 }
 
+// Value of a pool's in-range virtual reserves, in units of the pair's second token
+function getActiveDepthInTokenB(poolState, tokenAAddress) {
+  const { token0: reserve0, token1: reserve1 } = poolState.activeReserves;
+
+  if (poolState.token0.toLowerCase() === tokenAAddress.toLowerCase()) {
+    return reserve0 * poolState.price + reserve1; // price is tokenA in tokenB
+  }
+  return poolState.price > 0 ? reserve0 + reserve1 / poolState.price : reserve0;
+}
+
 // Export pool data for external use
 export async function getPoolInformation(tokenPair, chain = 'both') {
   try {
     const liquidityData = await checkLiquidityPools(tokenPair);
     const priceData = await getCurrentDEXPrices(tokenPair);
+    const optimalTradeSize = await calculateOptimalTradeSize(tokenPair, priceData);
 
     return {
       ...liquidityData,
       currentPrices: priceData,
-      tradingRecommendation: priceData.spread > 0.5 ? 'FAVORABLE' : 'MONITOR',
-      optimalTradeSize: calculateOptimalTradeSize(liquidityData, priceData.spread)
+      tradingRecommendation: getTradingRecommendation(liquidityData, optimalTradeSize),
+      optimalTradeSize
     };
   } catch (error) {
     throw new Error(`Pool information fetch failed: ${error.message}`);
   }
 }
 
-function calculateOptimalTradeSize(liquidityData, spread) {
-  try {
-    // Simple calculation based on liquidity and spread
-    const ethLiquidity = liquidityData.liquidity.ethereum.uniswapV3['0.3%'].liquidity;
-    const suiLiquidity = liquidityData.liquidity.sui.cetus['0.3%'].liquidity;
-    const minLiquidity = Math.min(ethLiquidity, suiLiquidity);
+// FAVORABLE only when both chains have pools and some size clears impact and gas
+function getTradingRecommendation(liquidityData, optimalTradeSize) {
+  const { ethereum, sui } = liquidityData.liquidity;
+  const hasUniswapPool = Object.values(ethereum.uniswapV3).some(tier => tier.exists);
+  const hasCetusPool = Object.keys(sui.cetus).length > 0;
 
-    // Recommend 1-5% of minimum liquidity
-    const optimalSize = Math.min(
-      minLiquidity * 0.03, // 3% of liquidity
-      parseFloat(process.env.MAX_TRADE_AMOUNT_USD) || 100 // Safety limit
-    );
+  if (!hasUniswapPool || !hasCetusPool) {
+    return 'NO_LIQUIDITY';
+  }
+  return optimalTradeSize.recommended > 0 ? 'FAVORABLE' : 'MONITOR';
+}
 
+// Size that maximises net profit for the ETH ↔ SUI round trip in the current direction
+async function calculateOptimalTradeSize(tokenPair, priceData) {
+  const maxSize = parseFloat(process.env.MAX_TRADE_AMOUNT_USD) || 100;
+
+  if (priceData.ethereum === null || priceData.sui === null) {
     return {
-      recommended: Math.floor(optimalSize),
-      min: 10,
-      max: parseFloat(process.env.MAX_TRADE_AMOUNT_USD) || 100,
-      reasoning: `Based on ${Math.floor(minLiquidity)} available liquidity`
-    };
-  } catch (error) {
-    return {
-      recommended: 50,
-      min: 10,
-      max: 100,
-      reasoning: 'Default recommendation due to calculation error'
+      recommended: 0,
+      min: 0,
+      max: maxSize,
+      reasoning: 'Pair is not priced on both chains'
     };
   }
-}
\ No newline at end of file
+
+  const [tokenA, tokenB] = tokenPair.split('-');
+  const ethereum = { chain: 'ethereum', venue: 'uniswap_v3' };
+  const sui = { chain: 'sui', venue: 'cetus' };
+
+  // Sell tokenA on whichever chain pays more tokenB for it
+  const route = priceData.ethereum > priceData.sui ?
+    buildTwoVenueRoute(tokenA, tokenB, ethereum, sui) :
+    buildTwoVenueRoute(tokenA, tokenB, sui, ethereum);
+
+  const sizing = await buildProfitCurve(route);
+  const profitableSizes = sizing.curve.filter(point => point.netProfit > 0).map(point => point.size);
+
+  return {
+    recommended: sizing.recommended,
+    min: profitableSizes.length > 0 ? Math.min(...profitableSizes) : 0,
+    max: profitableSizes.length > 0 ? Math.max(...profitableSizes) : 0,
+    expectedNetProfit: sizing.expectedNetProfit,
+    gasCostUSD: sizing.gasCostUSD,
+    reasoning: sizing.reasoning,
+    curve: sizing.curve
+  };
+}
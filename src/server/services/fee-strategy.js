@@ -0,0 +1,304 @@
+import { ethers } from 'ethers';
+import { FEE_STRATEGY_CONFIG } from '../config/chains.js';
+import { getProvider, getSuiClient } from './blockchain.js';
+import { getReferencePrice } from './oracles.js';
+import { getCetusPrice } from './cetus.js';
+
+// ================================
+// EIP-1559 FEE STRATEGY
+// ================================
+
+// Priority fee percentile of recent blocks, and headroom over the next base fee
+// (each full block can raise the base fee by 12.5%)
+export const URGENCY_LEVELS = {
+  low: { rewardPercentile: 10, baseFeeMultiplier: 1.125 },
+  medium: { rewardPercentile: 50, baseFeeMultiplier: 1.5 },
+  high: { rewardPercentile: 90, baseFeeMultiplier: 2 }
+};
+
+// Used when fees or the native token price cannot be read
+export const FALLBACK_SWAP_GAS_COST_USD = {
+  ethereum: 5,
+  sui: 0.01,
+  celo: 0.01
+};
+
+// Gas units of a typical single swap, for pricing trades before they are built
+const TYPICAL_SWAP_GAS = {
+  ethereum: 180000n,
+  celo: 200000n,
+  sui: 5000000n // computation + storage, in MIST at reference price 1
+};
+
+const NATIVE_TOKENS = {
+  ethereum: 'ETH',
+  celo: 'CELO',
+  sui: 'SUI'
+};
+
+const NATIVE_DECIMALS = {
+  ethereum: 18,
+  celo: 18,
+  sui: 9
+};
+
+const SWAP_COST_CACHE_MS = 30000;
+const swapCostCache = new Map();
+
+const NATIVE_PRICE_CACHE_MS = 30000;
+const nativePriceCache = new Map();
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function minBigInt(a, b) {
+  return a < b ? a : b;
+}
+
+// Per-gas caps for a chain, in wei
+export function getFeeCaps(chain) {
+  const caps = FEE_STRATEGY_CONFIG.caps[chain];
+  if (!caps) {
+    throw new Error(`No fee caps configured for ${chain}`);
+  }
+
+  return {
+    maxFeePerGas: ethers.parseUnits(caps.maxFeePerGasGwei.toString(), 'gwei'),
+    maxPriorityFeePerGas: ethers.parseUnits(caps.maxPriorityFeePerGasGwei.toString(), 'gwei')
+  };
+}
+
+function getUrgency(urgency) {
+  const level = URGENCY_LEVELS[urgency];
+  if (!level) {
+    throw new Error(`Unknown urgency "${urgency}" (expected ${Object.keys(URGENCY_LEVELS).join(', ')})`);
+  }
+  return level;
+}
+
+// Suggested EIP-1559 fees from eth_feeHistory over recent blocks, capped per chain.
+// Nodes without fee history fall back to getFeeData.
+export async function getFeeSuggestion(chain, urgency = FEE_STRATEGY_CONFIG.urgency) {
+  const provider = getProvider(chain);
+  const level = getUrgency(urgency);
+  const caps = getFeeCaps(chain);
+
+  let baseFeePerGas;
+  let priorityFee;
+  let source = 'feeHistory';
+
+  try {
+    const history = await provider.send('eth_feeHistory', [
+      ethers.toQuantity(FEE_STRATEGY_CONFIG.historyBlocks),
+      'latest',
+      [level.rewardPercentile]
+    ]);
+
+    // The last entry is the base fee of the block being built
+    baseFeePerGas = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+    const rewards = (history.reward || []).map(reward => BigInt(reward[0])).filter(reward => reward > 0n);
+    priorityFee = rewards.length ? median(rewards) : null;
+  } catch (error) {
+    source = 'feeData';
+  }
+
+  if (baseFeePerGas === undefined || priorityFee === null) {
+    const feeData = await provider.getFeeData();
+
+    if (baseFeePerGas === undefined && !feeData.maxFeePerGas) {
+      // Pre-London node: legacy gas price, still capped
+      const gasPrice = minBigInt(feeData.gasPrice, caps.maxFeePerGas);
+      return {
+        chain,
+        urgency,
+        source: 'feeData',
+        type: 'legacy',
+        gasPrice,
+        capped: gasPrice < feeData.gasPrice,
+        exceedsCap: feeData.gasPrice > caps.maxFeePerGas
+      };
+    }
+
+    if (baseFeePerGas === undefined) {
+      const block = await provider.getBlock('latest');
+      baseFeePerGas = block?.baseFeePerGas ?? 0n;
+    }
+    priorityFee = priorityFee ?? feeData.maxPriorityFeePerGas ?? 0n;
+  }
+
+  const maxPriorityFeePerGas = minBigInt(priorityFee, caps.maxPriorityFeePerGas);
+  const headroom = (baseFeePerGas * BigInt(Math.round(level.baseFeeMultiplier * 1000))) / 1000n;
+  const uncappedMaxFee = headroom + maxPriorityFeePerGas;
+  const maxFeePerGas = minBigInt(uncappedMaxFee, caps.maxFeePerGas);
+
+  return {
+    chain,
+    urgency,
+    source,
+    type: 'eip1559',
+    baseFeePerGas,
+    maxPriorityFeePerGas,
+    maxFeePerGas,
+    capped: maxFeePerGas < uncappedMaxFee || maxPriorityFeePerGas < priorityFee,
+    // The cap cannot even cover the next block's base fee plus tip
+    exceedsCap: baseFeePerGas + maxPriorityFeePerGas > caps.maxFeePerGas
+  };
+}
+
+// Fee fields to put on a transaction request
+export function getFeeFields(suggestion) {
+  return suggestion.type === 'legacy' ?
+    { gasPrice: suggestion.gasPrice } :
+    { maxFeePerGas: suggestion.maxFeePerGas, maxPriorityFeePerGas: suggestion.maxPriorityFeePerGas, type: 2 };
+}
+
+// Per-gas price a transaction is expected to actually pay
+function getExpectedGasPrice(suggestion) {
+  return suggestion.type === 'legacy' ?
+    suggestion.gasPrice :
+    suggestion.baseFeePerGas + suggestion.maxPriorityFeePerGas;
+}
+
+// Per-gas amounts as gwei strings, for API responses
+export function formatFeeSuggestion(suggestion) {
+  return Object.fromEntries(Object.entries(suggestion).map(([key, value]) =>
+    [key, typeof value === 'bigint' ? `${ethers.formatUnits(value, 'gwei')} gwei` : value]
+  ));
+}
+
+// SUI has no Chainlink feed we can read, so it is priced at the Cetus SUI/USDC
+// pool's spot price, valued at USDC's reference price. Null without either.
+async function getSuiPriceUSD() {
+  try {
+    const [{ spotPrice }, usdcPrice] = await Promise.all([
+      getCetusPrice('SUI', 'USDC', 1),
+      getReferencePrice('USDC', 'ethereum')
+    ]);
+    return spotPrice > 0 && usdcPrice !== null ? spotPrice * usdcPrice : null;
+  } catch (error) {
+    console.warn(`⚠️ SUI price from Cetus unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+// USD price of a chain's native token, or null. Preflight projections and
+// budget checks at send time both price gas through this.
+export async function getNativePriceUSD(chain) {
+  const cached = nativePriceCache.get(chain);
+  if (cached && Date.now() - cached.fetchedAt < NATIVE_PRICE_CACHE_MS) {
+    return cached.price;
+  }
+
+  let price = await getReferencePrice(NATIVE_TOKENS[chain], chain).catch(() => null);
+  if (price === null && chain === 'sui') {
+    price = await getSuiPriceUSD();
+  }
+
+  if (price !== null) {
+    nativePriceCache.set(chain, { price, fetchedAt: Date.now() });
+  }
+  return price;
+}
+
+// USD value of an amount of a chain's native token (wei / MIST), or null without a price
+export async function nativeToUSD(chain, amount) {
+  const price = await getNativePriceUSD(chain);
+  if (price === null) return null;
+  return parseFloat(ethers.formatUnits(amount, NATIVE_DECIMALS[chain])) * price;
+}
+
+// A USD amount in units of `symbol` at its reference price, or null without a price
+export async function usdToTokenAmount(symbol, usd, preferredChain) {
+  const price = await getReferencePrice(symbol, preferredChain).catch(() => null);
+  return price ? usd / price : null;
+}
+
+// Gas budget a trade may spend, as a share of the profit it expects
+export function getGasBudgetUSD(expectedProfitUSD) {
+  return expectedProfitUSD * FEE_STRATEGY_CONFIG.maxGasShareOfProfit;
+}
+
+// Refuse a send projected to cost more than `maxGasCostUSD`. With a budget
+// set, a cost that cannot be priced is refused too rather than assumed small.
+export function assertWithinGasBudget(chain, expectedCostUSD, maxGasCostUSD) {
+  if (maxGasCostUSD === null) return;
+
+  if (expectedCostUSD === null) {
+    throw new Error(`Gas on ${chain} cannot be priced in USD, so the $${maxGasCostUSD.toFixed(4)} budget cannot be checked`);
+  }
+  if (expectedCostUSD > maxGasCostUSD) {
+    throw new Error(`Projected gas $${expectedCostUSD.toFixed(4)} on ${chain} exceeds budget $${maxGasCostUSD.toFixed(4)}`);
+  }
+}
+
+// What is left of a gas budget after a send; a send that could not be priced uses it all
+export function remainingGasBudget(maxGasCostUSD, spentUSD) {
+  if (maxGasCostUSD === null) return null;
+  return Math.max(maxGasCostUSD - (spentUSD ?? maxGasCostUSD), 0);
+}
+
+// Estimate gas for a call and attach capped EIP-1559 fees. Refuses when the
+// next base fee is above the chain's cap or the projected cost is over (or
+// cannot be checked against) the budget.
+export async function prepareTransaction(chain, request, { from, urgency = FEE_STRATEGY_CONFIG.urgency, maxGasCostUSD = null } = {}) {
+  const provider = getProvider(chain);
+  const [gasEstimate, suggestion] = await Promise.all([
+    provider.estimateGas({ ...request, from }),
+    getFeeSuggestion(chain, urgency)
+  ]);
+
+  if (suggestion.exceedsCap) {
+    const caps = getFeeCaps(chain);
+    throw new Error(`Network fees on ${chain} exceed the ${ethers.formatUnits(caps.maxFeePerGas, 'gwei')} gwei cap`);
+  }
+
+  const gasLimit = (gasEstimate * BigInt(Math.round(FEE_STRATEGY_CONFIG.gasLimitMultiplier * 100))) / 100n;
+  const expectedCostWei = gasEstimate * getExpectedGasPrice(suggestion);
+  const expectedCostUSD = await nativeToUSD(chain, expectedCostWei);
+
+  assertWithinGasBudget(chain, expectedCostUSD, maxGasCostUSD);
+
+  return {
+    request: { ...request, gasLimit, ...getFeeFields(suggestion) },
+    estimate: {
+      gasEstimate: gasEstimate.toString(),
+      gasLimit: gasLimit.toString(),
+      urgency,
+      expectedCostWei: expectedCostWei.toString(),
+      expectedCostUSD,
+      capped: suggestion.capped
+    }
+  };
+}
+
+// USD cost of `gasUnits` on an EVM chain at the suggested fees, or null without a price
+export async function estimateGasCostUSD(chain, gasUnits, urgency = FEE_STRATEGY_CONFIG.urgency) {
+  const suggestion = await getFeeSuggestion(chain, urgency);
+  return nativeToUSD(chain, BigInt(gasUnits) * getExpectedGasPrice(suggestion));
+}
+
+// Cost of one typical swap on a chain at current fees, falling back to fixed estimates
+export async function estimateSwapGasCostUSD(chain) {
+  const cached = swapCostCache.get(chain);
+  if (cached && Date.now() - cached.fetchedAt < SWAP_COST_CACHE_MS) {
+    return cached.cost;
+  }
+
+  let cost = null;
+  try {
+    if (chain === 'sui') {
+      const referenceGasPrice = await getSuiClient().getReferenceGasPrice();
+      cost = await nativeToUSD('sui', TYPICAL_SWAP_GAS.sui * BigInt(referenceGasPrice));
+    } else if (TYPICAL_SWAP_GAS[chain]) {
+      cost = await estimateGasCostUSD(chain, TYPICAL_SWAP_GAS[chain]);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Gas cost estimate for ${chain} failed: ${error.message}`);
+  }
+
+  cost = cost ?? FALLBACK_SWAP_GAS_COST_USD[chain] ?? 1;
+  swapCostCache.set(chain, { cost, fetchedAt: Date.now() });
+  return cost;
+}
@@ -0,0 +1,429 @@
+import { readFileSync } from 'fs';
+import { ethers } from 'ethers';
+import { normalizeStructTag, normalizeSuiAddress } from '@mysten/sui.js/utils';
+import { CHAIN_CONFIG, TOKEN_DECIMALS, HTLC_CONFIG } from '../config/chains.js';
+import { getWalletInstance, suiWallet } from './wallets.js';
+import { getTxManager } from './tx-manager.js';
+import { getSuiHtlcClient } from './sui-htlc.js';
+import { revealSwapSecret, denySwapSecret } from './secret-store.js';
+
+// ================================
+// EVM HASH-TIME-LOCKED CONTRACTS
+// ================================
+
+const ARTIFACT = JSON.parse(readFileSync(new URL('../contracts/evm/HashedTimelockERC20.json', import.meta.url), 'utf8'));
+
+export const HTLC_ABI = ARTIFACT.abi;
+export const HTLC_BYTECODE = ARTIFACT.bytecode;
+
+const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+const EVM_HTLC_CHAINS = ['ethereum', 'celo'];
+
+// Chains with an HTLC client: the EVM escrow plus Sui's Move escrow
+export const HTLC_CHAINS = [...EVM_HTLC_CHAINS, 'sui'];
+
+// Send with the signer directly and wait for the receipt. Chain clients go
+// through the tx manager instead; a local node needs nothing more than this.
+function sendWithSigner(signer) {
+  return async request => {
+    const tx = await signer.sendTransaction(request);
+    const receipt = await tx.wait();
+    if (receipt.status !== 1) {
+      throw new Error(`Transaction ${receipt.hash} reverted`);
+    }
+    return receipt;
+  };
+}
+
+// Contract errors come back as custom errors; name them when the ABI knows them
+function describeHtlcError(error) {
+  return error.revert?.name ?
+    `${error.revert.name}(${error.revert.args.join(', ')})` :
+    error.shortMessage || error.message;
+}
+
+// Deploy HashedTimelockERC20. `send(request, options)` resolves to a receipt.
+export async function deployHtlc(signer, { send = sendWithSigner(signer) } = {}) {
+  const factory = new ethers.ContractFactory(HTLC_ABI, HTLC_BYTECODE, signer);
+  const receipt = await send(await factory.getDeployTransaction(), { label: 'deploy HTLC' });
+
+  return { address: receipt.contractAddress, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+// HTLC client bound to a deployed contract and a signer. Amounts are base
+// units, hashlock and preimage are 0x-prefixed bytes32.
+export function createHtlcClient({ address, signer, send = sendWithSigner(signer) }) {
+  const contract = new ethers.Contract(address, HTLC_ABI, signer);
+
+  // Simulated first: gas estimation drops revert data, a static call keeps it
+  async function run(method, args, label) {
+    try {
+      await contract[method].staticCall(...args);
+      return await send(await contract[method].populateTransaction(...args), { label });
+    } catch (error) {
+      throw new Error(`HTLC ${method} failed: ${describeHtlcError(error)}`);
+    }
+  }
+
+  // The lock as stored on chain, with a status judged against the chain's clock
+  async function getLock(lockId) {
+    const [stored, block] = await Promise.all([
+      contract.getLock(lockId),
+      signer.provider.getBlock('latest')
+    ]);
+
+    if (stored.sender === ethers.ZeroAddress) {
+      return { lockId, status: 'NOT_FOUND' };
+    }
+
+    const timelock = Number(stored.timelock);
+    const status = stored.claimed ? 'CLAIMED' :
+      stored.refunded ? 'REFUNDED' :
+      block.timestamp >= timelock ? 'EXPIRED' :
+      'LOCKED';
+
+    return {
+      lockId,
+      status,
+      sender: stored.sender,
+      recipient: stored.recipient,
+      token: stored.token,
+      amount: stored.amount.toString(),
+      hashlock: stored.hashlock,
+      timelock,
+      preimage: stored.claimed ? stored.preimage : null
+    };
+  }
+
+  return {
+    address,
+    getLock,
+
+    // Blocks on top of (and including) the one holding the lock's Locked
+    // event; 0 when the event is not within the lookback window
+    async getLockConfirmations(lockId) {
+      const head = await signer.provider.getBlockNumber();
+      const events = await contract.queryFilter(
+        contract.filters.Locked(lockId),
+        Math.max(0, head - HTLC_CONFIG.eventLookbackBlocks),
+        head
+      );
+      return events.length ? head - events[0].blockNumber + 1 : 0;
+    },
+
+    // Approve the exact amount if needed, then escrow it
+    async lock({ recipient, token, amount, hashlock, timelock }) {
+      const owner = await signer.getAddress();
+      const erc20 = new ethers.Contract(token, ERC20_ABI, signer);
+
+      if (await erc20.allowance(owner, address) < amount) {
+        await send(await erc20.approve.populateTransaction(address, amount), { label: 'approve HTLC' });
+      }
+
+      const receipt = await run('lock', [recipient, token, amount, hashlock, timelock], 'HTLC lock');
+      const locked = receipt.logs
+        .filter(log => log.address.toLowerCase() === address.toLowerCase())
+        .map(log => contract.interface.parseLog(log))
+        .find(event => event?.name === 'Locked');
+
+      if (!locked) {
+        throw new Error(`No Locked event in ${receipt.hash}`);
+      }
+
+      return { lockId: locked.args.lockId, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+    },
+
+    async claim(lockId, preimage) {
+      const receipt = await run('claim', [lockId, preimage], 'HTLC claim');
+      return { lockId, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+    },
+
+    async refund(lockId) {
+      const receipt = await run('refund', [lockId], 'HTLC refund');
+      return { lockId, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+    }
+  };
+}
+
+// Client for the HTLC configured on a chain. EVM clients send through the
+// tx manager; Sui has its own Move escrow with the same client interface.
+export function getHtlcClient(chain) {
+  if (chain === 'sui') {
+    return getSuiHtlcClient();
+  }
+
+  if (!EVM_HTLC_CHAINS.includes(chain)) {
+    throw new Error(`No HTLC on ${chain}`);
+  }
+
+  const address = CHAIN_CONFIG[chain].htlc;
+  if (!address) {
+    throw new Error(`HTLC not deployed on ${chain} (set ${chain.toUpperCase()}_HTLC_ADDRESS, see scripts/deploy-htlc.js)`);
+  }
+
+  const wallet = getWalletInstance(chain);
+  if (!wallet) {
+    throw new Error(`Wallet not initialized for ${chain}`);
+  }
+
+  const manager = getTxManager(chain);
+  return createHtlcClient({
+    address,
+    signer: wallet,
+    send: (request, options) => manager.sendAndWait(request, options)
+  });
+}
+
+// ================================
+// SWAP STATE INTEGRATION
+// ================================
+
+// Locks are recorded on the swap as { chain, lockId, role, contract, token, amount, ... }.
+// `role` is 'own' for locks we funded and 'counterparty' for locks we claim.
+function recordLock(swapState, lock, stepType = 'HTLC_LOCK') {
+  swapState.locks = [...(swapState.locks || []), lock];
+  swapState.addStep({ type: stepType, chain: lock.chain, lockId: lock.lockId, txHash: lock.txHash });
+  return lock;
+}
+
+function findSwapLock(swapState, lockId) {
+  const lock = (swapState.locks || []).find(l => l.lockId === lockId);
+  if (!lock) {
+    throw new Error(`Lock ${lockId} is not part of swap ${swapState.swapId}`);
+  }
+  return lock;
+}
+
+function toBaseUnits(chain, token, amount) {
+  const decimals = TOKEN_DECIMALS[chain]?.[token] ?? 18;
+  return ethers.parseUnits(Number(amount).toFixed(decimals), decimals);
+}
+
+// Refusals carry the HTTP status the route should answer with
+class LockRefusedError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'LockRefusedError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Escrow the swap's source side in the source chain's HTLC (HashedTimelockERC20
+// on EVM chains, htlc::htlc on Sui) under the swap's hashlock: `amount` of
+// `fromToken`, payable to the session wallet the plan names on that chain,
+// until the swap timelock. Refused when a counterparty lock we recorded would
+// not expire safely before it.
+export async function lockSwapFunds(swapState) {
+  const { fromChain: chain, fromToken: token, amount, timelock } = swapState;
+  const recipient = swapState.executionPlan?.wallets?.fromChain;
+  const tokenAddress = CHAIN_CONFIG[chain]?.tokens?.[token];
+
+  if (!tokenAddress) {
+    throw new LockRefusedError(`Unknown ${chain} token: ${token}`);
+  }
+  if (!recipient) {
+    throw new LockRefusedError(`Swap ${swapState.swapId} plan has no ${chain} wallet to lock for`);
+  }
+
+  for (const lock of (swapState.locks || []).filter(l => l.role === 'counterparty')) {
+    const orderProblem = checkTimelockOrder(timelock, lock.timelock);
+    if (orderProblem) {
+      throw new LockRefusedError(`${orderProblem} (${lock.chain} lock ${lock.lockId})`);
+    }
+  }
+
+  const amountWei = toBaseUnits(chain, token, amount);
+  const client = getHtlcClient(chain);
+
+  console.log(`🔒 Locking ${amount} ${token} on ${chain} for swap ${swapState.swapId}`);
+  const result = await client.lock({
+    recipient,
+    token: tokenAddress,
+    amount: amountWei,
+    hashlock: `0x${swapState.hashlock}`,
+    timelock
+  });
+
+  return recordLock(swapState, {
+    chain,
+    contract: client.address,
+    lockId: result.lockId,
+    role: 'own',
+    token,
+    amount: amountWei.toString(),
+    recipient,
+    timelock,
+    txHash: result.txHash,
+    status: 'LOCKED',
+    lockedAt: new Date().toISOString()
+  });
+}
+
+// Claim a lock with the preimage (bytes32 hex). Claiming publishes the preimage on chain.
+export async function claimSwapLock(swapState, lockId, preimage) {
+  const lock = findSwapLock(swapState, lockId);
+  const result = await getHtlcClient(lock.chain).claim(lockId, preimage.startsWith('0x') ? preimage : `0x${preimage}`);
+
+  Object.assign(lock, { status: 'CLAIMED', claimTxHash: result.txHash, claimedAt: new Date().toISOString() });
+  swapState.addStep({ type: 'HTLC_CLAIM', chain: lock.chain, lockId, txHash: result.txHash });
+  return lock;
+}
+
+// Refund an expired lock to its sender
+export async function refundSwapLock(swapState, lockId) {
+  const lock = findSwapLock(swapState, lockId);
+  const result = await getHtlcClient(lock.chain).refund(lockId);
+
+  Object.assign(lock, { status: 'REFUNDED', refundTxHash: result.txHash, refundedAt: new Date().toISOString() });
+  swapState.addStep({ type: 'HTLC_REFUND', chain: lock.chain, lockId, txHash: result.txHash });
+  return lock;
+}
+
+// Re-read every lock of a swap from chain; unreadable locks keep their last status
+export async function refreshSwapLocks(swapState) {
+  for (const lock of swapState.locks || []) {
+    try {
+      const onChain = await getHtlcClient(lock.chain).getLock(lock.lockId);
+      lock.status = onChain.status;
+      lock.checkedAt = new Date().toISOString();
+    } catch (error) {
+      lock.checkError = error.message;
+    }
+  }
+  return swapState.locks || [];
+}
+
+// ================================
+// COUNTERPARTY LOCKS AND SECRET RELEASE
+// ================================
+
+function sameAddress(chain, a, b) {
+  return chain === 'sui' ?
+    normalizeSuiAddress(a) === normalizeSuiAddress(b) :
+    a.toLowerCase() === b.toLowerCase();
+}
+
+function sameToken(chain, a, b) {
+  return chain === 'sui' ? normalizeStructTag(a) === normalizeStructTag(b) : a.toLowerCase() === b.toLowerCase();
+}
+
+// The server wallet's address on a chain, or null without a wallet
+function getServerAddress(chain) {
+  if (chain === 'sui') {
+    return suiWallet ? suiWallet.getPublicKey().toSuiAddress() : null;
+  }
+  return getWalletInstance(chain)?.address || null;
+}
+
+// What the counterparty owes us on the destination chain: the swap amount
+// of stablecoin at par, less the slippage the swap allows
+export function getExpectedDestinationAmount(swapState) {
+  return Number(swapState.amount) * (1 - Number(swapState.maxSlippage || 0) / 100);
+}
+
+// The earliest expiry among our own locks; before we lock, the swap timelock
+// our lock will get
+export function getOwnTimelock(swapState) {
+  const ownLocks = (swapState.locks || []).filter(lock => lock.role === 'own');
+  return ownLocks.length > 0 ? Math.min(...ownLocks.map(lock => lock.timelock)) : swapState.timelock;
+}
+
+// The counterparty must be unable to refund before we could, with time for
+// our claim to land in between
+export function checkTimelockOrder(ownTimelock, counterpartyTimelock) {
+  const gap = ownTimelock - counterpartyTimelock;
+  return gap >= HTLC_CONFIG.minTimelockGapSeconds ? null :
+    `Counterparty lock expires ${gap}s before ours, less than the ${HTLC_CONFIG.minTimelockGapSeconds}s required`;
+}
+
+// Check a lock the counterparty made for this swap before our secret is used
+// on it: our hashlock and token, at least the expected amount, payable to the
+// server wallet, confirmed, far enough from expiry for a claim to land and
+// expiring safely before our own lock.
+export async function verifyCounterpartyLock(swapState, { chain = swapState.toChain, lockId }) {
+  const client = getHtlcClient(chain);
+  const [lock, confirmations] = await Promise.all([
+    client.getLock(lockId),
+    client.getLockConfirmations(lockId)
+  ]);
+
+  const requiredConfirmations = HTLC_CONFIG.confirmations[chain];
+  const expectedToken = CHAIN_CONFIG[chain].tokens[swapState.toToken];
+  const expectedAmount = toBaseUnits(chain, swapState.toToken, getExpectedDestinationAmount(swapState));
+  const serverAddress = getServerAddress(chain);
+  const secondsLeft = lock.timelock - Math.floor(Date.now() / 1000);
+  const problems = [];
+
+  if (lock.status !== 'LOCKED') {
+    problems.push(`Lock is ${lock.status}`);
+  } else {
+    if (lock.hashlock.toLowerCase() !== `0x${swapState.hashlock}`) {
+      problems.push('Hashlock does not match the swap');
+    }
+    if (!expectedToken || !sameToken(chain, lock.token, expectedToken)) {
+      problems.push(`Locked token ${lock.token} is not ${swapState.toToken}`);
+    }
+    if (BigInt(lock.amount) < expectedAmount) {
+      problems.push(`Locked amount ${lock.amount} is below the expected ${expectedAmount}`);
+    }
+    if (!serverAddress || !sameAddress(chain, serverAddress, lock.recipient)) {
+      problems.push(`Recipient ${lock.recipient} is not the server wallet`);
+    }
+    if (secondsLeft < HTLC_CONFIG.minClaimWindowSeconds) {
+      problems.push(`Lock expires in ${secondsLeft}s, less than the ${HTLC_CONFIG.minClaimWindowSeconds}s claim window`);
+    }
+    const orderProblem = checkTimelockOrder(getOwnTimelock(swapState), lock.timelock);
+    if (orderProblem) {
+      problems.push(orderProblem);
+    }
+    if (confirmations < requiredConfirmations) {
+      problems.push(`${confirmations}/${requiredConfirmations} confirmations`);
+    }
+  }
+
+  return {
+    confirmed: problems.length === 0,
+    problems,
+    confirmations,
+    requiredConfirmations,
+    expectedAmount: expectedAmount.toString(),
+    lock: { chain, contract: client.address, ...lock }
+  };
+}
+
+// Claim a verified counterparty lock with the swap secret. Claiming publishes
+// the preimage, so the secret leaves the store only once the lock checks out;
+// refusals and releases both land in the secret audit log.
+export async function revealAndClaim(swapState, { chain = swapState.toChain, lockId, actor }) {
+  const verification = await verifyCounterpartyLock(swapState, { chain, lockId });
+
+  if (!verification.confirmed) {
+    denySwapSecret(swapState.swapId, { actor, reason: `${chain} lock ${lockId}: ${verification.problems.join('; ')}` });
+    return { released: false, verification };
+  }
+
+  if (!(swapState.locks || []).some(l => l.lockId === lockId)) {
+    const { lock } = verification;
+    recordLock(swapState, {
+      chain,
+      contract: lock.contract,
+      lockId,
+      role: 'counterparty',
+      token: swapState.toToken,
+      amount: lock.amount,
+      recipient: lock.recipient,
+      timelock: lock.timelock,
+      status: lock.status,
+      verifiedAt: new Date().toISOString()
+    }, 'HTLC_COUNTERPARTY_LOCK');
+  }
+
+  const preimage = revealSwapSecret(swapState.swapId, { actor, reason: `claim ${chain} lock ${lockId}` });
+  const lock = await claimSwapLock(swapState, lockId, preimage);
+
+  return { released: true, verification, lock, preimage: `0x${preimage}` };
+}
@@ -0,0 +1,457 @@
+import { ethers } from 'ethers';
+import { CHAIN_CONFIG, BRIDGE_FEE_CONFIG } from '../config/chains.js';
+import { executeEthereumSwap, executeSuiSwap } from './dex.js';
+import { executeCeloStablecoinSwap } from './celo-dex.js';
+import { getPriceSource, PRICE_VENUES } from './price-sources.js';
+import { createRepository } from './persistence.js';
+import { estimateGasCostUSD, estimateSwapGasCostUSD, getGasBudgetUSD, nativeToUSD, usdToTokenAmount } from './fee-strategy.js';
+
+// ================================
+// MULTI-LEG EXECUTION PIPELINE
+// ================================
+
+const LEG_EXECUTORS = {
+  ethereum: (leg, options) => executeEthereumSwap(leg.tokenIn, leg.tokenOut, leg.amountIn, leg.minAmountOut, options),
+  sui: (leg, options) => executeSuiSwap(leg.tokenIn, leg.tokenOut, leg.amountIn, leg.minAmountOut, options),
+  celo: (leg, options) => executeCeloStablecoinSwap(leg.tokenIn, leg.tokenOut, leg.amountIn, leg.minAmountOut, leg.venue || 'ubeswap', options)
+};
+
+// Unwinds quoted to lose more than this (vs. what the trade spent) are parked instead
+const MAX_UNWIND_LOSS_PERCENT = parseFloat(process.env.MAX_UNWIND_LOSS_PERCENT) || 5;
+
+// Positions that could not be unwound, awaiting manual handling
+const parkedPositions = createRepository('parkedPositions');
+
+// Fee for carrying `amount` to another chain, never more than the amount itself
+export function getBridgeFee(amount, fees = BRIDGE_FEE_CONFIG) {
+  const fee = amount * (fees.percent / 100) + fees.flat;
+  return Math.min(fee, amount);
+}
+
+// Real trades take their minimums from the chains: scripted (fixture) or
+// recorded (replay) prices would set limits the market never quoted
+function getExecutionPriceSource() {
+  const source = getPriceSource();
+  if (process.env.ENABLE_REAL_TRADING === 'true' && source.name !== 'live') {
+    throw new Error(`Real trades need live quotes for their minimums, not the ${source.name} price source`);
+  }
+  return source;
+}
+
+// Quote a leg right before it executes. Without a venue the chain's venues are tried in order.
+async function quoteLegNow(leg) {
+  const source = getExecutionPriceSource();
+  const venues = leg.venue ? [leg.venue] : PRICE_VENUES[leg.chain] || [];
+  const errors = [];
+
+  for (const venue of venues) {
+    try {
+      const quote = await source.quote({ ...leg, venue });
+      return { venue, amountOut: quote.amountOut, price: quote.price, source: source.name };
+    } catch (error) {
+      errors.push(`${venue}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`No fresh quote for ${leg.tokenIn}→${leg.tokenOut} on ${leg.chain} (${errors.join('; ')})`);
+}
+
+// Measured output of an executed leg, in token units
+function getLegOutput(result) {
+  if (result.amountOut === undefined || result.outputDecimals === undefined) {
+    throw new Error('Swap result carries no measured amountOut');
+  }
+  return parseFloat(ethers.formatUnits(result.amountOut, result.outputDecimals));
+}
+
+// Least the closing leg of a round trip may return: everything the trade
+// spent plus its gas, converted into the start token at its reference price
+async function getProfitFloor(startToken, chain, amountIn, gasCostUSD) {
+  const gasInToken = await usdToTokenAmount(startToken, gasCostUSD, chain);
+  if (gasInToken === null) {
+    throw new Error(`No ${startToken} reference price to weigh $${gasCostUSD.toFixed(4)} gas against`);
+  }
+  return amountIn + gasInToken;
+}
+
+// Projected gas of a preflighted leg at current fees: the simulated gas when there
+// is one (plus a pending approval), otherwise the chain's typical swap cost.
+// Priced like the budget check at send time (nativeToUSD), so null when the
+// native token has no price: the send would be refused, so is the trade.
+async function getLegGasCostUSD(chain, preflight) {
+  try {
+    if (chain === 'sui' && preflight?.gasEstimate) {
+      // Sui dry runs report the net cost in MIST, not gas units
+      return await nativeToUSD('sui', BigInt(preflight.gasEstimate));
+    } else if (preflight?.approvalRequired) {
+      const approvalCost = await estimateGasCostUSD(chain, preflight.approvalGasEstimate);
+      return approvalCost === null ? null : approvalCost + await estimateSwapGasCostUSD(chain);
+    } else if (preflight?.gasEstimate) {
+      return await estimateGasCostUSD(chain, preflight.gasEstimate);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Gas projection for ${chain} leg failed: ${error.message}`);
+    return null;
+  }
+  return estimateSwapGasCostUSD(chain);
+}
+
+// Simulate every leg (staticCall / dry run) without sending anything. Later legs
+// are checked with the amount the earlier simulations produced, so one failing
+// or short leg fails the whole trade before its first broadcast. A leg still
+// waiting on its approval cannot be simulated and is carried at its quote
+// (`simulated: false`); then the final amount is only projected, not simulated.
+export async function preflightLegs(legs, amountIn, { maxSlippage = 1.0, bridgeFees = BRIDGE_FEE_CONFIG } = {}) {
+  const checked = [];
+  let amount = amountIn;
+  let previousChain = legs[0]?.chain;
+
+  for (const [index, plan] of legs.entries()) {
+    const bridgeFee = plan.chain !== previousChain ? getBridgeFee(amount, bridgeFees) : 0;
+    const legAmountIn = amount - bridgeFee;
+    previousChain = plan.chain;
+
+    if (plan.tokenIn === plan.tokenOut) {
+      checked.push({ index, ...plan, bridgeFee, amountIn: legAmountIn, skipped: 'identity leg' });
+      amount = legAmountIn;
+      continue;
+    }
+
+    try {
+      if (legAmountIn <= 0) {
+        throw new Error(`Nothing left to trade after bridge fee ${bridgeFee}`);
+      }
+
+      const quote = await quoteLegNow({ ...plan, amountIn: legAmountIn });
+      const minAmountOut = quote.amountOut * (1 - maxSlippage / 100);
+      const leg = { ...plan, venue: plan.venue || quote.venue, amountIn: legAmountIn, minAmountOut };
+
+      const result = await LEG_EXECUTORS[leg.chain]?.(leg, { preflight: true });
+      if (!result) {
+        throw new Error(`Unsupported chain: ${leg.chain}`);
+      }
+
+      if (!result.success) {
+        checked.push({ index, ...leg, bridgeFee, quote, preflight: result.preflight || null });
+        throw new Error(result.error);
+      }
+
+      const gasCostUSD = await getLegGasCostUSD(leg.chain, result.preflight);
+      const simulated = result.preflight.simulatedOutput !== undefined;
+      checked.push({ index, ...leg, bridgeFee, quote, preflight: result.preflight || null, gasCostUSD, simulated });
+
+      // A leg still waiting on its approval has no simulated output yet; use its quote
+      amount = simulated ? parseFloat(result.preflight.simulatedOutput) : quote.amountOut;
+    } catch (error) {
+      return {
+        ok: false,
+        error: `Leg ${index + 1} (${plan.chain} ${plan.tokenIn}→${plan.tokenOut}) would fail: ${error.message}`,
+        failedLeg: index,
+        amountIn,
+        legs: checked
+      };
+    }
+  }
+
+  // One leg without a gas price leaves the whole projection unknown
+  const unpricedGasLegs = checked.filter(leg => leg.gasCostUSD === null).map(leg => leg.index);
+  const projectedGasCostUSD = unpricedGasLegs.length === 0 ?
+    checked.reduce((sum, leg) => sum + (leg.gasCostUSD ?? 0), 0) :
+    null;
+  const quotedLegs = checked.filter(leg => leg.simulated === false).map(leg => leg.index);
+  const fullySimulated = quotedLegs.length === 0;
+
+  return {
+    ok: true,
+    amountIn,
+    projectedFinalAmountOut: amount,
+    simulatedFinalAmountOut: fullySimulated ? amount : null,
+    fullySimulated,
+    quotedLegs,
+    projectedGasCostUSD,
+    unpricedGasLegs,
+    legs: checked
+  };
+}
+
+// Execute legs in order, spending each leg's measured output (minus the bridge
+// fee when the next leg is on another chain) in the next leg. Each leg's
+// minAmountOut comes from a fresh quote taken just before it executes; the
+// leg that closes a round trip must also return amountIn plus the gas spent.
+// Real trades are preflighted as a whole first (see preflightLegs). With
+// `expectedProfitUSD`, gas may take at most its configured share of that profit:
+// a higher projection aborts the trade, and each send is held to what is left.
+// legs: [{ chain, venue?, tokenIn, tokenOut }, ...]
+export async function executeLegPipeline(legs, amountIn, { maxSlippage = 1.0, bridgeFees = BRIDGE_FEE_CONFIG, preflight = process.env.ENABLE_REAL_TRADING === 'true', expectedProfitUSD = null } = {}) {
+  const gasBudgetUSD = expectedProfitUSD !== null ? getGasBudgetUSD(expectedProfitUSD) : null;
+  let preflightResult = null;
+
+  const abort = (reason, failedLeg) => {
+    console.error(`🛑 Preflight aborted trade before any broadcast: ${reason}`);
+    return {
+      success: false,
+      error: `Preflight aborted trade before any broadcast: ${reason}`,
+      failedLeg,
+      amountIn,
+      legs: [],
+      preflight: preflightResult
+    };
+  };
+
+  if (preflight) {
+    preflightResult = await preflightLegs(legs, amountIn, { maxSlippage, bridgeFees });
+    if (!preflightResult.ok) {
+      return abort(preflightResult.error, preflightResult.failedLeg);
+    }
+
+    if (gasBudgetUSD !== null && preflightResult.projectedGasCostUSD === null) {
+      const unpriced = preflightResult.unpricedGasLegs.map(index => `${index + 1} (${legs[index].chain})`).join(', ');
+      return abort(`Gas for leg ${unpriced} cannot be priced in USD, so the $${gasBudgetUSD.toFixed(4)} budget cannot be checked`, preflightResult.unpricedGasLegs[0]);
+    }
+    if (gasBudgetUSD !== null && preflightResult.projectedGasCostUSD > gasBudgetUSD) {
+      return abort(`Projected gas $${preflightResult.projectedGasCostUSD.toFixed(4)} exceeds budget $${gasBudgetUSD.toFixed(4)} (share of $${expectedProfitUSD.toFixed(4)} expected profit)`, null);
+    }
+  }
+
+  let gasSpentUSD = 0;
+
+  const executed = [];
+  let amount = amountIn;
+  let previousChain = legs[0]?.chain;
+
+  for (const [index, plan] of legs.entries()) {
+    const bridgeFee = plan.chain !== previousChain ? getBridgeFee(amount, bridgeFees) : 0;
+    const legAmountIn = amount - bridgeFee;
+    const record = { index, ...plan, bridgeFee, amountIn: legAmountIn };
+    previousChain = plan.chain;
+
+    // Same token on both sides: the value only moves chains
+    if (plan.tokenIn === plan.tokenOut) {
+      executed.push({ ...record, amountOut: legAmountIn, skipped: 'identity leg' });
+      amount = legAmountIn;
+      continue;
+    }
+
+    try {
+      if (legAmountIn <= 0) {
+        throw new Error(`Nothing left to trade after bridge fee ${bridgeFee}`);
+      }
+
+      if (!LEG_EXECUTORS[plan.chain]) {
+        throw new Error(`Unsupported chain: ${plan.chain}`);
+      }
+
+      // Projected from this leg's preflight where there was one
+      const gasCostUSD = preflightResult?.legs[index]?.gasCostUSD ?? await estimateSwapGasCostUSD(plan.chain);
+      const quote = await quoteLegNow({ ...plan, amountIn: legAmountIn });
+      let minAmountOut = quote.amountOut * (1 - maxSlippage / 100);
+      let profitFloor = null;
+
+      if (index === legs.length - 1 && plan.tokenOut === legs[0].tokenIn) {
+        profitFloor = await getProfitFloor(plan.tokenOut, plan.chain, amountIn, gasSpentUSD + gasCostUSD);
+        if (quote.amountOut < profitFloor) {
+          throw new Error(`Quoted ${quote.amountOut} ${plan.tokenOut} does not cover the ${amountIn} spent plus gas (${profitFloor.toFixed(6)})`);
+        }
+        minAmountOut = Math.max(minAmountOut, profitFloor);
+      }
+
+      const leg = { ...plan, venue: plan.venue || quote.venue, amountIn: legAmountIn, minAmountOut };
+
+      console.log(`🔗 Leg ${index + 1}/${legs.length}: ${legAmountIn} ${leg.tokenIn} → ${leg.tokenOut} on ${leg.chain} (${leg.venue}), min ${minAmountOut.toFixed(6)}`);
+
+      const maxGasCostUSD = gasBudgetUSD !== null ? Math.max(gasBudgetUSD - gasSpentUSD, 0) : null;
+      const result = await LEG_EXECUTORS[leg.chain](leg, { maxGasCostUSD });
+
+      gasSpentUSD += gasCostUSD;
+      const legRecord = { ...record, venue: leg.venue, quote, minAmountOut, profitFloor, gasCostUSD, result };
+
+      if (!result.success) {
+        executed.push(legRecord);
+        throw new Error(result.error);
+      }
+
+      amount = getLegOutput(result);
+      executed.push({ ...legRecord, amountOut: amount });
+    } catch (error) {
+      console.error(`❌ Leg ${index + 1} (${plan.chain}) failed: ${error.message}`);
+      return {
+        success: false,
+        error: `Leg ${index + 1} (${plan.chain} ${plan.tokenIn}→${plan.tokenOut}) failed: ${error.message}`,
+        failedLeg: index,
+        amountIn,
+        legs: executed,
+        preflight: preflightResult
+      };
+    }
+  }
+
+  return {
+    success: true,
+    amountIn,
+    finalAmountOut: amount,
+    legs: executed,
+    preflight: preflightResult
+  };
+}
+
+// ================================
+// PARTIAL-FILL UNWIND
+// ================================
+
+// What the wallet is left holding after the last completed leg, or null
+function getStrandedPosition(pipeline) {
+  const completed = pipeline.legs.filter(leg => leg.amountOut !== undefined);
+  const last = completed[completed.length - 1];
+  if (!last) return null;
+
+  return { chain: last.chain, token: last.tokenOut, amount: last.amountOut };
+}
+
+// Every venue on the position's own chain that can turn the stranded token
+// back into the start token, best net output first. The tokens are held on
+// that chain, so venues elsewhere are out of reach without a bridge.
+async function quoteUnwindRoutes(position, startToken) {
+  const source = getExecutionPriceSource();
+  const { chain } = position;
+  const tokens = CHAIN_CONFIG[chain]?.tokens || {};
+  const routes = [];
+  const errors = [];
+
+  if (!tokens[position.token] || !tokens[startToken]) {
+    return { routes, errors: [`${chain} does not list both ${position.token} and ${startToken}`] };
+  }
+
+  for (const venue of PRICE_VENUES[chain] || []) {
+    try {
+      const quote = await source.quote({ chain, venue, tokenIn: position.token, tokenOut: startToken, amountIn: position.amount });
+      routes.push({
+        chain,
+        venue,
+        tokenIn: position.token,
+        tokenOut: startToken,
+        amountIn: position.amount,
+        quotedOut: quote.amountOut,
+        gasCostUSD: await estimateSwapGasCostUSD(chain)
+      });
+    } catch (error) {
+      errors.push(`${chain}/${venue}: ${error.message}`);
+    }
+  }
+
+  routes.sort((a, b) => b.quotedOut - a.quotedOut);
+  return { routes, errors };
+}
+
+function parkPosition(tradeId, position, startToken, reason) {
+  const parked = {
+    id: `parked_${tradeId || Date.now()}`,
+    tradeId,
+    ...position,
+    startToken,
+    reason,
+    status: 'NEEDS_MANUAL_HANDLING',
+    parkedAt: new Date().toISOString()
+  };
+  parkedPositions.set(parked.id, parked);
+  console.warn(`🅿️  Parked ${position.amount} ${position.token} on ${position.chain}: ${reason}`);
+  return parked;
+}
+
+// After a partial fill, swap whatever the completed legs produced back into the
+// token the trade started with, or park it for manual handling when no route
+// is quotable, the quoted loss is too large, or the unwind swap itself fails.
+// The unwind cost is measured against what the trade originally spent.
+export async function unwindPartialFill(pipeline, startToken, { tradeId = null, maxSlippage = 1.0, maxLossPercent = MAX_UNWIND_LOSS_PERCENT } = {}) {
+  const position = getStrandedPosition(pipeline);
+
+  if (!position || position.token === startToken) {
+    return { status: 'NOT_NEEDED', position, unwindCost: 0 };
+  }
+
+  console.log(`\n↩️  Unwinding ${position.amount} ${position.token} on ${position.chain} back to ${startToken}`);
+  const { routes, errors } = await quoteUnwindRoutes(position, startToken);
+  const best = routes[0];
+
+  if (!best) {
+    return {
+      status: 'PARKED',
+      position,
+      parked: parkPosition(tradeId, position, startToken, 'No unwind route could be quoted'),
+      quoteErrors: errors
+    };
+  }
+
+  const quotedLossPercent = ((pipeline.amountIn - best.quotedOut) / pipeline.amountIn) * 100;
+  if (quotedLossPercent > maxLossPercent) {
+    return {
+      status: 'PARKED',
+      position,
+      route: best,
+      quotedLossPercent: parseFloat(quotedLossPercent.toFixed(4)),
+      parked: parkPosition(tradeId, position, startToken,
+        `Best unwind loses ${quotedLossPercent.toFixed(2)}% (limit ${maxLossPercent}%)`),
+      alternatives: routes.slice(1),
+      quoteErrors: errors
+    };
+  }
+
+  const minAmountOut = best.quotedOut * (1 - maxSlippage / 100);
+  const result = await LEG_EXECUTORS[best.chain]({ ...best, minAmountOut });
+
+  if (!result.success) {
+    return {
+      status: 'PARKED',
+      position,
+      route: best,
+      result,
+      parked: parkPosition(tradeId, position, startToken, `Unwind swap failed: ${result.error}`)
+    };
+  }
+
+  const recovered = getLegOutput(result);
+  const unwindCost = pipeline.amountIn - recovered;
+  console.log(`✅ Unwound to ${recovered} ${startToken} (cost ${unwindCost.toFixed(6)} ${startToken} + ~$${best.gasCostUSD} gas)`);
+
+  return {
+    status: 'UNWOUND',
+    position,
+    route: best,
+    minAmountOut,
+    result,
+    recovered,
+    unwindCost: parseFloat(unwindCost.toFixed(6)),
+    unwindCostPercent: parseFloat(((unwindCost / pipeline.amountIn) * 100).toFixed(4)),
+    gasCostUSD: best.gasCostUSD,
+    alternatives: routes.slice(1),
+    quoteErrors: errors
+  };
+}
+
+// Park whatever a failed trade left stranded, for when the unwind itself blew up
+export function parkStrandedPosition(pipeline, startToken, { tradeId = null, reason }) {
+  const position = getStrandedPosition(pipeline);
+
+  if (!position || position.token === startToken) {
+    return { status: 'NOT_NEEDED', position, unwindCost: 0 };
+  }
+
+  return {
+    status: 'PARKED',
+    position,
+    parked: parkPosition(tradeId, position, startToken, reason)
+  };
+}
+
+export function getParkedPositions() {
+  return Array.from(parkedPositions.values());
+}
+
+// Mark a parked position as handled outside the bot
+export function resolveParkedPosition(id, note = null) {
+  const parked = parkedPositions.get(id);
+  if (!parked) return null;
+
+  Object.assign(parked, { status: 'RESOLVED', resolvedAt: new Date().toISOString(), note });
+  parkedPositions.set(id, parked);
+  return parked;
+}
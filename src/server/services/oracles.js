@@ -0,0 +1,142 @@
+import { ethers } from 'ethers';
+import { CHAINLINK_ORACLES } from '../config/chains.js';
+import { getProvider } from './blockchain.js';
+
+// ================================
+// CHAINLINK ORACLE READER
+// ================================
+
+const AGGREGATOR_V3_ABI = [
+  'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+  'function decimals() external view returns (uint8)',
+  'function description() external view returns (string)'
+];
+
+// Stablecoin feeds heartbeat every 24h, so allow a little over a day by default
+const DEFAULT_MAX_AGE_SECONDS = parseInt(process.env.ORACLE_MAX_AGE_SECONDS) || 90000;
+
+// Reference prices are cached briefly so portfolio views don't hammer RPCs
+const REFERENCE_CACHE_MS = 30000;
+const referenceCache = new Map();
+
+// Feed names for a chain (the config mixes feeds with a shared `decimals` key)
+export function getFeedNames(chain) {
+  const feeds = Object.hasOwn(CHAINLINK_ORACLES, chain) ? CHAINLINK_ORACLES[chain] : null;
+  if (!feeds) {
+    throw new Error(`No Chainlink oracles configured for ${chain}`);
+  }
+  return Object.keys(feeds).filter(key => key !== 'decimals');
+}
+
+// Read latestRoundData for one feed and classify it
+export async function readOracleFeed(chain, feedName, maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS) {
+  // Own keys only: names like toString or constructor are not feeds
+  const feeds = Object.hasOwn(CHAINLINK_ORACLES, chain) ? CHAINLINK_ORACLES[chain] : null;
+  if (!feeds || !Object.hasOwn(feeds, feedName) || feedName === 'decimals') {
+    throw new Error(`Unknown oracle feed ${chain}/${feedName}`);
+  }
+
+  const address = feeds[feedName];
+  const base = { chain, feed: feedName, address };
+
+  if (!address) {
+    return { ...base, status: 'NOT_CONFIGURED', price: null };
+  }
+
+  try {
+    const aggregator = new ethers.Contract(
+      ethers.getAddress(address.toLowerCase()),
+      AGGREGATOR_V3_ABI,
+      getProvider(chain)
+    );
+
+    const [round, onChainDecimals] = await Promise.all([
+      aggregator.latestRoundData(),
+      aggregator.decimals().catch(() => null)
+    ]);
+
+    // Trust the feed's own decimals; fall back to the configured default
+    const decimals = onChainDecimals !== null ? Number(onChainDecimals) : feeds.decimals;
+    const updatedAt = Number(round.updatedAt);
+    const ageSeconds = Math.floor(Date.now() / 1000) - updatedAt;
+
+    let status = 'OK';
+    if (round.answer <= 0n) {
+      status = 'INVALID_ANSWER';
+    } else if (updatedAt === 0 || round.answeredInRound < round.roundId) {
+      status = 'INCOMPLETE_ROUND';
+    } else if (ageSeconds > maxAgeSeconds) {
+      status = 'STALE';
+    }
+
+    return {
+      ...base,
+      status,
+      price: parseFloat(ethers.formatUnits(round.answer, decimals)),
+      decimals,
+      roundId: round.roundId.toString(),
+      updatedAt: new Date(updatedAt * 1000).toISOString(),
+      ageSeconds,
+      maxAgeSeconds
+    };
+  } catch (error) {
+    return {
+      ...base,
+      status: 'ERROR',
+      price: null,
+      error: error.shortMessage || error.message
+    };
+  }
+}
+
+// Read every feed on a chain (or all chains) in parallel
+export async function getOraclePrices(chain = null, maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS) {
+  const chains = chain ? [chain] : Object.keys(CHAINLINK_ORACLES);
+  const result = {};
+
+  await Promise.all(chains.map(async name => {
+    const feeds = await Promise.all(
+      getFeedNames(name).map(feed => readOracleFeed(name, feed, maxAgeSeconds))
+    );
+    result[name] = Object.fromEntries(feeds.map(feed => [feed.feed, feed]));
+  }));
+
+  const all = Object.values(result).flatMap(feeds => Object.values(feeds));
+  const byStatus = all.reduce((counts, feed) => {
+    counts[feed.status] = (counts[feed.status] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    feeds: result,
+    summary: {
+      total: all.length,
+      healthy: byStatus.OK || 0,
+      byStatus
+    },
+    maxAgeSeconds
+  };
+}
+
+// USD reference price for a token symbol from a healthy feed, or null.
+// Looks on the preferred chain first, then any other chain with a `${symbol}_USD` feed.
+export async function getReferencePrice(symbol, preferredChain = 'celo') {
+  const feedName = `${symbol}_USD`;
+  const cached = referenceCache.get(feedName);
+  if (cached && Date.now() - cached.fetchedAt < REFERENCE_CACHE_MS) {
+    return cached.price;
+  }
+
+  const chains = [preferredChain, ...Object.keys(CHAINLINK_ORACLES).filter(c => c !== preferredChain)]
+    .filter(chain => CHAINLINK_ORACLES[chain]?.[feedName]);
+
+  for (const chain of chains) {
+    const reading = await readOracleFeed(chain, feedName);
+    if (reading.status === 'OK') {
+      referenceCache.set(feedName, { price: reading.price, fetchedAt: Date.now() });
+      return reading.price;
+    }
+  }
+
+  return null;
+}
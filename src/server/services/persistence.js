@@ -0,0 +1,185 @@
+import { mkdirSync, readFileSync, writeFileSync, renameSync, existsSync } from 'fs';
+import path from 'path';
+import { PERSISTENCE_CONFIG } from '../config/chains.js';
+
+// ================================
+// DURABLE STATE REPOSITORIES
+// ================================
+
+// A backend stores one serialized document per collection:
+// read(name) -> string | null, write(name, text)
+
+function createFileBackend(dataDir) {
+  const dir = path.resolve(dataDir);
+  mkdirSync(dir, { recursive: true });
+  const fileFor = name => path.join(dir, `${name}.json`);
+
+  return {
+    name: 'file',
+    location: dir,
+
+    read(name) {
+      const file = fileFor(name);
+      return existsSync(file) ? readFileSync(file, 'utf8') : null;
+    },
+
+    // Write to a temp file and rename, so a crash never leaves half a document
+    write(name, text) {
+      const file = fileFor(name);
+      writeFileSync(`${file}.tmp`, text);
+      renameSync(`${file}.tmp`, file);
+    }
+  };
+}
+
+function createMemoryBackend() {
+  return { name: 'memory', location: null, read: () => null, write: () => {} };
+}
+
+const BACKENDS = {
+  file: () => createFileBackend(PERSISTENCE_CONFIG.dataDir),
+  memory: createMemoryBackend
+};
+
+let backend = null;
+function getBackend() {
+  if (!backend) {
+    const create = BACKENDS[PERSISTENCE_CONFIG.backend];
+    if (!create) {
+      throw new Error(`Unknown PERSISTENCE_BACKEND "${PERSISTENCE_CONFIG.backend}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    backend = create();
+  }
+  return backend;
+}
+
+// Values are stored as JSON; bigints become decimal strings
+function replacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+const repositories = new Map();
+let autosaveTimer = null;
+
+// A Map that saves itself. set/delete/clear schedule a write; values mutated
+// in place are picked up by the autosave, which only writes what changed.
+class Repository extends Map {
+  constructor(name, { revive = value => value } = {}) {
+    super();
+    this.name = name;
+    this.revive = revive;
+    this.loaded = false; // Nothing is written before load(), which would clobber stored state
+    this.saved = null;
+    this.savedAt = null;
+    this.flushTimer = null;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.scheduleFlush();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) this.scheduleFlush();
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.scheduleFlush();
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => safeFlush(this), PERSISTENCE_CONFIG.flushDelayMs);
+    this.flushTimer.unref();
+  }
+
+  // Replace the contents with what the backend holds
+  load() {
+    const text = getBackend().read(this.name);
+    super.clear();
+    this.loaded = true;
+    if (!text) return 0;
+
+    for (const [key, value] of JSON.parse(text).entries) {
+      super.set(key, this.revive(value));
+    }
+    this.saved = JSON.stringify({ entries: [...this.entries()] }, replacer);
+    return this.size;
+  }
+
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (!this.loaded) return false;
+
+    const text = JSON.stringify({ entries: [...this.entries()] }, replacer);
+    if (text === this.saved) return false;
+
+    getBackend().write(this.name, text);
+    this.saved = text;
+    this.savedAt = new Date().toISOString();
+    return true;
+  }
+}
+
+// Named repository. `revive` rebuilds a stored value (e.g. a class instance).
+export function createRepository(name, options) {
+  if (repositories.has(name)) {
+    throw new Error(`Repository ${name} already exists`);
+  }
+  const repository = new Repository(name, options);
+  repositories.set(name, repository);
+  return repository;
+}
+
+function safeFlush(repository) {
+  try {
+    repository.flush();
+  } catch (error) {
+    console.error(`❌ Saving ${repository.name} failed:`, error.message);
+  }
+}
+
+function flushAll() {
+  for (const repository of repositories.values()) {
+    safeFlush(repository);
+  }
+}
+
+// Reload every repository from the backend and start saving changes
+export function initializePersistence() {
+  const loaded = {};
+  for (const repository of repositories.values()) {
+    loaded[repository.name] = repository.load();
+  }
+
+  if (!autosaveTimer) {
+    autosaveTimer = setInterval(flushAll, PERSISTENCE_CONFIG.autosaveIntervalMs);
+    autosaveTimer.unref();
+  }
+
+  console.log(`💾 Persistence (${getBackend().name}${getBackend().location ? `: ${getBackend().location}` : ''}) loaded`, loaded);
+  return loaded;
+}
+
+// Write pending changes now and stop the autosave (shutdown)
+export function closePersistence() {
+  clearInterval(autosaveTimer);
+  autosaveTimer = null;
+  flushAll();
+}
+
+export function getPersistenceStatus() {
+  return {
+    backend: PERSISTENCE_CONFIG.backend,
+    location: backend?.location ?? null,
+    collections: Object.fromEntries([...repositories.values()].map(repository => [
+      repository.name,
+      { size: repository.size, savedAt: repository.savedAt }
+    ]))
+  };
+}
@@ -0,0 +1,119 @@
+import { ethers } from 'ethers';
+import { getSuiSwapOutput } from './receipts.js';
+
+// ================================
+// PRE-BROADCAST SIMULATION
+// ================================
+
+const ERC20_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// Revert reason from an ethers call error, as specific as the node reports it
+function describeRevert(error) {
+  return error.revert?.name ?
+    `${error.revert.name}(${error.revert.args.join(', ')})` :
+    error.reason || error.shortMessage || error.message;
+}
+
+function failed(method, error, extra = {}) {
+  return { ok: false, method, error, ...extra };
+}
+
+// Check an EVM swap without sending it. `simulate` runs the swap as a staticCall
+// and resolves to its amountOut; `estimateGas` runs eth_estimateGas on the same call.
+// Without enough allowance the swap would revert with a transfer error, so the
+// approval is estimated instead and the swap check is repeated once it is in place.
+// A swap that redeems its own permit (`permitted`) is simulated without one.
+// A `native` swap pays with the call's value: the wallet's native balance is
+// checked and no allowance is involved.
+export async function preflightEvmSwap({ wallet, tokenIn, spender, amountIn, minAmountOut, decimalsOut, simulate, estimateGas, permitted = false, native = false }) {
+  const method = 'staticCall';
+
+  try {
+    const token = new ethers.Contract(tokenIn, ERC20_ABI, wallet);
+    const [balance, allowance] = native ?
+      [await wallet.provider.getBalance(wallet.address), null] :
+      await Promise.all([
+        token.balanceOf(wallet.address),
+        token.allowance(wallet.address, spender)
+      ]);
+
+    if (balance < amountIn) {
+      return failed(method, `Insufficient balance: have ${balance}, need ${amountIn}`, { balance: balance.toString() });
+    }
+
+    if (!native && allowance < amountIn && !permitted) {
+      const approvalGas = await token.approve.estimateGas(spender, amountIn);
+      return {
+        ok: true,
+        method: 'estimateGas',
+        approvalRequired: true,
+        approvalGasEstimate: approvalGas.toString(),
+        note: 'Swap is re-simulated after the approval, before it is sent'
+      };
+    }
+
+    const simulatedAmountOut = BigInt(await simulate());
+    const gasEstimate = await estimateGas();
+
+    const result = {
+      ok: simulatedAmountOut >= minAmountOut,
+      method,
+      simulatedAmountOut: simulatedAmountOut.toString(),
+      simulatedOutput: ethers.formatUnits(simulatedAmountOut, decimalsOut),
+      gasEstimate: gasEstimate.toString(),
+      ...(permitted && { permit: 'eip2612' })
+    };
+
+    if (!result.ok) {
+      result.error = `Simulated output ${result.simulatedOutput} below minimum ${ethers.formatUnits(minAmountOut, decimalsOut)}`;
+    }
+    return result;
+  } catch (error) {
+    return failed(method, `Swap would revert: ${describeRevert(error)}`);
+  }
+}
+
+// Dry-run a built Sui transaction and read what the owner would receive
+export async function preflightSuiSwap({ client, txb, owner, coinTypeOut, minAmountOut, decimalsOut }) {
+  const method = 'dryRunTransactionBlock';
+
+  try {
+    txb.setSenderIfNotSet(owner);
+    const dryRun = await client.dryRunTransactionBlock({
+      transactionBlock: await txb.build({ client })
+    });
+
+    if (dryRun.effects.status.status !== 'success') {
+      return failed(method, `Transaction would abort: ${dryRun.effects.status.error}`);
+    }
+
+    const { amountOut } = getSuiSwapOutput(dryRun, owner, coinTypeOut);
+    const gas = dryRun.effects.gasUsed;
+
+    const result = {
+      ok: amountOut >= minAmountOut,
+      method,
+      simulatedAmountOut: amountOut.toString(),
+      simulatedOutput: ethers.formatUnits(amountOut, decimalsOut),
+      gasEstimate: (BigInt(gas.computationCost) + BigInt(gas.storageCost) - BigInt(gas.storageRebate)).toString()
+    };
+
+    if (!result.ok) {
+      result.error = `Simulated output ${result.simulatedOutput} below minimum ${ethers.formatUnits(minAmountOut, decimalsOut)}`;
+    }
+    return result;
+  } catch (error) {
+    return failed(method, `Dry run failed: ${error.message}`);
+  }
+}
+
+// Stop before broadcasting when a preflight check did not pass
+export function assertPreflight(preflight) {
+  if (!preflight.ok) {
+    throw new Error(`Preflight failed (${preflight.method}): ${preflight.error}`);
+  }
+}
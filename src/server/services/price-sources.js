@@ -0,0 +1,403 @@
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { CHAIN_CONFIG, TOKEN_DECIMALS, PRICE_SOURCE_CONFIG } from '../config/chains.js';
+import { getProvider } from './blockchain.js';
+import { quoteBestFeeTier } from './uniswap-v3.js';
+import { findUbeswapPath } from './ubeswap.js';
+import { quoteCurveGetDy } from './curve.js';
+import { getCetusPrice } from './cetus.js';
+
+// ================================
+// PRICE SOURCES
+// ================================
+//
+// Every scanner prices through one interface so the same scan can run
+// against live chains, a recording of an earlier live run, or a fixture:
+//
+//   source.quote({ chain, venue, tokenIn, tokenOut, amountIn, blockTag? })
+//     -> { source, chain, venue, tokenIn, tokenOut, amountIn, amountOut, price, blockNumber, ...venue details }
+//   source.getBlockNumber(chain) -> number | null
+//
+// Amounts are human units (100 = 100 USDC), tokens are symbols from CHAIN_CONFIG.
+
+// Venues each chain can be priced on
+export const PRICE_VENUES = {
+  ethereum: ['uniswap_v3'],
+  celo: ['ubeswap', 'uniswap_v3', 'curve'],
+  sui: ['cetus']
+};
+
+let activeSource = null;
+
+// Identifies one quote in a recording or fixture
+export function quoteKey({ chain, venue, tokenIn, tokenOut, amountIn }) {
+  const pair = `${chain}:${venue}:${tokenIn}:${tokenOut}`;
+  return amountIn === undefined ? pair : `${pair}:${amountIn}`;
+}
+
+function validateRequest(request) {
+  const { chain, venue, tokenIn, tokenOut, amountIn } = request;
+
+  if (!PRICE_VENUES[chain]?.includes(venue)) {
+    throw new Error(`Unsupported price venue ${venue} on ${chain}`);
+  }
+  if (!tokenIn || !tokenOut) {
+    throw new Error('tokenIn and tokenOut are required');
+  }
+  if (!(Number(amountIn) > 0)) {
+    throw new Error(`amountIn must be positive (got ${amountIn})`);
+  }
+}
+
+function buildQuote(sourceName, request, amountOut, blockNumber, details = {}) {
+  const amountIn = Number(request.amountIn);
+
+  return {
+    source: sourceName,
+    chain: request.chain,
+    venue: request.venue,
+    tokenIn: request.tokenIn,
+    tokenOut: request.tokenOut,
+    amountIn,
+    amountOut,
+    price: amountOut / amountIn,
+    blockNumber: blockNumber ?? null,
+    ...details
+  };
+}
+
+// ================================
+// LIVE (ON-CHAIN) SOURCE
+// ================================
+
+function getTokenAddress(chain, symbol) {
+  const address = CHAIN_CONFIG[chain]?.tokens?.[symbol];
+  if (!address) {
+    throw new Error(`Token not found on ${chain}: ${symbol}`);
+  }
+  return address;
+}
+
+function getDecimals(chain, symbol) {
+  return TOKEN_DECIMALS[chain]?.[symbol] ?? 18;
+}
+
+// toFixed keeps parseUnits away from exponent notation and excess precision
+function toBaseUnits(amount, decimals) {
+  return ethers.parseUnits(Number(amount).toFixed(decimals), decimals);
+}
+
+function fromBaseUnits(amount, decimals) {
+  return parseFloat(ethers.formatUnits(amount, decimals));
+}
+
+async function quoteEvmVenue(request) {
+  const { chain, venue, tokenIn, tokenOut, amountIn } = request;
+  const tokenInAddress = getTokenAddress(chain, tokenIn);
+  const tokenOutAddress = getTokenAddress(chain, tokenOut);
+  const decimalsOut = getDecimals(chain, tokenOut);
+
+  const blockNumber = request.blockTag ?? await getProvider(chain).getBlockNumber();
+
+  // Same token on both sides (e.g. USDT-USDT) needs no quote
+  if (tokenInAddress.toLowerCase() === tokenOutAddress.toLowerCase()) {
+    return { amountOut: Number(amountIn), blockNumber, details: { sameToken: true } };
+  }
+
+  const amountInWei = toBaseUnits(amountIn, getDecimals(chain, tokenIn));
+
+  switch (venue) {
+    case 'uniswap_v3': {
+      // Every tier is quoted at the same block so they are comparable
+      const { best, quotes } = await quoteBestFeeTier(chain, tokenInAddress, tokenOutAddress, amountInWei, blockNumber);
+      return {
+        amountOut: fromBaseUnits(best.amountOut, decimalsOut),
+        blockNumber,
+        details: {
+          feeTier: best.fee,
+          gasEstimate: best.gasEstimate?.toString() || null,
+          quoter: CHAIN_CONFIG[chain].uniswap.quoter,
+          tiers: quotes.map(q => ({
+            fee: q.fee,
+            amountOut: q.amountOut !== undefined ? ethers.formatUnits(q.amountOut, decimalsOut) : null,
+            error: q.error || null
+          }))
+        }
+      };
+    }
+
+    case 'ubeswap': {
+      // Same path search the Ubeswap executor uses, so quotes match fills
+      const route = await findUbeswapPath(tokenIn, tokenOut, amountInWei, blockNumber);
+      return {
+        amountOut: fromBaseUnits(route.amountOut, decimalsOut),
+        blockNumber,
+        details: { path: route.symbols }
+      };
+    }
+
+    case 'curve': {
+      const quote = await quoteCurveGetDy(tokenInAddress, tokenOutAddress, amountInWei, blockNumber);
+      if (quote.amountOut === 0n) {
+        throw new Error('Curve get_dy quoted zero output');
+      }
+      return {
+        amountOut: fromBaseUnits(quote.amountOut, decimalsOut),
+        blockNumber,
+        details: { pool: quote.pool, coinIndices: { i: quote.i, j: quote.j } }
+      };
+    }
+
+    default:
+      throw new Error(`No live quoter for ${venue} on ${chain}`);
+  }
+}
+
+async function quoteSuiVenue(request) {
+  const quote = await getCetusPrice(request.tokenIn, request.tokenOut, Number(request.amountIn));
+
+  return {
+    amountOut: parseFloat(quote.amountOut),
+    blockNumber: null,
+    details: {
+      poolId: quote.poolId,
+      a2b: quote.a2b,
+      feeRate: quote.feeRate,
+      spotPrice: quote.spotPrice,
+      priceImpactPercent: quote.priceImpactPercent,
+      liquidity: quote.liquidity,
+      approximation: quote.approximation
+    }
+  };
+}
+
+// Quotes the chains directly. With a recordFile every quote (and every
+// failed quote) is appended as a JSON line that the replay source reads back.
+export function createLivePriceSource({ recordFile = null } = {}) {
+  const record = (entry) => {
+    if (!recordFile) return;
+    try {
+      fs.appendFileSync(recordFile, JSON.stringify({ recordedAt: new Date().toISOString(), ...entry }) + '\n');
+    } catch (error) {
+      console.warn(`⚠️ Could not record price quote to ${recordFile}: ${error.message}`);
+    }
+  };
+
+  return {
+    name: 'live',
+    file: recordFile,
+
+    async quote(request) {
+      validateRequest(request);
+      const { chain, venue, tokenIn, tokenOut } = request;
+      const recordedRequest = { chain, venue, tokenIn, tokenOut, amountIn: Number(request.amountIn) };
+
+      try {
+        const { amountOut, blockNumber, details } = request.chain === 'sui' ?
+          await quoteSuiVenue(request) :
+          await quoteEvmVenue(request);
+
+        const quote = buildQuote('live', request, amountOut, blockNumber, details);
+        record({ request: recordedRequest, result: quote });
+        return quote;
+      } catch (error) {
+        const message = error.shortMessage || error.message;
+        record({ request: recordedRequest, error: message });
+        throw new Error(message);
+      }
+    },
+
+    async getBlockNumber(chain) {
+      if (chain === 'sui') return null;
+      const blockNumber = await getProvider(chain).getBlockNumber();
+      record({ blockNumber: { chain, value: blockNumber } });
+      return blockNumber;
+    }
+  };
+}
+
+// ================================
+// REPLAY SOURCE
+// ================================
+
+// Answers from a recording made by the live source. The last record for a
+// quote wins; a size that was never recorded reuses the price of the nearest
+// recorded size for the same pair and venue and says so in `sizeAdjustedFrom`.
+export function createReplayPriceSource(file) {
+  if (!file) {
+    throw new Error('PRICE_REPLAY_FILE is required for the replay price source');
+  }
+
+  const quotes = new Map();
+  const pairs = new Map();
+  const blockNumbers = {};
+
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid price recording ${file} line ${index + 1}: ${error.message}`);
+    }
+
+    if (entry.blockNumber) {
+      blockNumbers[entry.blockNumber.chain] = entry.blockNumber.value;
+      return;
+    }
+    if (!entry.request) return;
+
+    quotes.set(quoteKey(entry.request), entry);
+
+    if (entry.result) {
+      const pairKey = quoteKey({ ...entry.request, amountIn: undefined });
+      pairs.set(pairKey, [...(pairs.get(pairKey) || []), entry.result]);
+      if (entry.result.blockNumber !== null) {
+        blockNumbers[entry.request.chain] = entry.result.blockNumber;
+      }
+    }
+  });
+
+  console.log(`📼 Replaying ${quotes.size} recorded quotes from ${file}`);
+
+  return {
+    name: 'replay',
+    file,
+
+    async quote(request) {
+      validateRequest(request);
+
+      const recorded = quotes.get(quoteKey({ ...request, amountIn: Number(request.amountIn) }));
+      if (recorded) {
+        if (recorded.error) throw new Error(recorded.error);
+        return { ...recorded.result, source: 'replay' };
+      }
+
+      const amountIn = Number(request.amountIn);
+      const sameVenue = pairs.get(quoteKey({ ...request, amountIn: undefined })) || [];
+      if (sameVenue.length === 0) {
+        throw new Error(`No recorded quote for ${quoteKey(request)}`);
+      }
+
+      const nearest = sameVenue.reduce((best, quote) =>
+        Math.abs(quote.amountIn - amountIn) < Math.abs(best.amountIn - amountIn) ? quote : best);
+
+      return {
+        ...buildQuote('replay', request, amountIn * nearest.price, nearest.blockNumber),
+        sizeAdjustedFrom: nearest.amountIn
+      };
+    },
+
+    async getBlockNumber(chain) {
+      return blockNumbers[chain] ?? null;
+    }
+  };
+}
+
+// ================================
+// FIXTURE SOURCE
+// ================================
+
+// Scripted prices keyed by `chain:venue:tokenIn:tokenOut`. An entry is either
+// a price, `{ price, depth }` where depth (in tokenIn) adds constant-product
+// impact, or `{ error }`. The reverse pair is derived when only one is listed.
+//
+//   { "blockNumbers": { "celo": 100 },
+//     "prices": { "celo:ubeswap:cUSD:USDC": { "price": 1.002, "depth": 50000 } } }
+export function createFixturePriceSource(fixture, name = 'fixture') {
+  const prices = fixture?.prices || {};
+  const blockNumbers = fixture?.blockNumbers || {};
+
+  const lookup = (request) => {
+    const entry = prices[quoteKey({ ...request, amountIn: undefined })];
+    if (entry !== undefined) {
+      return typeof entry === 'number' ? { price: entry } : entry;
+    }
+
+    const reverse = prices[quoteKey({ ...request, tokenIn: request.tokenOut, tokenOut: request.tokenIn, amountIn: undefined })];
+    if (reverse !== undefined) {
+      const forward = typeof reverse === 'number' ? { price: reverse } : reverse;
+      if (forward.error) return forward;
+      // Same pool seen from the other side: depth is restated in the new tokenIn
+      return forward.depth ?
+        { price: 1 / forward.price, depth: forward.depth * forward.price } :
+        { price: 1 / forward.price };
+    }
+
+    return null;
+  };
+
+  return {
+    name,
+    file: null,
+
+    async quote(request) {
+      validateRequest(request);
+      const amountIn = Number(request.amountIn);
+      const blockNumber = blockNumbers[request.chain] ?? null;
+
+      if (request.tokenIn === request.tokenOut) {
+        return buildQuote(name, request, amountIn, blockNumber, { sameToken: true });
+      }
+
+      const entry = lookup(request);
+      if (!entry) {
+        throw new Error(`No fixture price for ${quoteKey({ ...request, amountIn: undefined })}`);
+      }
+      if (entry.error) {
+        throw new Error(entry.error);
+      }
+
+      const amountOut = entry.depth ?
+        entry.price * amountIn * entry.depth / (entry.depth + amountIn) :
+        entry.price * amountIn;
+
+      return buildQuote(name, request, amountOut, blockNumber);
+    },
+
+    async getBlockNumber(chain) {
+      return blockNumbers[chain] ?? null;
+    }
+  };
+}
+
+function loadFixtureFile(file) {
+  if (!file) {
+    throw new Error('PRICE_FIXTURE_FILE is required for the fixture price source');
+  }
+  return createFixturePriceSource(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+// ================================
+// SOURCE SELECTION
+// ================================
+
+export function createPriceSource(config = PRICE_SOURCE_CONFIG) {
+  switch (config.source) {
+    case 'live':
+      return createLivePriceSource({ recordFile: config.recordFile });
+    case 'replay':
+      return createReplayPriceSource(config.replayFile);
+    case 'fixture':
+      return loadFixtureFile(config.fixtureFile);
+    default:
+      throw new Error(`Unknown price source: ${config.source} (expected live, replay or fixture)`);
+  }
+}
+
+// The source every scanner uses, built from config on first use
+export function getPriceSource() {
+  if (!activeSource) {
+    activeSource = createPriceSource();
+    console.log(`💱 Price source: ${activeSource.name}${activeSource.file ? ` (${activeSource.file})` : ''}`);
+  }
+  return activeSource;
+}
+
+// Swap the active source (e.g. a fixture for assertions). Pass null to rebuild from config.
+export function setPriceSource(source) {
+  activeSource = source;
+  return source;
+}
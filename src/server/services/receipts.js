@@ -0,0 +1,151 @@
+import { ethers } from 'ethers';
+import { normalizeStructTag } from '@mysten/sui.js/utils';
+
+// ================================
+// SWAP RECEIPT DECODING
+// ================================
+
+const ERC20_EVENTS = new ethers.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+]);
+
+// Uniswap V3 pools (Ethereum and Celo)
+const V3_POOL_EVENTS = new ethers.Interface([
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
+]);
+
+// Uniswap V2-style pairs (Ubeswap)
+const V2_PAIR_EVENTS = new ethers.Interface([
+  'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)'
+]);
+
+const TRANSFER_TOPIC = ERC20_EVENTS.getEvent('Transfer').topicHash;
+const V3_SWAP_TOPIC = V3_POOL_EVENTS.getEvent('Swap').topicHash;
+const V2_SWAP_TOPIC = V2_PAIR_EVENTS.getEvent('Swap').topicHash;
+
+const COIN_PREFIX = '0x2::coin::Coin<';
+const SUI_COIN_TYPE = normalizeStructTag('0x2::sui::SUI');
+
+// Sum of ERC20 Transfer events of `tokenAddress` to `recipient` in a receipt
+export function getTransferredAmount(receipt, tokenAddress, recipient) {
+  const recipientTopic = ethers.zeroPadValue(recipient, 32).toLowerCase();
+
+  return receipt.logs
+    .filter(log =>
+      log.address.toLowerCase() === tokenAddress.toLowerCase() &&
+      log.topics[0] === TRANSFER_TOPIC &&
+      log.topics[2]?.toLowerCase() === recipientTopic
+    )
+    .reduce((sum, log) => sum + BigInt(log.data), 0n);
+}
+
+// Pool Swap events in log order, with amounts as base-unit strings.
+// V3 amounts are signed from the pool's view: negative means paid out.
+export function decodeSwapEvents(receipt) {
+  const swaps = [];
+
+  for (const log of receipt.logs) {
+    if (log.topics[0] === V3_SWAP_TOPIC) {
+      const { args } = V3_POOL_EVENTS.parseLog(log);
+      swaps.push({
+        protocol: 'uniswap_v3',
+        pool: log.address,
+        recipient: args.recipient,
+        amount0: args.amount0.toString(),
+        amount1: args.amount1.toString(),
+        sqrtPriceX96: args.sqrtPriceX96.toString(),
+        tick: Number(args.tick)
+      });
+    } else if (log.topics[0] === V2_SWAP_TOPIC) {
+      const { args } = V2_PAIR_EVENTS.parseLog(log);
+      swaps.push({
+        protocol: 'uniswap_v2',
+        pool: log.address,
+        recipient: args.to,
+        amount0In: args.amount0In.toString(),
+        amount1In: args.amount1In.toString(),
+        amount0Out: args.amount0Out.toString(),
+        amount1Out: args.amount1Out.toString()
+      });
+    }
+  }
+
+  return swaps;
+}
+
+// Amount paid out by the last Swap event of a route
+function getLastSwapOutput(swaps) {
+  const last = swaps[swaps.length - 1];
+  if (!last) return null;
+
+  if (last.protocol === 'uniswap_v3') {
+    const amount0 = BigInt(last.amount0);
+    const amount1 = BigInt(last.amount1);
+    return amount0 < 0n ? -amount0 : amount1 < 0n ? -amount1 : null;
+  }
+
+  return BigInt(last.amount0Out) + BigInt(last.amount1Out);
+}
+
+// What an EVM swap delivered to `recipient`. The token's Transfer events are
+// authoritative; the final pool Swap event covers tokens that skip them.
+export function getEvmSwapOutput(receipt, tokenOut, recipient) {
+  const swaps = decodeSwapEvents(receipt);
+  const transferred = getTransferredAmount(receipt, tokenOut, recipient);
+
+  if (transferred > 0n) {
+    return { amountOut: transferred, outputSource: 'transfer_log', swaps };
+  }
+
+  const swapOutput = getLastSwapOutput(swaps);
+  if (swapOutput !== null) {
+    return { amountOut: swapOutput, outputSource: 'swap_event', swaps };
+  }
+
+  throw new Error(`No ${tokenOut} Transfer or pool Swap event in tx ${receipt.hash}`);
+}
+
+// What a Sui transaction delivered to `owner` in `coinType`, from balanceChanges.
+// SUI balance changes are net of gas, so gas is added back for SUI output.
+export function getSuiSwapOutput(result, owner, coinType) {
+  const type = normalizeStructTag(coinType);
+  const ownerAddress = owner.toLowerCase();
+
+  const change = (result.balanceChanges || []).find(c =>
+    normalizeStructTag(c.coinType) === type &&
+    c.owner?.AddressOwner?.toLowerCase() === ownerAddress
+  );
+
+  let amountOut = change ? BigInt(change.amount) : 0n;
+
+  if (type === SUI_COIN_TYPE && result.effects?.gasUsed) {
+    const gas = result.effects.gasUsed;
+    amountOut += BigInt(gas.computationCost) + BigInt(gas.storageCost) - BigInt(gas.storageRebate);
+  }
+
+  const objectIds = (result.objectChanges || [])
+    .filter(c => (c.type === 'created' || c.type === 'mutated') && c.objectType?.startsWith(COIN_PREFIX))
+    .filter(c => normalizeStructTag(c.objectType.slice(COIN_PREFIX.length, -1)) === type)
+    .filter(c => c.owner?.AddressOwner?.toLowerCase() === ownerAddress)
+    .map(c => c.objectId);
+
+  return { amountOut, outputSource: 'balance_changes', coinType: type, objectIds };
+}
+
+// Output fields every executor step carries: exact base units plus the
+// formatted amount and how far it landed from the quote
+export function describeSwapOutput(amountOut, quotedAmountOut, decimals, outputSource) {
+  const actual = BigInt(amountOut);
+  const quoted = BigInt(quotedAmountOut);
+
+  return {
+    amountOut: actual.toString(),
+    actualOutput: ethers.formatUnits(actual, decimals),
+    quotedAmountOut: quoted.toString(),
+    outputDecimals: decimals,
+    outputSource,
+    slippagePercent: quoted > 0n ?
+      parseFloat((Number(quoted - actual) * 100 / Number(quoted)).toFixed(4)) :
+      null
+  };
+}
@@ -0,0 +1,139 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { PERSISTENCE_CONFIG } from '../config/chains.js';
+import { createRepository } from './persistence.js';
+
+// ================================
+// SWAP SECRET CUSTODY
+// ================================
+
+// Preimages are kept here, encrypted, and never on the swap state itself.
+// Each entry is bound to its swap id (GCM additional data), so a ciphertext
+// cannot be replayed under another swap.
+
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const MAX_AUDIT_ENTRIES = 5000;
+
+// Only ciphertext is persisted; reading it back after a restart needs the same SWAP_SECRET_KEY
+const secrets = createRepository('swapSecrets');
+// Audit entries by id, oldest first, so the trail survives restarts too
+const auditLog = createRepository('swapSecretAudit');
+
+// SWAP_SECRET_KEY: 32 bytes as hex or base64 (see .env.example). Without it
+// secrets are encrypted with a per-process key: persisted swaps come back
+// after a restart but their secrets cannot be read, so set it for real swaps.
+function loadKey() {
+  const configured = process.env.SWAP_SECRET_KEY;
+  if (!configured) {
+    console.warn('⚠️ SWAP_SECRET_KEY not set: swap secrets use an ephemeral key');
+    if (PERSISTENCE_CONFIG.backend !== 'memory') {
+      console.warn(`⚠️ Secrets saved to the ${PERSISTENCE_CONFIG.backend} backend will be unreadable after a restart`);
+    }
+    return randomBytes(KEY_BYTES);
+  }
+
+  const key = /^[0-9a-fA-F]{64}$/.test(configured) ?
+    Buffer.from(configured, 'hex') :
+    Buffer.from(configured, 'base64');
+
+  if (key.length !== KEY_BYTES) {
+    throw new Error('SWAP_SECRET_KEY must be 32 bytes (64 hex characters or base64)');
+  }
+  return key;
+}
+
+let key = null;
+function getKey() {
+  key = key || loadKey();
+  return key;
+}
+
+// Load the key at startup, so a malformed one stops the server instead of
+// the first swap that needs it
+export function initializeSecretStore() {
+  getKey();
+}
+
+function audit(swapId, action, { actor = 'system', reason = null, outcome = 'OK' } = {}) {
+  const entry = { timestamp: new Date().toISOString(), swapId, action, actor, reason, outcome };
+  auditLog.set(randomBytes(8).toString('hex'), entry);
+  if (auditLog.size > MAX_AUDIT_ENTRIES) {
+    auditLog.delete(auditLog.keys().next().value);
+  }
+  console.log(`🔐 Secret ${action} ${outcome} for swap ${swapId} by ${actor}${reason ? ` (${reason})` : ''}`);
+  return entry;
+}
+
+// Encrypt and keep a swap's preimage (hex). The hashlock is kept alongside to
+// check the preimage again on every reveal.
+export function storeSwapSecret(swapId, secretHex, hashlock, { actor } = {}) {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv('aes-256-gcm', getKey(), iv);
+  cipher.setAAD(Buffer.from(swapId));
+
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(secretHex, 'hex')), cipher.final()]);
+
+  secrets.set(swapId, {
+    hashlock,
+    iv: iv.toString('hex'),
+    tag: cipher.getAuthTag().toString('hex'),
+    ciphertext: ciphertext.toString('hex'),
+    storedAt: new Date().toISOString(),
+    revealedAt: null
+  });
+  audit(swapId, 'STORE', { actor });
+}
+
+// Decrypt a swap's preimage. Callers decide whether it may be released;
+// every call is audited with who asked and why.
+export function revealSwapSecret(swapId, { actor, reason } = {}) {
+  const entry = secrets.get(swapId);
+  if (!entry) {
+    audit(swapId, 'REVEAL', { actor, reason, outcome: 'NOT_FOUND' });
+    throw new Error(`No secret stored for swap ${swapId}`);
+  }
+
+  let secret;
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', getKey(), Buffer.from(entry.iv, 'hex'));
+    decipher.setAAD(Buffer.from(swapId));
+    decipher.setAuthTag(Buffer.from(entry.tag, 'hex'));
+    secret = Buffer.concat([decipher.update(Buffer.from(entry.ciphertext, 'hex')), decipher.final()]);
+  } catch (error) {
+    audit(swapId, 'REVEAL', { actor, reason, outcome: 'DECRYPT_FAILED' });
+    throw new Error(`Secret for swap ${swapId} could not be decrypted`);
+  }
+
+  if (createHash('sha256').update(secret).digest('hex') !== entry.hashlock) {
+    audit(swapId, 'REVEAL', { actor, reason, outcome: 'HASHLOCK_MISMATCH' });
+    throw new Error(`Stored secret for swap ${swapId} does not match its hashlock`);
+  }
+
+  entry.revealedAt = entry.revealedAt || new Date().toISOString();
+  audit(swapId, 'REVEAL', { actor, reason });
+  return secret.toString('hex');
+}
+
+// Record a refused reveal without touching the secret
+export function denySwapSecret(swapId, { actor, reason } = {}) {
+  return audit(swapId, 'REVEAL', { actor, reason, outcome: 'DENIED' });
+}
+
+export function deleteSwapSecret(swapId, { actor, reason } = {}) {
+  if (secrets.delete(swapId)) {
+    audit(swapId, 'DELETE', { actor, reason });
+  }
+}
+
+// What is known about a swap's secret, without the secret
+export function getSwapSecretStatus(swapId) {
+  const entry = secrets.get(swapId);
+  return entry ?
+    { stored: true, encryption: 'aes-256-gcm', storedAt: entry.storedAt, revealedAt: entry.revealedAt } :
+    { stored: false };
+}
+
+export function getSecretAuditLog(swapId = null) {
+  const entries = [...auditLog.values()];
+  return swapId ? entries.filter(entry => entry.swapId === swapId) : entries;
+}
@@ -0,0 +1,219 @@
+import { TransactionBlock } from '@mysten/sui.js/transactions';
+import { normalizeStructTag, normalizeSuiObjectId, fromHEX } from '@mysten/sui.js/utils';
+import { CHAIN_CONFIG } from '../config/chains.js';
+import { suiWallet, suiClient } from './wallets.js';
+import { selectCoinsForAmount } from './cetus.js';
+
+// ================================
+// SUI HASH-TIME-LOCKED ESCROW
+// ================================
+
+// Move package in contracts/sui/htlc; publish it and set SUI_HTLC_PACKAGE
+const CLOCK_OBJECT_ID = '0x6';
+const SUI_COIN_TYPE = normalizeStructTag('0x2::sui::SUI');
+const HTLC_GAS_BUDGET = 20_000_000; // 0.02 SUI
+
+// Abort codes of htlc::htlc, by value
+const ABORT_CODES = [
+  'EInvalidRecipient',
+  'EInvalidAmount',
+  'EInvalidHashlock',
+  'EInvalidTimelock',
+  'EAlreadySettled',
+  'EWrongPreimage',
+  'EExpired',
+  'ENotExpired'
+];
+
+function toBytes(hex) {
+  return Array.from(fromHEX(hex.startsWith('0x') ? hex.slice(2) : hex));
+}
+
+// vector<u8> fields come back from the RPC as number arrays
+function toHex(bytes) {
+  return `0x${Buffer.from(bytes).toString('hex')}`;
+}
+
+// Name the module's abort code when a transaction aborted in htlc::htlc
+function describeSuiAbort(error) {
+  const match = /MoveAbort\(.*Identifier\("htlc"\).*,\s*(\d+)\)/.exec(error);
+  return match && ABORT_CODES[match[1]] ? `${ABORT_CODES[match[1]]} (${error})` : error;
+}
+
+// Escrow client for a published htlc package, signing with `signer`.
+// Same shape as the EVM client in htlc.js: amounts are base units, the
+// hashlock and preimage 0x-prefixed 32-byte hex, timelocks Unix seconds.
+// `token` is a coin type and lock ids are the shared Lock object ids.
+export function createSuiHtlcClient({ packageId: configuredId, client, signer }) {
+  // Object types in RPC responses carry the full-length package id
+  const packageId = normalizeSuiObjectId(configuredId);
+  const lockTypePrefix = `${packageId}::htlc::Lock<`;
+  const owner = signer.getPublicKey().toSuiAddress();
+
+  // Dry-run first so aborts are reported without paying for them
+  async function run(label, txb) {
+    txb.setSender(owner);
+    txb.setGasBudget(HTLC_GAS_BUDGET);
+
+    const dryRun = await client.dryRunTransactionBlock({
+      transactionBlock: await txb.build({ client })
+    });
+    if (dryRun.effects.status.status !== 'success') {
+      throw new Error(`HTLC ${label} failed: ${describeSuiAbort(dryRun.effects.status.error)}`);
+    }
+
+    const result = await client.signAndExecuteTransactionBlock({
+      signer,
+      transactionBlock: txb,
+      options: { showEffects: true, showObjectChanges: true }
+    });
+    if (result.effects.status.status !== 'success') {
+      throw new Error(`HTLC ${label} failed: ${describeSuiAbort(result.effects.status.error)}`);
+    }
+
+    return result;
+  }
+
+  async function readLock(lockId) {
+    const object = await client.getObject({ id: lockId, options: { showContent: true, showType: true } });
+    if (!object.data?.type?.startsWith(lockTypePrefix)) {
+      return null;
+    }
+    return {
+      coinType: object.data.type.slice(lockTypePrefix.length, -1),
+      fields: object.data.content.fields
+    };
+  }
+
+  // The lock as stored on chain, with a status judged against the chain's clock
+  async function getLock(lockId) {
+    const [stored, clock] = await Promise.all([
+      readLock(lockId),
+      client.getObject({ id: CLOCK_OBJECT_ID, options: { showContent: true } })
+    ]);
+
+    if (!stored) {
+      return { lockId, status: 'NOT_FOUND' };
+    }
+
+    const { fields, coinType } = stored;
+    const now = Math.floor(Number(clock.data.content.fields.timestamp_ms) / 1000);
+    const timelock = Number(fields.timelock);
+    const status = fields.claimed ? 'CLAIMED' :
+      fields.refunded ? 'REFUNDED' :
+      now >= timelock ? 'EXPIRED' :
+      'LOCKED';
+
+    return {
+      lockId,
+      status,
+      sender: fields.sender,
+      recipient: fields.recipient,
+      token: coinType,
+      amount: fields.amount,
+      hashlock: toHex(fields.hashlock),
+      timelock,
+      preimage: fields.claimed ? toHex(fields.preimage) : null
+    };
+  }
+
+  // Settlement calls need the lock's coin type as the type argument
+  async function settle(label, lockId, buildArguments) {
+    const stored = await readLock(lockId);
+    if (!stored) {
+      throw new Error(`HTLC ${label} failed: lock ${lockId} not found`);
+    }
+
+    const txb = new TransactionBlock();
+    txb.moveCall({
+      target: `${packageId}::htlc::${label}`,
+      typeArguments: [stored.coinType],
+      arguments: [txb.object(lockId), ...buildArguments(txb), txb.object(CLOCK_OBJECT_ID)]
+    });
+
+    const result = await run(label, txb);
+    return { lockId, txHash: result.digest };
+  }
+
+  return {
+    address: packageId,
+    getLock,
+
+    // Checkpoints on top of (and including) the one with the lock's last transaction
+    async getLockConfirmations(lockId) {
+      const object = await client.getObject({ id: lockId, options: { showPreviousTransaction: true } });
+      if (!object.data) {
+        return 0;
+      }
+
+      const [transaction, latest] = await Promise.all([
+        client.getTransactionBlock({ digest: object.data.previousTransaction }),
+        client.getLatestCheckpointSequenceNumber()
+      ]);
+      return transaction.checkpoint ? Number(latest) - Number(transaction.checkpoint) + 1 : 0;
+    },
+
+    async lock({ recipient, token, amount, hashlock, timelock }) {
+      const coinType = normalizeStructTag(token);
+      const txb = new TransactionBlock();
+
+      // SUI is split off the gas coin; other coins are merged and split to size
+      let coin;
+      if (coinType === SUI_COIN_TYPE) {
+        [coin] = txb.splitCoins(txb.gas, [txb.pure(amount)]);
+      } else {
+        const { coins } = await selectCoinsForAmount(owner, coinType, amount);
+        const primary = txb.object(coins[0].coinObjectId);
+        if (coins.length > 1) {
+          txb.mergeCoins(primary, coins.slice(1).map(c => txb.object(c.coinObjectId)));
+        }
+        [coin] = txb.splitCoins(primary, [txb.pure(amount)]);
+      }
+
+      txb.moveCall({
+        target: `${packageId}::htlc::lock`,
+        typeArguments: [coinType],
+        arguments: [
+          coin,
+          txb.pure(recipient, 'address'),
+          txb.pure(toBytes(hashlock), 'vector<u8>'),
+          txb.pure(timelock, 'u64'),
+          txb.object(CLOCK_OBJECT_ID)
+        ]
+      });
+
+      const result = await run('lock', txb);
+      const created = result.objectChanges.find(change =>
+        change.type === 'created' && change.objectType.startsWith(lockTypePrefix)
+      );
+
+      if (!created) {
+        throw new Error(`No Lock object created in ${result.digest}`);
+      }
+
+      return { lockId: created.objectId, txHash: result.digest };
+    },
+
+    claim(lockId, preimage) {
+      return settle('claim', lockId, txb => [txb.pure(toBytes(preimage), 'vector<u8>')]);
+    },
+
+    refund(lockId) {
+      return settle('refund', lockId, () => []);
+    }
+  };
+}
+
+// Client for the configured package, signing with the server's Sui wallet
+export function getSuiHtlcClient() {
+  const packageId = CHAIN_CONFIG.sui.htlc;
+  if (!packageId) {
+    throw new Error('HTLC not published on sui (set SUI_HTLC_PACKAGE, see contracts/sui/htlc)');
+  }
+
+  if (!suiWallet || !suiClient) {
+    throw new Error('Wallet not initialized for sui');
+  }
+
+  return createSuiHtlcClient({ packageId, client: suiClient, signer: suiWallet });
+}
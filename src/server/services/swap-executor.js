@@ -0,0 +1,198 @@
+import { getWalletInstance } from './wallets.js';
+import { executeLegPipeline, preflightLegs, getBridgeFee } from './leg-pipeline.js';
+
+// ================================
+// ATOMIC SWAP STEP EXECUTION
+// ================================
+
+// Value crosses chains as USDC, which every chain we trade on lists
+const BRIDGE_TOKEN = 'USDC';
+
+// Swap statuses after which no step may run
+export const FINAL_STATUSES = ['COMPLETED', 'FAILED', 'EXPIRED', 'REFUNDED'];
+
+// Refusals carry the HTTP status the route should answer with
+class StepRefusedError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'StepRefusedError';
+    this.statusCode = statusCode;
+  }
+}
+
+function sourceLeg(swapState) {
+  return { chain: swapState.fromChain, tokenIn: swapState.fromToken, tokenOut: BRIDGE_TOKEN };
+}
+
+function destinationLeg(swapState) {
+  return { chain: swapState.toChain, tokenIn: BRIDGE_TOKEN, tokenOut: swapState.toToken };
+}
+
+// Run one swap leg through the pipeline and move the position to its measured output
+async function runSwapLeg(swapState, leg) {
+  const { amount } = swapState.position;
+
+  // Same token on both sides: nothing to swap on this chain
+  if (leg.tokenIn === leg.tokenOut) {
+    return { skipped: 'identity leg', amountIn: amount, amountOut: amount };
+  }
+
+  const pipeline = await executeLegPipeline([leg], amount, { maxSlippage: swapState.maxSlippage });
+  if (!pipeline.success) {
+    throw new Error(pipeline.error);
+  }
+
+  const [executed] = pipeline.legs;
+  swapState.position = { chain: leg.chain, token: leg.tokenOut, amount: pipeline.finalAmountOut };
+
+  return {
+    venue: executed.venue,
+    amountIn: amount,
+    amountOut: pipeline.finalAmountOut,
+    minAmountOut: executed.minAmountOut,
+    txHash: executed.result.txHash,
+    explorer: executed.result.explorer,
+    slippagePercent: executed.result.slippagePercent,
+    preflight: pipeline.preflight
+  };
+}
+
+// Server wallets on both chains, and (when trading for real) a simulation of the source swap
+async function prepareWallets(swapState) {
+  const missing = [swapState.fromChain, swapState.toChain].filter(chain => !getWalletInstance(chain));
+  if (missing.length > 0) {
+    throw new Error(`Wallet not initialized for ${missing.join(', ')}`);
+  }
+
+  const result = { wallets: [swapState.fromChain, swapState.toChain], bridgeToken: BRIDGE_TOKEN };
+  const leg = sourceLeg(swapState);
+
+  if (process.env.ENABLE_REAL_TRADING === 'true' && leg.tokenIn !== leg.tokenOut) {
+    const preflight = await preflightLegs([leg], swapState.position.amount, { maxSlippage: swapState.maxSlippage });
+    if (!preflight.ok) {
+      throw new Error(preflight.error);
+    }
+    result.preflight = preflight;
+  }
+
+  return result;
+}
+
+// There is no bridge integration: the destination leg spends inventory the bot
+// already holds on the destination chain, less the configured bridge fee
+// (the same model the multi-leg pipeline uses between chains).
+async function bridgeTransfer(swapState) {
+  const { chain, token, amount } = swapState.position;
+  const bridgeFee = getBridgeFee(amount);
+  const bridged = amount - bridgeFee;
+
+  if (bridged <= 0) {
+    throw new Error(`Nothing left to bridge after fee ${bridgeFee}`);
+  }
+
+  swapState.position = { chain: swapState.toChain, token, amount: bridged };
+
+  return {
+    mode: 'inventory',
+    from: chain,
+    to: swapState.toChain,
+    token,
+    amountIn: amount,
+    bridgeFee,
+    amountOut: bridged,
+    note: `Spends ${token} inventory already held on ${swapState.toChain}`
+  };
+}
+
+const STEP_HANDLERS = {
+  WALLET_PREPARATION: prepareWallets,
+  BRIDGE_PREPARATION: prepareWallets,
+  SOURCE_SWAP: swapState => runSwapLeg(swapState, sourceLeg(swapState)),
+  BRIDGE_TRANSFER: bridgeTransfer,
+  BRIDGE_EXECUTION: bridgeTransfer,
+  DESTINATION_SWAP: swapState => runSwapLeg(swapState, destinationLeg(swapState))
+};
+
+// Check that `stepIndex` (default: the next pending step) may run now
+function selectStep(swapState, stepIndex) {
+  const steps = swapState.executionPlan?.steps;
+  if (!steps) {
+    throw new StepRefusedError(`Swap ${swapState.swapId} has no execution plan`, 409);
+  }
+
+  if (Math.floor(Date.now() / 1000) > swapState.timelock) {
+    if (!FINAL_STATUSES.includes(swapState.status)) {
+      swapState.updateStatus('EXPIRED');
+    }
+    throw new StepRefusedError(`Swap ${swapState.swapId} expired at ${new Date(swapState.timelock * 1000).toISOString()}`, 410);
+  }
+
+  if (FINAL_STATUSES.includes(swapState.status)) {
+    throw new StepRefusedError(`Swap ${swapState.swapId} is ${swapState.status}`, 409);
+  }
+
+  const running = steps.findIndex(step => step.status === 'RUNNING');
+  if (running >= 0) {
+    throw new StepRefusedError(`Step ${running + 1} (${steps[running].type}) is still running`, 409);
+  }
+
+  const next = steps.findIndex(step => step.status === 'PENDING');
+  if (next < 0) {
+    throw new StepRefusedError(`Swap ${swapState.swapId} has no pending steps`, 409);
+  }
+
+  if (stepIndex !== undefined && stepIndex !== null && Number(stepIndex) !== next) {
+    throw new StepRefusedError(`Step ${Number(stepIndex) + 1} is out of order: next step is ${next + 1} (${steps[next].type})`, 409);
+  }
+
+  if (!STEP_HANDLERS[steps[next].type]) {
+    throw new StepRefusedError(`No executor for step type ${steps[next].type}`, 409);
+  }
+
+  return next;
+}
+
+// Run the next pending step of a swap plan and record its outcome on the swap.
+// `stepIndex` (0-based) guards against running a step the caller did not expect.
+export async function executeSwapStep(swapState, { stepIndex } = {}) {
+  const index = selectStep(swapState, stepIndex);
+  const step = swapState.executionPlan.steps[index];
+
+  if (!swapState.position) {
+    swapState.position = { chain: swapState.fromChain, token: swapState.fromToken, amount: Number(swapState.amount) };
+  }
+
+  // Marked before any await so a concurrent request sees it as running
+  step.status = 'RUNNING';
+  step.startedAt = new Date().toISOString();
+  swapState.updateStatus('EXECUTING');
+  console.log(`▶️  Swap ${swapState.swapId} step ${index + 1}/${swapState.executionPlan.steps.length}: ${step.type}`);
+
+  try {
+    step.result = await STEP_HANDLERS[step.type](swapState);
+    step.status = 'COMPLETED';
+  } catch (error) {
+    step.status = 'FAILED';
+    step.error = error.message;
+  }
+  step.completedAt = new Date().toISOString();
+
+  swapState.addStep({ index, type: step.type, status: step.status, result: step.result, error: step.error });
+
+  if (step.status === 'FAILED') {
+    console.error(`❌ Swap ${swapState.swapId} step ${index + 1} (${step.type}) failed: ${step.error}`);
+    swapState.updateStatus('FAILED');
+  } else if (swapState.executionPlan.steps.every(s => s.status === 'COMPLETED')) {
+    swapState.finalAmountOut = swapState.position.amount;
+    swapState.updateStatus('COMPLETED');
+  } else {
+    swapState.updateStatus('IN_PROGRESS');
+  }
+
+  return { index, step };
+}
+
+// A swap as returned by the API (its secret is held by the secret store)
+export function serializeSwapState(swapState) {
+  return { ...swapState };
+}
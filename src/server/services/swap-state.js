@@ -0,0 +1,57 @@
+// Enhanced swap state class
+export class SwapState {
+  constructor(config) {
+    this.swapId = config.swapId;
+    this.fromChain = config.fromChain;
+    this.toChain = config.toChain;
+    this.fromToken = config.fromToken;
+    this.toToken = config.toToken;
+    this.amount = config.amount;
+    this.walletSession = config.walletSession;
+    this.minSpread = config.minSpread;
+    this.maxSlippage = config.maxSlippage;
+    this.enableAtomicSwap = config.enableAtomicSwap;
+    this.hashlock = config.hashlock; // The secret itself lives in the secret store
+    this.timelock = config.timelock;
+    this.status = 'CREATED';
+    this.steps = [];
+    this.createdAt = new Date().toISOString();
+    this.updatedAt = new Date().toISOString();
+    this.chains = config.chains || [config.fromChain, config.toChain]; // Support multi-chain
+    this.arbitrageType = config.arbitrageType || 'bilateral';
+  }
+
+  updateStatus(newStatus) {
+    this.status = newStatus;
+    this.updatedAt = new Date().toISOString();
+    console.log(`🔄 Swap ${this.swapId} status: ${newStatus}`);
+  }
+
+  addStep(step) {
+    this.steps.push({
+      ...step,
+      timestamp: new Date().toISOString()
+    });
+    this.updatedAt = new Date().toISOString();
+  }
+
+  // Rebuild a stored swap. A step still RUNNING was cut off by a crash or
+  // restart: its transactions may or may not have landed, so it is failed
+  // rather than retried, and locks are left to refunds after expiry.
+  static restore(data) {
+    const swapState = Object.assign(Object.create(SwapState.prototype), data);
+    const interrupted = (swapState.executionPlan?.steps || []).filter(step => step.status === 'RUNNING');
+
+    for (const step of interrupted) {
+      step.status = 'FAILED';
+      step.error = 'Interrupted by a server restart; check the chain before retrying';
+      step.completedAt = new Date().toISOString();
+    }
+
+    if (interrupted.length > 0) {
+      console.warn(`⚠️ Swap ${swapState.swapId} had ${interrupted.length} step(s) running at shutdown`);
+      swapState.updateStatus('FAILED');
+    }
+    return swapState;
+  }
+}
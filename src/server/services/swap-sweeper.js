@@ -0,0 +1,145 @@
+import { SWAP_SWEEPER_CONFIG } from '../config/chains.js';
+import { swapStates } from './blockchain.js';
+import { refreshSwapLocks, refundSwapLock } from './htlc.js';
+import { deleteSwapSecret } from './secret-store.js';
+
+// ================================
+// SWAP EXPIRY SWEEPER
+// ================================
+
+// Statuses a swap can be evicted from once nothing of ours is left in escrow
+const FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'EXPIRED', 'REFUNDED'];
+
+// Own lock statuses that still hold our funds
+const UNSETTLED_LOCK_STATUSES = ['LOCKED', 'EXPIRED'];
+
+let timer = null;
+let sweeping = false;
+const history = [];
+const totals = { runs: 0, expired: 0, refunded: 0, refundErrors: 0, evicted: 0 };
+
+function unsettledOwnLocks(swapState, now) {
+  return (swapState.locks || []).filter(lock =>
+    lock.role === 'own' &&
+    UNSETTLED_LOCK_STATUSES.includes(lock.status) &&
+    (now === undefined || lock.timelock <= now)
+  );
+}
+
+// Refund every own lock whose timelock has passed. Failed refunds stay
+// unsettled and are retried on the next sweep.
+async function refundExpiredLocks(swapState, now, report) {
+  if (unsettledOwnLocks(swapState, now).length === 0) return;
+
+  await refreshSwapLocks(swapState);
+
+  for (const lock of unsettledOwnLocks(swapState, now)) {
+    if (lock.status !== 'EXPIRED') continue;
+
+    try {
+      const refunded = await refundSwapLock(swapState, lock.lockId);
+      report.refunded.push({ swapId: swapState.swapId, chain: lock.chain, lockId: lock.lockId, txHash: refunded.refundTxHash });
+    } catch (error) {
+      lock.refundError = error.message;
+      report.refundErrors.push({ swapId: swapState.swapId, chain: lock.chain, lockId: lock.lockId, error: error.message });
+    }
+  }
+}
+
+// Move a timed-out swap to REFUNDED once all its own locks came back,
+// otherwise to EXPIRED (failed swaps keep FAILED until refunded)
+function settleStatus(swapState, now, report) {
+  if (swapState.status === 'COMPLETED' || swapState.status === 'REFUNDED' || now <= swapState.timelock) return;
+
+  const ownLocks = (swapState.locks || []).filter(lock => lock.role === 'own');
+  const allRefunded = ownLocks.length > 0 && ownLocks.every(lock => lock.status === 'REFUNDED');
+
+  if (allRefunded) {
+    swapState.updateStatus('REFUNDED');
+  } else if (swapState.status !== 'EXPIRED' && swapState.status !== 'FAILED') {
+    swapState.updateStatus('EXPIRED');
+    report.expired.push(swapState.swapId);
+  }
+}
+
+function isEvictable(swapState, now) {
+  const idleSeconds = now - Math.floor(Date.parse(swapState.updatedAt) / 1000);
+  return FINISHED_STATUSES.includes(swapState.status) &&
+    unsettledOwnLocks(swapState).length === 0 &&
+    idleSeconds > SWAP_SWEEPER_CONFIG.retentionSeconds;
+}
+
+// One pass over swapStates. Swaps with a step still running are left to the
+// step executor and picked up by a later sweep.
+export async function sweepSwaps() {
+  if (sweeping) {
+    return null;
+  }
+  sweeping = true;
+
+  const startedAt = Date.now();
+  const report = { startedAt: new Date(startedAt).toISOString(), scanned: 0, expired: [], refunded: [], refundErrors: [], evicted: [] };
+
+  try {
+    for (const [swapId, swapState] of [...swapStates.entries()]) {
+      report.scanned++;
+      if (swapState.executionPlan?.steps?.some(step => step.status === 'RUNNING')) continue;
+
+      const now = Math.floor(Date.now() / 1000);
+      await refundExpiredLocks(swapState, now, report);
+      settleStatus(swapState, now, report);
+
+      if (isEvictable(swapState, now)) {
+        swapStates.delete(swapId);
+        deleteSwapSecret(swapId, { reason: 'retention' });
+        report.evicted.push(swapId);
+      }
+    }
+  } catch (error) {
+    report.error = error.message;
+    console.error('Swap sweep error:', error);
+  } finally {
+    sweeping = false;
+  }
+
+  report.durationMs = Date.now() - startedAt;
+  totals.runs++;
+  totals.expired += report.expired.length;
+  totals.refunded += report.refunded.length;
+  totals.refundErrors += report.refundErrors.length;
+  totals.evicted += report.evicted.length;
+
+  history.unshift(report);
+  history.length = Math.min(history.length, SWAP_SWEEPER_CONFIG.historySize);
+
+  if (report.expired.length || report.refunded.length || report.refundErrors.length || report.evicted.length) {
+    console.log(`🧹 Swap sweep: ${report.expired.length} expired, ${report.refunded.length} refunded, ${report.refundErrors.length} refund errors, ${report.evicted.length} evicted`);
+  }
+  return report;
+}
+
+export function startSwapSweeper() {
+  if (timer) return;
+
+  timer = setInterval(() => sweepSwaps(), SWAP_SWEEPER_CONFIG.intervalMs);
+  timer.unref();
+  console.log(`🧹 Swap sweeper running every ${SWAP_SWEEPER_CONFIG.intervalMs / 1000}s`);
+}
+
+export function stopSwapSweeper() {
+  clearInterval(timer);
+  timer = null;
+}
+
+export function getSweeperStatus() {
+  return {
+    running: timer !== null,
+    sweeping,
+    intervalMs: SWAP_SWEEPER_CONFIG.intervalMs,
+    retentionSeconds: SWAP_SWEEPER_CONFIG.retentionSeconds,
+    trackedSwaps: swapStates.size,
+    totals: { ...totals },
+    lastSweep: history[0] || null,
+    history
+  };
+}
@@ -0,0 +1,164 @@
+import { getPriceSource, PRICE_VENUES } from './price-sources.js';
+import { estimateSwapGasCostUSD, usdToTokenAmount } from './fee-strategy.js';
+
+// ================================
+// SIZE-AWARE TRADE SIZING
+// ================================
+
+const MAX_TRADE_AMOUNT = parseFloat(process.env.MAX_TRADE_AMOUNT_USD) || 100;
+
+// Number of sizes quoted per route; each step halves the size
+const LADDER_STEPS = 6;
+
+// Geometric ladder of trade sizes ending at maxSize, e.g. 100 -> 3.13 ... 50, 100
+export function buildSizeLadder(maxSize = MAX_TRADE_AMOUNT, steps = LADDER_STEPS) {
+  const sizes = [];
+  for (let i = steps - 1; i >= 0; i--) {
+    sizes.push(parseFloat((maxSize / Math.pow(2, i)).toFixed(2)));
+  }
+  return [...new Set(sizes)].filter(size => size > 0);
+}
+
+// Gas for one swap per leg at current network fees
+export async function estimateRouteGasUSD(legs) {
+  let total = 0;
+  for (const leg of legs) {
+    total += await estimateSwapGasCostUSD(leg.chain);
+  }
+  return total;
+}
+
+// Quote one leg. Without a venue the chain's venues are tried in order.
+async function quoteLeg(leg, amountIn) {
+  if (leg.tokenIn === leg.tokenOut) {
+    return { ...leg, venue: leg.venue || null, amountIn, amountOut: amountIn, price: 1 };
+  }
+
+  const source = getPriceSource();
+  const venues = leg.venue ? [leg.venue] : PRICE_VENUES[leg.chain] || [];
+  const errors = [];
+
+  for (const venue of venues) {
+    try {
+      const quote = await source.quote({ ...leg, venue, amountIn });
+      return { ...leg, venue, amountIn, amountOut: quote.amountOut, price: quote.price };
+    } catch (error) {
+      errors.push(`${venue}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`No quote for ${leg.tokenIn}→${leg.tokenOut} on ${leg.chain} (${errors.join('; ')})`);
+}
+
+// Push one starting amount through every leg, feeding each leg the previous output
+async function simulateRoute(legs, size) {
+  const quotedLegs = [];
+  let amount = size;
+
+  for (const leg of legs) {
+    const quote = await quoteLeg(leg, amount);
+    quotedLegs.push(quote);
+    amount = quote.amountOut;
+  }
+
+  return { finalAmount: amount, legs: quotedLegs };
+}
+
+// Gas is priced in USD but profit is counted in the start token (cEUR, cREAL
+// are not dollars), so it is converted at the token's reference price.
+// startTokenPriceUSD skips the oracle. Null when the token cannot be priced.
+async function gasInStartToken(legs, gasCostUSD, startTokenPriceUSD) {
+  if (gasCostUSD === 0) return 0;
+  if (startTokenPriceUSD) return gasCostUSD / startTokenPriceUSD;
+  return usdToTokenAmount(legs[0].tokenIn, gasCostUSD, legs[0].chain);
+}
+
+// Quote a route at several sizes and pick the size with the highest net profit.
+// legs: [{ chain, venue?, tokenIn, tokenOut }, ...] where the last leg returns
+// to the first leg's tokenIn, so profit is measured in that token.
+export async function buildProfitCurve(legs, { sizes = buildSizeLadder(), gasCostUSD = null, startTokenPriceUSD = null } = {}) {
+  gasCostUSD = gasCostUSD ?? await estimateRouteGasUSD(legs);
+  const startToken = legs[0].tokenIn;
+  const gasCost = await gasInStartToken(legs, gasCostUSD, startTokenPriceUSD);
+  const curve = [];
+  const errors = [];
+
+  for (const size of sizes) {
+    try {
+      const { finalAmount, legs: quotedLegs } = await simulateRoute(legs, size);
+      const grossProfit = finalAmount - size;
+      // Without gas in start-token units only the gross profit is known
+      const netProfit = gasCost === null ? null : grossProfit - gasCost;
+      const previous = curve[curve.length - 1];
+
+      curve.push({
+        size,
+        finalAmount,
+        grossProfit,
+        netProfit,
+        netProfitPercent: netProfit === null ? null : (netProfit / size) * 100,
+        // Extra net profit per extra unit traded since the previous size
+        marginalProfit: previous && netProfit !== null ? (netProfit - previous.netProfit) / (size - previous.size) : null,
+        legs: quotedLegs.map(leg => ({
+          chain: leg.chain,
+          venue: leg.venue,
+          tokenIn: leg.tokenIn,
+          tokenOut: leg.tokenOut,
+          amountIn: leg.amountIn,
+          amountOut: leg.amountOut,
+          price: leg.price
+        }))
+      });
+    } catch (error) {
+      errors.push({ size, error: error.message });
+    }
+  }
+
+  const best = curve.reduce((top, point) => (!top || point.netProfit > top.netProfit ? point : top), null);
+  const profitable = best !== null && gasCost !== null && best.netProfit > 0;
+
+  let reasoning;
+  if (!best) {
+    reasoning = 'No size could be quoted on every leg';
+  } else if (gasCost === null) {
+    reasoning = `No ${startToken} reference price to convert ~$${gasCostUSD.toFixed(2)} gas into ${startToken}`;
+  } else if (!profitable) {
+    reasoning = `No quoted size covers price impact and ~$${gasCostUSD.toFixed(2)} gas (${gasCost.toFixed(4)} ${startToken}; best net ${best.netProfit.toFixed(4)} at ${best.size})`;
+  } else if (best === curve[curve.length - 1]) {
+    reasoning = `Net profit still rising at the largest size quoted (${best.size}); capped by the trade limit`;
+  } else {
+    reasoning = `Net profit peaks at ${best.size}; larger trades lose more to price impact than they gain`;
+  }
+
+  return {
+    recommended: profitable ? best.size : 0,
+    expectedNetProfit: best && gasCost !== null ? parseFloat(best.netProfit.toFixed(6)) : null,
+    expectedNetProfitPercent: best && gasCost !== null ? parseFloat(best.netProfitPercent.toFixed(4)) : null,
+    profitable,
+    startToken,
+    gasCostUSD,
+    gasCost,
+    reasoning,
+    curve,
+    errors
+  };
+}
+
+// Profit curve without the per-leg quotes, for scan output
+export function summarizeSizing(sizing) {
+  return {
+    reasoning: sizing.reasoning,
+    gasCostUSD: sizing.gasCostUSD,
+    gasCost: sizing.gasCost,
+    curve: sizing.curve.map(({ legs, ...point }) => point)
+  };
+}
+
+// Opposite-direction route for a pair priced A→B on two venues:
+// sell A where it fetches the most B, then buy A back where it is cheapest.
+export function buildTwoVenueRoute(tokenA, tokenB, sellVenue, buyVenue) {
+  return [
+    { chain: sellVenue.chain, venue: sellVenue.venue, tokenIn: tokenA, tokenOut: tokenB },
+    { chain: buyVenue.chain, venue: buyVenue.venue, tokenIn: tokenB, tokenOut: tokenA }
+  ];
+}
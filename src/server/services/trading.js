@@ -1,6 +1,11 @@
-import { executeEthereumSwap, executeSuiSwap, getCurrentDEXPrices } from './dex.js';
-import { executeCeloStablecoinSwap, getCeloPrices } from './celo-dex.js';
+import { getCurrentDEXPrices } from './dex.js';
+import { scanCeloArbitrageOpportunities } from './celo-dex.js';
+import { executeLegPipeline, preflightLegs, unwindPartialFill, parkStrandedPosition } from './leg-pipeline.js';
 import { getWalletBalances } from './wallets.js';
+import { getPriceSource, PRICE_VENUES } from './price-sources.js';
+import { buildProfitCurve, buildTwoVenueRoute, summarizeSizing } from './trade-sizing.js';
+import { estimateSwapGasCostUSD } from './fee-strategy.js';
+import { getReferencePrice } from './oracles.js';
 
 const SAFETY_LIMITS = {
   maxAmountUSD: parseFloat(process.env.MAX_TRADE_AMOUNT_USD) || 100,
@@ -8,10 +13,122 @@ const SAFETY_LIMITS = {
   maxSlippagePercent: parseFloat(process.env.MAX_SLIPPAGE_PERCENT) || 2.0
 };
 
+// Each chain's token is priced in that chain's own dollar stablecoin
+const CHAIN_QUOTE_TOKENS = {
+  ethereum: 'USDT',
+  celo: 'USDC',
+  sui: 'USDC'
+};
+
+// Trade size (in token units) used to price tokens when scanning
+const SCAN_QUOTE_SIZE = 100;
+
+// Sell chain, then buy-back chain, for each two-chain trade direction
+const DIRECTION_CHAINS = {
+  eth_to_sui: ['ethereum', 'sui'],
+  sui_to_eth: ['sui', 'ethereum'],
+  eth_to_celo: ['ethereum', 'celo'],
+  celo_to_eth: ['celo', 'ethereum'],
+  sui_to_celo: ['sui', 'celo'],
+  celo_to_sui: ['celo', 'sui']
+};
+
 // ================================
 // ENHANCED CROSS-CHAIN ARBITRAGE TRADING
 // ================================
 
+// Run a trade's legs. After a partial fill the stranded position is unwound back
+// to the starting token (or parked) before the failure is reported; the thrown
+// error carries the legs and the unwind so the cost lands on the trade record.
+// An unwind that throws parks the position rather than losing track of it.
+async function executeLegsWithUnwind(tradeId, legs, amount, { maxSlippage, expectedProfitUSD = null }) {
+  const pipeline = await executeLegPipeline(legs, amount, { maxSlippage, expectedProfitUSD });
+  if (pipeline.success) {
+    return pipeline;
+  }
+
+  let unwind;
+  try {
+    unwind = await unwindPartialFill(pipeline, legs[0].tokenIn, { tradeId, maxSlippage });
+  } catch (unwindError) {
+    console.error(`❌ Unwind of ${tradeId} failed: ${unwindError.message}`);
+    unwind = {
+      ...parkStrandedPosition(pipeline, legs[0].tokenIn, { tradeId, reason: `Unwind failed: ${unwindError.message}` }),
+      error: unwindError.message
+    };
+  }
+
+  const error = new Error(pipeline.error);
+  error.legs = pipeline.legs;
+  error.preflight = pipeline.preflight;
+  error.unwind = unwind;
+  throw error;
+}
+
+// Profit (USD, before gas) the legs are quoted to make at `amount`. The gas
+// budget is a share of it, so it comes from quotes, never from the spread a
+// caller says it expects.
+async function quoteExpectedProfitUSD(legs, amount) {
+  const { curve, errors } = await buildProfitCurve(legs, { sizes: [amount], gasCostUSD: 0 });
+  if (curve.length === 0) {
+    throw new Error(`Legs could not be quoted at ${amount}: ${errors.map(e => e.error).join('; ')}`);
+  }
+
+  const startToken = legs[0].tokenIn;
+  const price = await getReferencePrice(startToken, legs[0].chain).catch(() => null);
+  if (price === null) {
+    throw new Error(`No ${startToken} reference price to value the quoted profit`);
+  }
+
+  const profitUSD = curve[0].grossProfit * price;
+  if (profitUSD <= 0) {
+    throw new Error(`Legs are quoted at a loss of ${(-curve[0].grossProfit).toFixed(6)} ${startToken} at ${amount}`);
+  }
+  return profitUSD;
+}
+
+// Sell token1 on the first chain, then buy it back on the second
+function buildDirectionLegs(tokenPair, direction) {
+  const [token1, token2] = tokenPair.split('-');
+  const chains = DIRECTION_CHAINS[direction];
+
+  if (!chains) {
+    throw new Error(`Unsupported direction: ${direction}`);
+  }
+
+  return [
+    { chain: chains[0], tokenIn: token1, tokenOut: token2 },
+    { chain: chains[1], tokenIn: token2, tokenOut: token1 }
+  ];
+}
+
+// Two chains: buy with USDC on one, sell back to USDC on the other.
+// Three chains: token1 → token2 → token3 → token1 around the triangle.
+function buildCrossChainLegs(chains, tokens) {
+  if (chains.length === 2) {
+    return [
+      { chain: chains[0], tokenIn: 'USDC', tokenOut: tokens[0] },
+      { chain: chains[1], tokenIn: tokens[1], tokenOut: 'USDC' }
+    ];
+  }
+
+  return chains.map((chain, i) => ({
+    chain,
+    tokenIn: tokens[i],
+    tokenOut: tokens[(i + 1) % tokens.length]
+  }));
+}
+
+// Simulated outputs for a trade, for dry runs: every leg is checked with
+// staticCall / dryRunTransactionBlock and nothing is sent
+export async function previewArbitrageTrade({ tokenPair, amount, direction, maxSlippage = 1.0 }) {
+  return preflightLegs(buildDirectionLegs(tokenPair, direction), amount, { maxSlippage });
+}
+
+export async function previewCrossChainArbitrage({ chains, tokens, amount, maxSlippage = 1.5 }) {
+  return preflightLegs(buildCrossChainLegs(chains, tokens), amount, { maxSlippage });
+}
+
 export async function executeRealArbitrageTrade(tradeParams) {
   const tradeId = `arb_${Date.now()}`;
   console.log(`\n🎯 STARTING REAL ARBITRAGE TRADE: ${tradeId}`);
@@ -40,7 +157,7 @@ export async function executeRealArbitrageTrade(tradeParams) {
     console.log(`💰 Initial balances:`, initialBalances);
 
     // Get current market prices
-    const currentPrices = await getCurrentDEXPrices(tokenPair);
+    const currentPrices = await getCurrentDEXPrices(tokenPair, amount);
     console.log(`📊 Current prices:`, currentPrices);
 
     // Verify spread is still profitable
@@ -48,151 +165,15 @@ export async function executeRealArbitrageTrade(tradeParams) {
       throw new Error(`Current spread ${currentPrices.spread}% too low (expected ${expectedSpread}%)`);
     }
 
-    let step1Result, step2Result;
     const [token1, token2] = tokenPair.split('-');
+    const legs = buildDirectionLegs(tokenPair, direction);
 
-    // Execute based on direction
-    if (direction === 'eth_to_sui') {
-      // Step 1: Sell on Ethereum (higher price)
-      console.log(`\n📈 STEP 1: Selling ${amount} ${token1} on Ethereum...`);
-      step1Result = await executeEthereumSwap(
-        token1, 
-        token2, 
-        amount, 
-        amount * (1 - maxSlippage / 100)
-      );
-
-      if (!step1Result.success) {
-        throw new Error(`Ethereum swap failed: ${step1Result.error}`);
-      }
-
-      // Step 2: Buy on Sui (lower price)
-      console.log(`\n📉 STEP 2: Buying ${token1} on Sui...`);
-      step2Result = await executeSuiSwap(
-        token2, 
-        token1, 
-        amount * 0.997, // Account for fees
-        amount * (1 + expectedSpread / 100) * (1 - maxSlippage / 100)
-      );
-
-    } else if (direction === 'sui_to_eth') {
-      // sui_to_eth direction
-      console.log(`\n📈 STEP 1: Selling ${amount} ${token1} on Sui...`);
-      step1Result = await executeSuiSwap(
-        token1, 
-        token2, 
-        amount, 
-        amount * (1 - maxSlippage / 100)
-      );
-
-      if (!step1Result.success) {
-        throw new Error(`Sui swap failed: ${step1Result.error}`);
-      }
-
-      console.log(`\n📉 STEP 2: Buying ${token1} on Ethereum...`);
-      step2Result = await executeEthereumSwap(
-        token2, 
-        token1, 
-        amount * 0.997,
-        amount * (1 + expectedSpread / 100) * (1 - maxSlippage / 100)
-      );
-
-    } else if (direction === 'eth_to_celo') {
-      // Ethereum to Celo arbitrage
-      console.log(`\n📈 STEP 1: Selling ${amount} ${token1} on Ethereum...`);
-      step1Result = await executeEthereumSwap(
-        token1, 
-        token2, 
-        amount, 
-        amount * (1 - maxSlippage / 100)
-      );
-
-      if (!step1Result.success) {
-        throw new Error(`Ethereum swap failed: ${step1Result.error}`);
-      }
-
-      console.log(`\n📉 STEP 2: Buying ${token1} on Celo...`);
-      step2Result = await executeCeloStablecoinSwap(
-        token2, 
-        token1, 
-        amount * 0.997,
-        amount * (1 + expectedSpread / 100) * (1 - maxSlippage / 100)
-      );
-
-    } else if (direction === 'celo_to_eth') {
-      // Celo to Ethereum arbitrage
-      console.log(`\n📈 STEP 1: Selling ${amount} ${token1} on Celo...`);
-      step1Result = await executeCeloStablecoinSwap(
-        token1, 
-        token2, 
-        amount, 
-        amount * (1 - maxSlippage / 100)
-      );
-
-      if (!step1Result.success) {
-        throw new Error(`Celo swap failed: ${step1Result.error}`);
-      }
-
-      console.log(`\n📉 STEP 2: Buying ${token1} on Ethereum...`);
-      step2Result = await executeEthereumSwap(
-        token2, 
-        token1, 
-        amount * 0.999, // Celo has lower fees
-        amount * (1 + expectedSpread / 100) * (1 - maxSlippage / 100)
-      );
-
-    } else if (direction === 'sui_to_celo') {
-      // Sui to Celo arbitrage
-      console.log(`\n📈 STEP 1: Selling ${amount} ${token1} on Sui...`);
-      step1Result = await executeSuiSwap(
-        token1, 
-        token2, 
-        amount, 
-        amount * (1 - maxSlippage / 100)
-      );
-
-      if (!step1Result.success) {
-        throw new Error(`Sui swap failed: ${step1Result.error}`);
-      }
-
-      console.log(`\n📉 STEP 2: Buying ${token1} on Celo...`);
-      step2Result = await executeCeloStablecoinSwap(
-        token2, 
-        token1, 
-        amount * 0.9995, // Both have low fees
-        amount * (1 + expectedSpread / 100) * (1 - maxSlippage / 100)
-      );
-
-    } else if (direction === 'celo_to_sui') {
-      // Celo to Sui arbitrage
-      console.log(`\n📈 STEP 1: Selling ${amount} ${token1} on Celo...`);
-      step1Result = await executeCeloStablecoinSwap(
-        token1, 
-        token2, 
-        amount, 
-        amount * (1 - maxSlippage / 100)
-      );
-
-      if (!step1Result.success) {
-        throw new Error(`Celo swap failed: ${step1Result.error}`);
-      }
-
-      console.log(`\n📉 STEP 2: Buying ${token1} on Sui...`);
-      step2Result = await executeSuiSwap(
-        token2, 
-        token1, 
-        amount * 0.9995,
-        amount * (1 + expectedSpread / 100) * (1 - maxSlippage / 100)
-      );
-
-    } else {
-      throw new Error(`Unsupported direction: ${direction}`);
-    }
-
-    if (!step2Result.success) {
-      console.error(`❌ STEP 2 FAILED: ${step2Result.error}`);
-      throw new Error(`Second swap failed: ${step2Result.error}`);
-    }
+    // Sell token1 on the first chain, then buy it back on the second with what the sale returned
+    console.log(`\n🔗 ${direction}: ${token1} → ${token2} on ${legs[0].chain}, ${token2} → ${token1} on ${legs[1].chain}`);
+    const pipeline = await executeLegsWithUnwind(tradeId, legs, amount, {
+      maxSlippage,
+      expectedProfitUSD: await quoteExpectedProfitUSD(legs, amount)
+    });
 
     // Get final balances
     const finalBalances = await getWalletBalances();
@@ -214,13 +195,16 @@ export async function executeRealArbitrageTrade(tradeParams) {
         amount,
         direction,
         expectedSpread,
+        finalAmountOut: pipeline.finalAmountOut,
         actualProfit: actualProfit.profitPercent,
         profitUSD: actualProfit.estimatedUSDProfit
       },
       transactions: {
-        step1: step1Result,
-        step2: step2Result
+        step1: pipeline.legs[0].result,
+        step2: pipeline.legs[1].result
       },
+      legs: pipeline.legs,
+      preflight: pipeline.preflight,
       balances: {
         initial: initialBalances,
         final: finalBalances
@@ -234,6 +218,9 @@ export async function executeRealArbitrageTrade(tradeParams) {
       success: false,
       tradeId,
       error: error.message,
+      legs: error.legs,
+      preflight: error.preflight,
+      unwind: error.unwind,
       executedAt: new Date().toISOString()
     };
   }
@@ -248,7 +235,6 @@ export async function executeEnhancedCrossChainArbitrage(tradeParams) {
     chains,
     tokens,
     amount,
-    expectedSpread,
     maxSlippage = 1.5 // Higher slippage for cross-chain
   } = tradeParams;
 
@@ -269,14 +255,16 @@ export async function executeEnhancedCrossChainArbitrage(tradeParams) {
     }
 
     const results = [];
+    // Caps what gas may cost, as a share of the profit the legs are quoted to make
+    const expectedProfitUSD = await quoteExpectedProfitUSD(buildCrossChainLegs(chains, tokens), amount);
 
     if (chains.length === 2) {
       // Two-chain arbitrage
-      const result = await executeTwoChainArbitrage(chains, tokens, amount, maxSlippage, expectedSpread);
+      const result = await executeTwoChainArbitrage(tradeId, chains, tokens, amount, maxSlippage, expectedProfitUSD);
       results.push(result);
     } else if (chains.length === 3) {
       // Three-chain triangular arbitrage
-      const result = await executeTriangularArbitrage(chains, tokens, amount, maxSlippage, expectedSpread);
+      const result = await executeTriangularArbitrage(tradeId, chains, tokens, amount, maxSlippage, expectedProfitUSD);
       results.push(result);
     }
 
@@ -301,118 +289,49 @@ export async function executeEnhancedCrossChainArbitrage(tradeParams) {
       tradeId,
       error: error.message,
       chains,
+      legs: error.legs,
+      preflight: error.preflight,
+      unwind: error.unwind,
       executedAt: new Date().toISOString()
     };
   }
 }
 
-// Execute two-chain arbitrage
-async function executeTwoChainArbitrage(chains, tokens, amount, maxSlippage, expectedSpread) {
+// Execute two-chain arbitrage: buy on one chain with USDC, sell back to USDC on the other
+async function executeTwoChainArbitrage(tradeId, chains, tokens, amount, maxSlippage, expectedProfitUSD) {
   const [buyChain, sellChain] = chains;
   const [buyToken, sellToken] = tokens;
 
-  console.log(`📈 Step 1: Buy ${buyToken} on ${buyChain}`);
-  let step1Result;
-
-  if (buyChain === 'ethereum') {
-    step1Result = await executeEthereumSwap('USDC', buyToken, amount, amount * (1 - maxSlippage / 100));
-  } else if (buyChain === 'sui') {
-    step1Result = await executeSuiSwap('USDC', buyToken, amount, amount * (1 - maxSlippage / 100));
-  } else if (buyChain === 'celo') {
-    step1Result = await executeCeloStablecoinSwap('USDC', buyToken, amount, amount * (1 - maxSlippage / 100));
-  } else {
-    throw new Error(`Unsupported buy chain: ${buyChain}`);
-  }
-
-  if (!step1Result.success) {
-    throw new Error(`${buyChain} transaction failed: ${step1Result.error}`);
-  }
-
-  console.log(`📉 Step 2: Sell ${sellToken} on ${sellChain}`);
-  let step2Result;
-
-  // Calculate expected minimum output
-  const feeAdjustment = buyChain === 'ethereum' ? 0.997 : 0.999; // Ethereum has higher fees
-  const expectedOutput = amount * feeAdjustment * (1 + expectedSpread / 100) * (1 - maxSlippage / 100);
-
-  if (sellChain === 'ethereum') {
-    step2Result = await executeEthereumSwap(sellToken, 'USDC', amount * feeAdjustment, expectedOutput);
-  } else if (sellChain === 'sui') {
-    step2Result = await executeSuiSwap(sellToken, 'USDC', amount * feeAdjustment, expectedOutput);
-  } else if (sellChain === 'celo') {
-    step2Result = await executeCeloStablecoinSwap(sellToken, 'USDC', amount * feeAdjustment, expectedOutput);
-  } else {
-    throw new Error(`Unsupported sell chain: ${sellChain}`);
-  }
+  console.log(`📈 Buy ${buyToken} on ${buyChain}, 📉 sell ${sellToken} on ${sellChain}`);
+  const pipeline = await executeLegsWithUnwind(tradeId, buildCrossChainLegs(chains, tokens), amount, { maxSlippage, expectedProfitUSD });
 
   return {
-    step1: step1Result,
-    step2: step2Result,
-    success: step1Result.success && step2Result.success,
+    step1: pipeline.legs[0].result,
+    step2: pipeline.legs[1].result,
+    legs: pipeline.legs,
+    finalAmountOut: pipeline.finalAmountOut,
+    success: true,
     chains: [buyChain, sellChain],
     tokens: [buyToken, sellToken]
   };
 }
 
 // Execute three-chain triangular arbitrage
-async function executeTriangularArbitrage(chains, tokens, amount, maxSlippage, expectedSpread) {
+async function executeTriangularArbitrage(tradeId, chains, tokens, amount, maxSlippage, expectedProfitUSD) {
   const [chain1, chain2, chain3] = chains;
   const [token1, token2, token3] = tokens;
 
   console.log(`🔺 TRIANGULAR ARBITRAGE: ${chain1} → ${chain2} → ${chain3}`);
 
-  // Step 1: Chain1 → Chain2
-  console.log(`📈 Step 1: ${chain1} → ${chain2} (${token1} → ${token2})`);
-  let step1Result;
-
-  if (chain1 === 'ethereum') {
-    step1Result = await executeEthereumSwap(token1, token2, amount, amount * (1 - maxSlippage / 100));
-  } else if (chain1 === 'sui') {
-    step1Result = await executeSuiSwap(token1, token2, amount, amount * (1 - maxSlippage / 100));
-  } else if (chain1 === 'celo') {
-    step1Result = await executeCeloStablecoinSwap(token1, token2, amount, amount * (1 - maxSlippage / 100));
-  }
-
-  if (!step1Result.success) {
-    throw new Error(`Step 1 (${chain1}) failed: ${step1Result.error}`);
-  }
-
-  // Step 2: Chain2 → Chain3
-  console.log(`📈 Step 2: ${chain2} → ${chain3} (${token2} → ${token3})`);
-  let step2Result;
-  const step2Amount = amount * 0.998; // Account for step 1 fees
-
-  if (chain2 === 'ethereum') {
-    step2Result = await executeEthereumSwap(token2, token3, step2Amount, step2Amount * (1 - maxSlippage / 100));
-  } else if (chain2 === 'sui') {
-    step2Result = await executeSuiSwap(token2, token3, step2Amount, step2Amount * (1 - maxSlippage / 100));
-  } else if (chain2 === 'celo') {
-    step2Result = await executeCeloStablecoinSwap(token2, token3, step2Amount, step2Amount * (1 - maxSlippage / 100));
-  }
-
-  if (!step2Result.success) {
-    throw new Error(`Step 2 (${chain2}) failed: ${step2Result.error}`);
-  }
-
-  // Step 3: Chain3 → Chain1 (completing the triangle)
-  console.log(`📈 Step 3: ${chain3} → ${chain1} (${token3} → ${token1})`);
-  let step3Result;
-  const step3Amount = amount * 0.996; // Account for step 1 & 2 fees
-  const expectedFinalOutput = amount * (1 + expectedSpread / 100) * (1 - maxSlippage / 100);
-
-  if (chain3 === 'ethereum') {
-    step3Result = await executeEthereumSwap(token3, token1, step3Amount, expectedFinalOutput);
-  } else if (chain3 === 'sui') {
-    step3Result = await executeSuiSwap(token3, token1, step3Amount, expectedFinalOutput);
-  } else if (chain3 === 'celo') {
-    step3Result = await executeCeloStablecoinSwap(token3, token1, step3Amount, expectedFinalOutput);
-  }
+  const pipeline = await executeLegsWithUnwind(tradeId, buildCrossChainLegs(chains, tokens), amount, { maxSlippage, expectedProfitUSD });
 
   return {
-    step1: step1Result,
-    step2: step2Result,
-    step3: step3Result,
-    success: step1Result.success && step2Result.success && step3Result.success,
+    step1: pipeline.legs[0].result,
+    step2: pipeline.legs[1].result,
+    step3: pipeline.legs[2].result,
+    legs: pipeline.legs,
+    finalAmountOut: pipeline.finalAmountOut,
+    success: true,
     chains: [chain1, chain2, chain3],
     tokens: [token1, token2, token3],
     type: 'triangular'
@@ -455,6 +374,14 @@ export async function scanForArbitrageOpportunities() {
 
         if (prices.spread >= SAFETY_LIMITS.minProfitPercent) {
           const direction = prices.ethereum > prices.sui ? 'eth_to_sui' : 'sui_to_eth';
+          const [tokenA, tokenB] = pair.split('-');
+          const ethereum = { chain: 'ethereum', venue: 'uniswap_v3' };
+          const sui = { chain: 'sui', venue: 'cetus' };
+
+          // Sell tokenA on the chain paying more for it, buy it back on the other
+          const sizing = await buildProfitCurve(direction === 'eth_to_sui' ?
+            buildTwoVenueRoute(tokenA, tokenB, ethereum, sui) :
+            buildTwoVenueRoute(tokenA, tokenB, sui, ethereum));
 
           opportunities.push({
             pair,
@@ -462,11 +389,13 @@ export async function scanForArbitrageOpportunities() {
             direction,
             ethereumPrice: prices.ethereum,
             suiPrice: prices.sui,
-            recommendedAmount: Math.min(50, SAFETY_LIMITS.maxAmountUSD),
-            estimatedProfit: (prices.spread * 0.7).toFixed(2) + '%', // 70% of spread after fees
+            recommendedAmount: sizing.recommended,
+            estimatedProfit: `${sizing.expectedNetProfitPercent?.toFixed(2) ?? '0.00'}%`, // After impact and gas
             confidence: prices.spread > 1.0 ? 'HIGH' : prices.spread > 0.5 ? 'MEDIUM' : 'LOW',
-            estimatedGasCost: estimateGasCosts(['ethereum', 'sui']),
-            netProfitPercent: (prices.spread * 0.7 - 0.3).toFixed(2), // After gas
+            estimatedGasCost: await estimateGasCosts(['ethereum', 'sui']),
+            netProfitPercent: sizing.expectedNetProfitPercent?.toFixed(2) ?? null,
+            expectedNetProfit: sizing.expectedNetProfit,
+            sizing: summarizeSizing(sizing),
             timestamp: new Date().toISOString(),
             type: 'cross_chain_2',
             chains: ['ethereum', 'sui'],
@@ -490,9 +419,9 @@ export async function scanForArbitrageOpportunities() {
       }
     }
 
-    // Add simplified Celo native opportunities
+    // Add Celo native (cross-DEX) opportunities
     try {
-      const celoOpportunities = await scanCeloOpportunitiesSimplified();
+      const celoOpportunities = await scanCeloNativeOpportunities();
       opportunities.push(...celoOpportunities);
     } catch (error) {
       console.error('Celo opportunity scan error:', error.message);
@@ -515,6 +444,7 @@ export async function scanForArbitrageOpportunities() {
         'Triangular 3-chain arbitrage',
         'Native Celo stablecoin opportunities'
       ],
+      priceSource: getPriceSource().name,
       timestamp: new Date().toISOString(),
       scanDuration: '2.5s'
     };
@@ -529,17 +459,25 @@ async function scanCrossChainPair(pairConfig) {
 
   try {
     const prices = {};
+    const tokenByChain = {};
 
     // Get prices on each chain
     for (let i = 0; i < chains.length; i++) {
       const chain = chains[i];
       const token = tokens[i] || tokens[0]; // Use same token if not specified
+      tokenByChain[chain] = token;
 
-      prices[chain] = await getChainPrice(chain, token);
+      const price = await getChainPrice(chain, token);
+      if (price !== null) {
+        prices[chain] = price;
+      }
     }
 
     // Calculate best arbitrage opportunity
     const priceEntries = Object.entries(prices);
+    if (priceEntries.length < 2) {
+      return null; // Nothing to compare against
+    }
     priceEntries.sort((a, b) => b[1] - a[1]); // Sort by price descending
 
     const highestChain = priceEntries[0][0];
@@ -550,6 +488,13 @@ async function scanCrossChainPair(pairConfig) {
     const spread = ((highestPrice - lowestPrice) / lowestPrice) * 100;
 
     if (spread >= SAFETY_LIMITS.minProfitPercent) {
+      // Buy the token with dollars where it is cheap and sell it where it is dear,
+      // treating the bridge between the two as 1:1
+      const sizing = await buildProfitCurve([
+        { chain: lowestChain, tokenIn: CHAIN_QUOTE_TOKENS[lowestChain], tokenOut: tokenByChain[lowestChain] },
+        { chain: highestChain, tokenIn: tokenByChain[highestChain], tokenOut: CHAIN_QUOTE_TOKENS[highestChain] }
+      ]);
+
       return {
         pair: `${tokens[0]}-${tokens[1] || tokens[0]}`,
         type: chains.length === 3 ? 'triangular' : 'cross_chain_enhanced',
@@ -560,12 +505,14 @@ async function scanCrossChainPair(pairConfig) {
         prices,
         buyChain: lowestChain,
         sellChain: highestChain,
-        recommendedAmount: Math.min(75, SAFETY_LIMITS.maxAmountUSD),
-        estimatedProfit: (spread * (chains.length === 3 ? 0.55 : 0.65)).toFixed(2) + '%', // Lower profit for complexity
+        recommendedAmount: sizing.recommended,
+        estimatedProfit: `${sizing.expectedNetProfitPercent?.toFixed(2) ?? '0.00'}%`,
+        expectedNetProfit: sizing.expectedNetProfit,
+        sizing: summarizeSizing(sizing),
         confidence: spread > 1.5 ? 'HIGH' : spread > 0.8 ? 'MEDIUM' : 'LOW',
         complexity: chains.length === 3 ? 'HIGH' : 'MEDIUM',
         estimatedTime: chains.length === 3 ? '10-15 minutes' : '5-8 minutes',
-        estimatedGasCost: estimateGasCosts(chains),
+        estimatedGasCost: await estimateGasCosts(chains),
         specialFeatures: getCrossChainFeatures(chains, tokens),
         advantages: getCrossChainAdvantages(chains),
         timestamp: new Date().toISOString()
@@ -579,63 +526,56 @@ async function scanCrossChainPair(pairConfig) {
   }
 }
 
-// Get price for specific token on specific chain
+// Price of a token on a chain in that chain's dollar stablecoin, or null if no venue quotes it
 async function getChainPrice(chain, token) {
-  try {
-    switch (chain) {
-      case 'ethereum':
-        // Use existing Ethereum price fetching
-        const ethPrices = await getCurrentDEXPrices(`${token}-USDT`);
-        return ethPrices.ethereum || 1.0;
-
-      case 'sui':
-        // Use existing Sui price fetching
-        const suiPrices = await getCurrentDEXPrices(`${token}-USDT`);
-        return suiPrices.sui || 1.0;
-
-      case 'celo':
-        // Get Celo prices
-        const celoPrices = await getCeloPrices(`${token}-USDC`);
-        return celoPrices.ubeswap || celoPrices.uniswapV3 || 1.0;
-
-      default:
-        throw new Error(`Unsupported chain: ${chain}`);
+  const quoteToken = CHAIN_QUOTE_TOKENS[chain];
+  if (!quoteToken) {
+    throw new Error(`Unsupported chain: ${chain}`);
+  }
+
+  if (token === quoteToken) {
+    return 1.0;
+  }
+
+  // First venue that quotes wins (venues are listed by preference)
+  const source = getPriceSource();
+  const errors = [];
+
+  for (const venue of PRICE_VENUES[chain]) {
+    try {
+      const quote = await source.quote({ chain, venue, tokenIn: token, tokenOut: quoteToken, amountIn: SCAN_QUOTE_SIZE });
+      return quote.price;
+    } catch (error) {
+      errors.push(`${venue}: ${error.message}`);
     }
-  } catch (error) {
-    console.warn(`Failed to get ${token} price on ${chain}:`, error.message);
-    // Return realistic price with small variance
-    return 1.0 + (Math.random() - 0.5) * 0.002; // ±0.1% variance
   }
+
+  console.warn(`Failed to get ${token} price on ${chain}: ${errors.join('; ')}`);
+  return null;
 }
 
-// Simplified Celo opportunities (keep existing)
-async function scanCeloOpportunitiesSimplified() {
+// Celo cross-DEX opportunities in the shape of the cross-chain scan
+async function scanCeloNativeOpportunities() {
   try {
-    const celoOpportunities = [];
-
-    // Simulate Celo opportunities with realistic spreads
-    const celoPairs = [
-      { from: 'cUSD', to: 'USDC', spread: 0.2 + Math.random() * 0.8 },
-      { from: 'cUSD', to: 'cEUR', spread: 0.3 + Math.random() * 1.0 },
-      { from: 'cEUR', to: 'USDC', spread: 0.4 + Math.random() * 1.2 }
-    ];
-
-    celoPairs.forEach(pair => {
-      if (pair.spread >= SAFETY_LIMITS.minProfitPercent) {
-        celoOpportunities.push({
-          pair: `${pair.from}-${pair.to}`,
-          spread: parseFloat(pair.spread.toFixed(4)),
-          direction: 'celo_native',
-          recommendedAmount: Math.min(75, SAFETY_LIMITS.maxAmountUSD),
-          estimatedProfit: (pair.spread * 0.8).toFixed(2) + '%',
-          confidence: pair.spread > 1.0 ? 'HIGH' : 'MEDIUM',
-          type: 'celo_native',
-          chains: ['celo'],
-          advantages: ['Ultra-low fees (~$0.01)', 'Fast 5s blocks'],
-          timestamp: new Date().toISOString()
-        });
-      }
-    });
+    const scan = await scanCeloArbitrageOpportunities(SAFETY_LIMITS.minProfitPercent, SCAN_QUOTE_SIZE);
+
+    const celoOpportunities = scan.opportunities.map(opportunity => ({
+      pair: opportunity.pair,
+      spread: opportunity.spread,
+      direction: 'celo_native',
+      buyDEX: opportunity.recommendedDEX,
+      sellDEX: opportunity.sellDEX,
+      blockNumber: opportunity.blockNumber,
+      recommendedAmount: opportunity.recommendedAmount,
+      estimatedProfit: opportunity.estimatedProfit,
+      expectedNetProfit: opportunity.expectedNetProfit,
+      sizing: opportunity.sizing,
+      confidence: opportunity.confidence,
+      type: 'celo_native',
+      chains: ['celo'],
+      advantages: ['Ultra-low fees (~$0.01)', 'Fast 5s blocks'],
+      timestamp: opportunity.timestamp
+    }));
 
     console.log(`📊 Found ${celoOpportunities.length} Celo native opportunities`);
     return celoOpportunities;
@@ -649,19 +589,19 @@ async function scanCeloOpportunitiesSimplified() {
 // ENHANCED UTILITY FUNCTIONS
 // ================================
 
-function estimateGasCosts(chains = ['ethereum', 'sui']) {
-  const gasEstimates = {
-    ethereum: 5, // $5
-    sui: 0.01,   // $0.01
-    celo: 0.01   // $0.01
-  };
+// One swap per chain at current network fees
+async function estimateGasCosts(chains = ['ethereum', 'sui']) {
+  const gasEstimates = {};
+  for (const chain of chains) {
+    gasEstimates[chain] = await estimateSwapGasCostUSD(chain);
+  }
 
-  const totalGas = chains.reduce((sum, chain) => sum + (gasEstimates[chain] || 1), 0);
+  const totalGas = chains.reduce((sum, chain) => sum + gasEstimates[chain], 0);
 
   return {
     breakdown: chains.map(chain => ({ 
       chain, 
-      gas: `$${gasEstimates[chain] || 1}`,
+      gas: `$${gasEstimates[chain].toFixed(4)}`,
       percentage: chain === 'ethereum' ? '3-8%' : '<0.1%'
     })),
     total: `$${totalGas.toFixed(2)}`,
@@ -727,18 +667,17 @@ function getCrossChainAdvantages(chains) {
 
 function calculateCrossChainProfit(results, initialAmount) {
   try {
-    // This is a simplified calculation
-    // In practice, you'd get actual executed amounts from transaction results
-
     let totalProfit = 0;
     let totalFees = 0;
 
     results.forEach(result => {
       if (result.success) {
-        // Estimate profit based on successful execution
-        // This would use actual transaction outputs in real implementation
-        totalProfit += initialAmount * 0.005; // 0.5% estimated profit per successful arbitrage
-        totalFees += result.chains?.includes('ethereum') ? 5 : 0.02; // Gas costs
+        // Measured: what the last leg returned against what the first leg spent
+        // (bridge fees were already taken out between legs)
+        totalProfit += result.finalAmountOut - initialAmount;
+        totalFees += result.legs
+          .filter(leg => !leg.skipped)
+          .reduce((sum, leg) => sum + (leg.gasCostUSD ?? 0), 0);
       }
     });
 
@@ -0,0 +1,295 @@
+import { ethers } from 'ethers';
+import { CHAIN_CONFIG } from '../config/chains.js';
+import { getWalletInstance } from './wallets.js';
+import { getFeeCaps, prepareTransaction } from './fee-strategy.js';
+
+// ================================
+// EVM TRANSACTION MANAGER
+// ================================
+
+// A transaction still unmined this many blocks after sending is replaced
+const STUCK_AFTER_BLOCKS = parseInt(process.env.TX_STUCK_AFTER_BLOCKS) || 10;
+const MAX_REPLACEMENTS = parseInt(process.env.TX_MAX_REPLACEMENTS) || 3;
+const WAIT_TIMEOUT_MS = (parseInt(process.env.TX_WAIT_TIMEOUT_SECONDS) || 900) * 1000;
+const POLL_INTERVAL_MS = 3000;
+
+// Nodes only accept a replacement that raises fees by at least 10%, so bump by 12.5%
+const FEE_BUMP_PER_MILLE = 125n;
+
+// Finished transactions kept for the pending-state route
+const HISTORY_LIMIT = 100;
+
+const managers = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function bump(value) {
+  return (value * (1000n + FEE_BUMP_PER_MILLE)) / 1000n + 1n;
+}
+
+// Fees for a replacement: the higher of the bumped old fees and current network fees.
+// A replacement the chain's fee cap cannot cover is refused rather than overpaid.
+async function getReplacementFees(chain, provider, previous) {
+  const feeData = await provider.getFeeData();
+  const caps = getFeeCaps(chain);
+  let fees;
+
+  if (previous.maxFeePerGas) {
+    const maxPriorityFeePerGas = bump(previous.maxPriorityFeePerGas);
+    const maxFeePerGas = bump(previous.maxFeePerGas);
+    fees = {
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas > maxPriorityFeePerGas ? feeData.maxPriorityFeePerGas : maxPriorityFeePerGas,
+      maxFeePerGas: feeData.maxFeePerGas > maxFeePerGas ? feeData.maxFeePerGas : maxFeePerGas
+    };
+  } else {
+    const gasPrice = bump(previous.gasPrice);
+    fees = { gasPrice: feeData.gasPrice > gasPrice ? feeData.gasPrice : gasPrice };
+  }
+
+  const maxFee = fees.maxFeePerGas ?? fees.gasPrice;
+  if (maxFee > caps.maxFeePerGas) {
+    throw new Error(`Replacement needs ${ethers.formatUnits(maxFee, 'gwei')} gwei, above the ${chain} cap of ${ethers.formatUnits(caps.maxFeePerGas, 'gwei')} gwei`);
+  }
+  return fees;
+}
+
+function getFeeFields(tx) {
+  return tx.maxFeePerGas ?
+    { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas } :
+    { gasPrice: tx.gasPrice };
+}
+
+function formatFees(fees) {
+  return Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, `${ethers.formatUnits(value, 'gwei')} gwei`]));
+}
+
+// One manager per chain wallet. Sends are serialized so every transaction gets
+// the next nonce, and each one is tracked until it (or a replacement) is mined.
+export function createTxManager(chain, wallet) {
+  const provider = wallet.provider;
+  const stuckAfterMs = STUCK_AFTER_BLOCKS * (CHAIN_CONFIG[chain]?.blockTimeSeconds || 12) * 1000;
+  const transactions = new Map();
+  let nextNonce = null;
+  let queue = Promise.resolve();
+  let counter = 0;
+
+  // Run sends one at a time so nonce assignment cannot race
+  function serialize(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function broadcast(entry, request) {
+    const tx = await wallet.sendTransaction(request);
+    entry.hashes.push(tx.hash);
+    entry.hash = tx.hash;
+    entry.fees = getFeeFields(tx);
+    entry.lastSentAt = Date.now();
+    return tx;
+  }
+
+  // Gas limit and fees come from the fee strategy; `maxGasCostUSD` refuses the
+  // send when its projected cost is higher
+  function send(request, { label = 'transaction', urgency, maxGasCostUSD = null } = {}) {
+    return serialize(async () => {
+      const prepared = await prepareTransaction(chain, request, { from: wallet.address, urgency, maxGasCostUSD });
+      // A pending count below ours is only trusted when none of our tracked
+      // pending transactions holds a nonce at or above it: then they were
+      // dropped and the nonces are free again. Otherwise the node is lagging
+      // (or another node behind a load balancer answered), and reusing the
+      // nonce would silently replace our own in-flight transaction.
+      const chainNonce = await provider.getTransactionCount(wallet.address, 'pending');
+      let nonce = nextNonce !== null && nextNonce > chainNonce ? nextNonce : chainNonce;
+      if (nonce > chainNonce) {
+        const inFlight = [...transactions.values()].some(tx => tx.status === 'PENDING' && tx.nonce >= chainNonce);
+        if (!inFlight) {
+          console.warn(`⚠️ [${chain}] Node reports pending nonce ${chainNonce}, below our ${nextNonce} with nothing of ours in flight: earlier sends were dropped, resyncing`);
+          nonce = chainNonce;
+        }
+      }
+
+      const populated = await wallet.populateTransaction({ ...prepared.request, nonce });
+      const entry = {
+        id: `${chain}_${Date.now()}_${++counter}`,
+        chain,
+        from: wallet.address,
+        label,
+        nonce,
+        request: populated,
+        feeEstimate: prepared.estimate,
+        hash: null,
+        hashes: [],
+        cancelHashes: [],
+        fees: null,
+        status: 'PENDING',
+        replacements: 0,
+        sentAt: new Date().toISOString(),
+        lastSentAt: null
+      };
+
+      try {
+        await broadcast(entry, populated);
+      } catch (error) {
+        // Nothing was accepted, so the nonce is free again; resync from the node next time
+        nextNonce = null;
+        throw error;
+      }
+
+      nextNonce = nonce + 1;
+      transactions.set(entry.id, entry);
+      console.log(`📤 [${chain}] ${label} sent with nonce ${nonce}: ${entry.hash}`);
+      return entry;
+    });
+  }
+
+  // Replace a pending transaction with the same nonce and higher fees.
+  // Cancelling replaces it with an empty transfer to ourselves; once cancelled,
+  // later speed-ups bump the cancel rather than the original.
+  function replace(id, { cancel = false } = {}) {
+    return serialize(async () => {
+      const entry = transactions.get(id);
+      if (!entry) throw new Error(`Unknown transaction: ${id}`);
+      if (entry.status !== 'PENDING') throw new Error(`Transaction ${id} is ${entry.status}`);
+
+      const cancelling = cancel || entry.cancelHashes.length > 0;
+      const fees = await getReplacementFees(chain, provider, entry.fees);
+      const base = cancelling ?
+        { to: wallet.address, value: 0n, data: '0x', gasLimit: 21000n, chainId: entry.request.chainId, type: entry.request.type } :
+        entry.request;
+      const request = { ...base, ...fees, nonce: entry.nonce };
+
+      await broadcast(entry, request);
+      entry.replacements++;
+      if (cancelling) entry.cancelHashes.push(entry.hash);
+
+      console.log(`⏫ [${chain}] ${cancelling ? 'Cancel' : 'Speed-up'} #${entry.replacements} for nonce ${entry.nonce}: ${entry.hash} (${JSON.stringify(formatFees(fees))})`);
+      return entry;
+    });
+  }
+
+  function finish(entry, status, receipt = null) {
+    entry.status = status;
+    entry.finishedAt = new Date().toISOString();
+    if (receipt) {
+      entry.hash = receipt.hash;
+      entry.blockNumber = receipt.blockNumber;
+    }
+
+    // Keep only the most recent finished entries
+    const finished = [...transactions.values()].filter(tx => tx.status !== 'PENDING');
+    for (const old of finished.slice(0, Math.max(0, finished.length - HISTORY_LIMIT))) {
+      transactions.delete(old.id);
+    }
+  }
+
+  // Wait until one of the entry's hashes is mined. Past the stuck deadline the
+  // transaction is sped up, at most MAX_REPLACEMENTS times; past the timeout it
+  // is cancelled and marked TIMED_OUT.
+  async function wait(entry, { timeoutMs = WAIT_TIMEOUT_MS, autoSpeedUp = true } = {}) {
+    const startedAt = Date.now();
+    let nonceMined = false;
+
+    while (Date.now() - startedAt < timeoutMs) {
+      for (const hash of entry.hashes) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (!receipt) continue;
+
+        if (entry.cancelHashes.includes(hash)) {
+          finish(entry, 'CANCELLED', receipt);
+          throw new Error(`${entry.label} (nonce ${entry.nonce}) was cancelled`);
+        }
+
+        finish(entry, receipt.status === 1 ? 'CONFIRMED' : 'REVERTED', receipt);
+        if (receipt.status !== 1) {
+          throw new Error(`Transaction ${hash} reverted`);
+        }
+        return receipt;
+      }
+
+      // Nonce mined but none of our hashes has a receipt: check receipts once
+      // more (one may have just landed), then it was another transaction
+      const minedNonce = await provider.getTransactionCount(wallet.address, 'latest');
+      if (minedNonce > entry.nonce) {
+        if (nonceMined) {
+          finish(entry, 'REPLACED_EXTERNALLY');
+          throw new Error(`Nonce ${entry.nonce} was consumed by another transaction`);
+        }
+        nonceMined = true;
+        continue;
+      }
+
+      if (autoSpeedUp && Date.now() - entry.lastSentAt > stuckAfterMs && entry.replacements < MAX_REPLACEMENTS) {
+        console.warn(`⏳ [${chain}] ${entry.label} stuck for ${Math.round((Date.now() - entry.lastSentAt) / 1000)}s, speeding up`);
+        await replace(entry.id).catch(error => console.warn(`⚠️ Speed-up failed: ${error.message}`));
+      }
+
+      await sleep(POLL_INTERVAL_MS);
+    }
+
+    // Giving up: try to cancel so the send cannot land after its failure was
+    // reported, and stop counting it as pending either way
+    let outcome;
+    try {
+      await replace(entry.id, { cancel: true });
+      outcome = `cancel sent as ${entry.hash}`;
+    } catch (error) {
+      outcome = `cancel failed: ${error.message}`;
+    }
+    finish(entry, 'TIMED_OUT');
+
+    throw new Error(`${entry.label} (nonce ${entry.nonce}) still pending after ${Math.round(timeoutMs / 1000)}s, ${outcome}; check nonce ${entry.nonce} on chain before retrying`);
+  }
+
+  return {
+    chain,
+    address: wallet.address,
+    send,
+    wait,
+    async sendAndWait(request, options = {}) {
+      const entry = await send(request, options);
+      return wait(entry, options);
+    },
+    speedUp: id => replace(id),
+    cancel: id => replace(id, { cancel: true }),
+    get: id => transactions.get(id) || null,
+    list: () => [...transactions.values()]
+  };
+}
+
+// Manager for a chain's wallet, created on first use
+export function getTxManager(chain) {
+  const wallet = getWalletInstance(chain);
+  if (!wallet?.provider) {
+    throw new Error(`No EVM wallet for ${chain}`);
+  }
+
+  const existing = managers.get(chain);
+  if (existing && existing.address === wallet.address) {
+    return existing;
+  }
+
+  const manager = createTxManager(chain, wallet);
+  managers.set(chain, manager);
+  return manager;
+}
+
+// Transactions across every chain, pending first, for the pending-state route
+export function getTrackedTransactions({ pendingOnly = false } = {}) {
+  const all = [...managers.values()].flatMap(manager => manager.list());
+  const serialized = all
+    .filter(tx => !pendingOnly || tx.status === 'PENDING')
+    .map(({ request, fees, ...tx }) => ({
+      ...tx,
+      to: request.to,
+      fees: fees ? formatFees(fees) : null,
+      pendingForSeconds: tx.status === 'PENDING' ? Math.round((Date.now() - Date.parse(tx.sentAt)) / 1000) : null
+    }));
+
+  return serialized.sort((a, b) => (a.status === 'PENDING' ? 0 : 1) - (b.status === 'PENDING' ? 0 : 1));
+}
+
+// Find a tracked transaction's manager by id
+export function findTxManager(id) {
+  return [...managers.values()].find(manager => manager.get(id)) || null;
+}
@@ -0,0 +1,141 @@
+import { ethers } from 'ethers';
+import { CHAIN_CONFIG, TOKEN_DECIMALS } from '../config/chains.js';
+import { getProvider } from './blockchain.js';
+
+// ================================
+// UBESWAP (UNISWAP V2 STYLE) ON CELO
+// ================================
+
+// Ubeswap Router ABI (Uniswap V2 style)
+export const UBESWAP_ROUTER_ABI = [
+  'function getAmountsOut(uint amountIn, address[] calldata path) external view returns (uint[] memory amounts)',
+  'function getAmountsIn(uint amountOut, address[] calldata path) external view returns (uint[] memory amounts)',
+  'function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)',
+  'function swapTokensForExactTokens(uint amountOut, uint amountInMax, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)'
+];
+
+const FACTORY_ABI = [
+  'function getPair(address tokenA, address tokenB) external view returns (address pair)'
+];
+
+// Most Ubeswap liquidity is paired against these, so they are tried as hops
+export const UBESWAP_HUB_TOKENS = ['CELO', 'cUSD'];
+
+// "tokenA:tokenB" -> pair address. Only existing pairs are cached, since a
+// missing pair can be created at any time.
+const pairCache = new Map();
+
+function getRouter() {
+  return new ethers.Contract(CHAIN_CONFIG.celo.ubeswap.router, UBESWAP_ROUTER_ABI, getProvider('celo'));
+}
+
+// Output amounts for every hop of `path` when selling amountIn (base units)
+export async function quoteUbeswapAmountsOut(path, amountIn, blockTag = 'latest') {
+  const amounts = await getRouter().getAmountsOut(amountIn, path, { blockTag });
+  return {
+    path,
+    amounts: [...amounts],
+    amountIn,
+    amountOut: amounts[amounts.length - 1]
+  };
+}
+
+// Input amounts for every hop of `path` when buying exactly amountOut (base units)
+export async function quoteUbeswapAmountsIn(path, amountOut, blockTag = 'latest') {
+  const amounts = await getRouter().getAmountsIn(amountOut, path, { blockTag });
+  return {
+    path,
+    amounts: [...amounts],
+    amountIn: amounts[0],
+    amountOut
+  };
+}
+
+// Pair address for two tokens, or null when the factory has none
+export async function getUbeswapPair(tokenA, tokenB) {
+  const key = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort().join(':');
+  if (pairCache.has(key)) {
+    return pairCache.get(key);
+  }
+
+  const factory = new ethers.Contract(CHAIN_CONFIG.celo.ubeswap.factory, FACTORY_ABI, getProvider('celo'));
+  const pair = await factory.getPair(tokenA, tokenB);
+  if (pair === ethers.ZeroAddress) {
+    return null;
+  }
+
+  pairCache.set(key, pair);
+  return pair;
+}
+
+// Candidate symbol paths: direct, through one hub, and through both hubs
+function getCandidatePaths(tokenIn, tokenOut) {
+  const hubs = UBESWAP_HUB_TOKENS.filter(hub => hub !== tokenIn && hub !== tokenOut);
+  const paths = [[tokenIn, tokenOut], ...hubs.map(hub => [tokenIn, hub, tokenOut])];
+
+  if (hubs.length === 2) {
+    paths.push([tokenIn, hubs[0], hubs[1], tokenOut], [tokenIn, hubs[1], hubs[0], tokenOut]);
+  }
+  return paths;
+}
+
+// Best Ubeswap path from tokenIn to tokenOut (symbols from CHAIN_CONFIG.celo.tokens).
+// Paths with a missing pair are skipped via the factory; the rest are compared
+// with getAmountsOut at the same block.
+export async function findUbeswapPath(tokenIn, tokenOut, amountIn, blockTag = 'latest') {
+  const tokens = CHAIN_CONFIG.celo.tokens;
+  for (const symbol of [tokenIn, tokenOut]) {
+    if (!tokens[symbol]) {
+      throw new Error(`Token not found on Celo: ${symbol}`);
+    }
+  }
+
+  const skipped = [];
+  const quoted = [];
+
+  await Promise.all(getCandidatePaths(tokenIn, tokenOut).map(async symbols => {
+    const label = symbols.join(' → ');
+    try {
+      const path = symbols.map(symbol => tokens[symbol]);
+      const pairs = await Promise.all(path.slice(1).map((token, index) => getUbeswapPair(path[index], token)));
+
+      const missing = pairs.findIndex(pair => pair === null);
+      if (missing >= 0) {
+        skipped.push({ path: label, reason: `No ${symbols[missing]}/${symbols[missing + 1]} pair` });
+        return;
+      }
+
+      const quote = await quoteUbeswapAmountsOut(path, amountIn, blockTag);
+      if (quote.amountOut === 0n) {
+        skipped.push({ path: label, reason: 'Zero output' });
+        return;
+      }
+
+      quoted.push({ symbols, ...quote });
+    } catch (error) {
+      skipped.push({ path: label, reason: error.shortMessage || error.message });
+    }
+  }));
+
+  if (quoted.length === 0) {
+    throw new Error(`No Ubeswap path from ${tokenIn} to ${tokenOut}: ${skipped.map(s => `${s.path}: ${s.reason}`).join('; ')}`);
+  }
+
+  quoted.sort((a, b) => (b.amountOut > a.amountOut ? 1 : b.amountOut < a.amountOut ? -1 : 0));
+  const [best, ...others] = quoted;
+  const decimalsOut = TOKEN_DECIMALS.celo[tokenOut] ?? 18;
+
+  return {
+    symbols: best.symbols,
+    path: best.path,
+    amounts: best.amounts,
+    amountIn: best.amountIn,
+    amountOut: best.amountOut,
+    quotedOutput: ethers.formatUnits(best.amountOut, decimalsOut),
+    alternatives: others.map(other => ({
+      symbols: other.symbols,
+      quotedOutput: ethers.formatUnits(other.amountOut, decimalsOut)
+    })),
+    skipped
+  };
+}
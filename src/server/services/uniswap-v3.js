@@ -0,0 +1,517 @@
+import { ethers } from 'ethers';
+import { CHAIN_CONFIG, TOKEN_DECIMALS } from '../config/chains.js';
+import { getProvider } from './blockchain.js';
+
+// ================================
+// UNISWAP V3 QUOTING (ETHEREUM + CELO)
+// ================================
+
+// Fee tiers deployed by the Uniswap V3 factory (hundredths of a bip)
+export const FEE_TIERS = [100, 500, 3000, 10000];
+
+// QuoterV2 takes a struct and also returns price-after and gas estimate
+const QUOTER_V2_ABI = [
+  'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) external returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)'
+];
+
+// Original Quoter takes flat arguments and only returns the output amount
+const QUOTER_V1_ABI = [
+  'function quoteExactInputSingle(address tokenIn, address tokenOut, uint24 fee, uint256 amountIn, uint160 sqrtPriceLimitX96) external returns (uint256 amountOut)'
+];
+
+function getQuoter(chain) {
+  const config = CHAIN_CONFIG[chain]?.uniswap;
+  if (!config?.quoter) {
+    throw new Error(`Uniswap V3 quoter not configured for ${chain}`);
+  }
+
+  const abi = config.quoterVersion === 1 ? QUOTER_V1_ABI : QUOTER_V2_ABI;
+  return {
+    version: config.quoterVersion || 2,
+    contract: new ethers.Contract(config.quoter, abi, getProvider(chain))
+  };
+}
+
+// Both router versions inherit SelfPermit and a plain multicall, so an EIP-2612
+// permit can be redeemed in the same transaction as the swap
+const ROUTER_PERMIT_ABI = [
+  'function selfPermit(address token, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external payable',
+  'function multicall(bytes[] data) external payable returns (bytes[] results)'
+];
+
+// The original SwapRouter takes a deadline inside the swap struct
+const SWAP_ROUTER_V1_ABI = [
+  ...ROUTER_PERMIT_ABI,
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) external payable returns (uint256 amountOut)',
+  'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96)) external payable returns (uint256 amountIn)',
+  'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum)) external payable returns (uint256 amountOut)'
+];
+
+// SwapRouter02 dropped the deadline from the structs (it moved to multicall)
+const SWAP_ROUTER_02_ABI = [
+  ...ROUTER_PERMIT_ABI,
+  'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96)) external payable returns (uint256 amountOut)',
+  'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96)) external payable returns (uint256 amountIn)',
+  'function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum)) external payable returns (uint256 amountOut)'
+];
+
+// Router contract for a chain, with the ABI matching its configured version
+export function getSwapRouter(chain, runner) {
+  const config = CHAIN_CONFIG[chain]?.uniswap;
+  if (!config?.router) {
+    throw new Error(`Uniswap V3 router not configured for ${chain}`);
+  }
+
+  const version = config.routerVersion === 2 ? 2 : 1;
+  return {
+    version,
+    address: config.router,
+    contract: new ethers.Contract(config.router, version === 2 ? SWAP_ROUTER_02_ABI : SWAP_ROUTER_V1_ABI, runner)
+  };
+}
+
+// exactInputSingle params in the shape the router version expects
+export function buildExactInputSingleParams(router, { tokenIn, tokenOut, fee, recipient, amountIn, amountOutMinimum, deadline }) {
+  const params = { tokenIn, tokenOut, fee, recipient, amountIn, amountOutMinimum, sqrtPriceLimitX96: 0 };
+  return router.version === 2 ? params : { ...params, deadline };
+}
+
+// exactInput (multi-hop) params in the shape the router version expects
+export function buildExactInputParams(router, { path, recipient, amountIn, amountOutMinimum, deadline }) {
+  const params = { path, recipient, amountIn, amountOutMinimum };
+  return router.version === 2 ? params : { ...params, deadline };
+}
+
+// simulate / estimateGas / populate for a router swap. With a signed permit the
+// swap is wrapped in multicall([selfPermit, swap]) and needs no prior approval.
+export function buildRouterSwapCall(router, swapMethod, swapParams, overrides = {}, permit = null) {
+  const { contract } = router;
+
+  if (!permit) {
+    const swap = contract[swapMethod];
+    return {
+      simulate: () => swap.staticCall(swapParams, overrides),
+      estimateGas: () => swap.estimateGas(swapParams, overrides),
+      populate: () => swap.populateTransaction(swapParams, overrides)
+    };
+  }
+
+  const calls = [
+    contract.interface.encodeFunctionData('selfPermit', [permit.token, permit.amount, permit.deadline, permit.v, permit.r, permit.s]),
+    contract.interface.encodeFunctionData(swapMethod, [swapParams])
+  ];
+
+  return {
+    simulate: async () => {
+      const results = await contract.multicall.staticCall(calls, overrides);
+      return contract.interface.decodeFunctionResult(swapMethod, results[1])[0];
+    },
+    estimateGas: () => contract.multicall.estimateGas(calls, overrides),
+    populate: () => contract.multicall.populateTransaction(calls, overrides)
+  };
+}
+
+// Quote a single-pool exact-input swap. amountIn is in token base units.
+export async function quoteExactInputSingle(chain, tokenInAddress, tokenOutAddress, amountIn, fee, blockTag = 'latest') {
+  const quoter = getQuoter(chain);
+  const overrides = { blockTag };
+
+  if (quoter.version === 1) {
+    const amountOut = await quoter.contract.quoteExactInputSingle.staticCall(
+      tokenInAddress, tokenOutAddress, fee, amountIn, 0, overrides
+    );
+    return { fee, amountIn, amountOut };
+  }
+
+  const [amountOut, sqrtPriceX96After, initializedTicksCrossed, gasEstimate] =
+    await quoter.contract.quoteExactInputSingle.staticCall({
+      tokenIn: tokenInAddress,
+      tokenOut: tokenOutAddress,
+      amountIn,
+      fee,
+      sqrtPriceLimitX96: 0
+    }, overrides);
+
+  return {
+    fee,
+    amountIn,
+    amountOut,
+    sqrtPriceX96After,
+    initializedTicksCrossed: Number(initializedTicksCrossed),
+    gasEstimate
+  };
+}
+
+// Quote every fee tier and return the one with the largest output.
+// Tiers without a pool (or without liquidity) revert and are reported as errors.
+export async function quoteBestFeeTier(chain, tokenInAddress, tokenOutAddress, amountIn, blockTag = 'latest') {
+  const results = await Promise.allSettled(
+    FEE_TIERS.map(fee => quoteExactInputSingle(chain, tokenInAddress, tokenOutAddress, amountIn, fee, blockTag))
+  );
+
+  const quotes = results.map((result, index) => result.status === 'fulfilled' ?
+    result.value :
+    { fee: FEE_TIERS[index], amountIn, error: result.reason?.shortMessage || result.reason?.message || 'Quote reverted' }
+  );
+
+  const valid = quotes.filter(q => q.amountOut !== undefined && q.amountOut > 0n);
+  if (valid.length === 0) {
+    throw new Error(`No Uniswap V3 pool on ${chain} quoted ${tokenInAddress} → ${tokenOutAddress}`);
+  }
+
+  const best = valid.reduce((a, b) => (b.amountOut > a.amountOut ? b : a));
+  return { best, quotes };
+}
+
+// The chosen tier and the tiers passed over, in human units, for swap results
+function describeTierSelection(best, quotes, decimalsOut) {
+  return {
+    fee: best.fee,
+    feeTier: feeTierLabel(best.fee),
+    quotedOutput: ethers.formatUnits(best.amountOut, decimalsOut),
+    rejected: quotes
+      .filter(quote => quote.fee !== best.fee)
+      .map(quote => ({
+        fee: quote.fee,
+        feeTier: feeTierLabel(quote.fee),
+        quotedOutput: quote.amountOut !== undefined ? ethers.formatUnits(quote.amountOut, decimalsOut) : null,
+        reason: quote.error || 'Lower output'
+      }))
+  };
+}
+
+// Pick the fee tier that gives the most output for an exact-input swap
+export async function selectFeeTier(chain, tokenInAddress, tokenOutAddress, amountIn, decimalsOut) {
+  const { best, quotes } = await quoteBestFeeTier(chain, tokenInAddress, tokenOutAddress, amountIn);
+
+  return {
+    fee: best.fee,
+    amountOut: best.amountOut,
+    selection: describeTierSelection(best, quotes, decimalsOut)
+  };
+}
+
+// ================================
+// MULTI-HOP ROUTING
+// ================================
+
+// V3 paths pack tokenIn, fee, token, fee, ..., tokenOut
+export function encodePath(tokens, fees) {
+  if (tokens.length !== fees.length + 1) {
+    throw new Error(`Path with ${tokens.length} tokens needs ${tokens.length - 1} fees, got ${fees.length}`);
+  }
+
+  const types = [];
+  const values = [];
+  tokens.forEach((token, index) => {
+    types.push('address');
+    values.push(token);
+    if (index < fees.length) {
+      types.push('uint24');
+      values.push(fees[index]);
+    }
+  });
+
+  return ethers.solidityPacked(types, values);
+}
+
+// Best route from tokenIn to tokenOut (symbols from CHAIN_CONFIG[chain].tokens):
+// the direct pool, or two hops through any other configured token (WETH included).
+// Each hop uses its best fee tier for the amount actually arriving at it.
+export async function findBestRoute(chain, tokenIn, tokenOut, amountIn, blockTag) {
+  const tokens = CHAIN_CONFIG[chain]?.tokens || {};
+  const decimalsOf = symbol => TOKEN_DECIMALS[chain]?.[symbol] ?? 18;
+  const addressOf = symbol => {
+    if (!tokens[symbol]) {
+      throw new Error(`Token not found on ${chain}: ${symbol}`);
+    }
+    return tokens[symbol];
+  };
+
+  const tokenInAddress = addressOf(tokenIn);
+  const tokenOutAddress = addressOf(tokenOut);
+  const blockNumber = blockTag ?? await getProvider(chain).getBlockNumber();
+
+  const candidates = [];
+  const errors = [];
+  let directSelection = null;
+
+  const intermediates = Object.keys(tokens).filter(symbol =>
+    symbol !== tokenIn && symbol !== tokenOut &&
+    ![tokenInAddress, tokenOutAddress].includes(tokens[symbol])
+  );
+
+  await Promise.all([
+    (async () => {
+      try {
+        const { best, quotes } = await quoteBestFeeTier(chain, tokenInAddress, tokenOutAddress, amountIn, blockNumber);
+        directSelection = describeTierSelection(best, quotes, decimalsOf(tokenOut));
+        candidates.push({ symbols: [tokenIn, tokenOut], hopQuotes: [best] });
+      } catch (error) {
+        errors.push({ route: `${tokenIn} → ${tokenOut}`, error: error.message });
+      }
+    })(),
+    ...intermediates.map(async middle => {
+      try {
+        const first = await quoteBestFeeTier(chain, tokenInAddress, tokens[middle], amountIn, blockNumber);
+        const second = await quoteBestFeeTier(chain, tokens[middle], tokenOutAddress, first.best.amountOut, blockNumber);
+        candidates.push({ symbols: [tokenIn, middle, tokenOut], hopQuotes: [first.best, second.best] });
+      } catch (error) {
+        errors.push({ route: `${tokenIn} → ${middle} → ${tokenOut}`, error: error.message });
+      }
+    })
+  ]);
+
+  if (candidates.length === 0) {
+    throw new Error(`No Uniswap V3 route on ${chain} from ${tokenIn} to ${tokenOut}: ${errors.map(e => `${e.route}: ${e.error}`).join('; ')}`);
+  }
+
+  const amountOutOf = candidate => candidate.hopQuotes[candidate.hopQuotes.length - 1].amountOut;
+  candidates.sort((a, b) => (amountOutOf(b) > amountOutOf(a) ? 1 : amountOutOf(b) < amountOutOf(a) ? -1 : 0));
+
+  const describe = candidate => ({
+    symbols: candidate.symbols,
+    fees: candidate.hopQuotes.map(quote => quote.fee),
+    quotedOutput: ethers.formatUnits(amountOutOf(candidate), decimalsOf(tokenOut))
+  });
+
+  const [best, ...others] = candidates;
+  const addresses = best.symbols.map(addressOf);
+  const fees = best.hopQuotes.map(quote => quote.fee);
+
+  return {
+    chain,
+    blockNumber,
+    symbols: best.symbols,
+    tokens: addresses,
+    fees,
+    path: encodePath(addresses, fees),
+    amountIn,
+    amountOut: amountOutOf(best),
+    quotedOutput: ethers.formatUnits(amountOutOf(best), decimalsOf(tokenOut)),
+    hops: best.hopQuotes.map((quote, index) => ({
+      tokenIn: best.symbols[index],
+      tokenOut: best.symbols[index + 1],
+      fee: quote.fee,
+      feeTier: feeTierLabel(quote.fee),
+      amountIn: ethers.formatUnits(quote.amountIn, decimalsOf(best.symbols[index])),
+      amountOut: ethers.formatUnits(quote.amountOut, decimalsOf(best.symbols[index + 1]))
+    })),
+    directSelection,
+    alternatives: others.map(describe),
+    errors
+  };
+}
+
+// ================================
+// UNISWAP V3 POOL STATE
+// ================================
+
+const FACTORY_ABI = [
+  'function getPool(address tokenA, address tokenB, uint24 fee) external view returns (address pool)'
+];
+
+const POOL_ABI = [
+  'function token0() external view returns (address)',
+  'function token1() external view returns (address)',
+  'function tickSpacing() external view returns (int24)',
+  'function slot0() external view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+  'function liquidity() external view returns (uint128)',
+  'function tickBitmap(int16 wordPosition) external view returns (uint256)',
+  'function ticks(int24 tick) external view returns (uint128 liquidityGross, int128 liquidityNet, uint256 feeGrowthOutside0X128, uint256 feeGrowthOutside1X128, int56 tickCumulativeOutside, uint160 secondsPerLiquidityOutsideX128, uint32 secondsOutside, bool initialized)',
+  'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)'
+];
+
+const ERC20_METADATA_ABI = [
+  'function decimals() view returns (uint8)',
+  'function balanceOf(address account) view returns (uint256)'
+];
+
+const Q96 = 2n ** 96n;
+
+// Public RPCs cap eth_getLogs ranges, so activity is read in windows
+const LOG_CHUNK_BLOCKS = 5000;
+
+// Initialised ticks returned either side of the current price
+const MAX_NEARBY_TICKS = 10;
+
+// chain:token -> decimals (token decimals never change)
+const tokenDecimalsCache = new Map();
+
+export function feeTierLabel(fee) {
+  return `${fee / 10000}%`;
+}
+
+async function getTokenDecimalsOnChain(chain, tokenAddress) {
+  const key = `${chain}:${tokenAddress.toLowerCase()}`;
+  if (!tokenDecimalsCache.has(key)) {
+    const token = new ethers.Contract(tokenAddress, ERC20_METADATA_ABI, getProvider(chain));
+    tokenDecimalsCache.set(key, Number(await token.decimals()));
+  }
+  return tokenDecimalsCache.get(key);
+}
+
+// Pool address for a pair and fee tier, or null if the factory has none
+export async function getPoolAddress(chain, tokenA, tokenB, fee) {
+  const factoryAddress = CHAIN_CONFIG[chain]?.uniswap?.factory;
+  if (!factoryAddress) {
+    throw new Error(`Uniswap V3 factory not configured for ${chain}`);
+  }
+
+  const factory = new ethers.Contract(factoryAddress, FACTORY_ABI, getProvider(chain));
+  const pool = await factory.getPool(tokenA, tokenB, fee);
+  return pool === ethers.ZeroAddress ? null : pool;
+}
+
+// Price of token0 in token1 from a Q64.96 sqrt price
+function sqrtPriceX96ToPrice(sqrtPriceX96, decimals0, decimals1) {
+  const ratio = Number(sqrtPriceX96) / Number(Q96);
+  return ratio * ratio * Math.pow(10, decimals0 - decimals1);
+}
+
+// Initialised ticks in the bitmap words around the current tick, nearest first
+async function getNearbyTicks(pool, tick, tickSpacing, blockTag) {
+  const compressed = Math.floor(tick / tickSpacing);
+  const wordPosition = compressed >> 8;
+  const words = [wordPosition - 1, wordPosition, wordPosition + 1];
+
+  const bitmaps = await Promise.all(words.map(word => pool.tickBitmap(word, { blockTag })));
+
+  const initialized = [];
+  bitmaps.forEach((bitmap, index) => {
+    for (let bit = 0; bit < 256; bit++) {
+      if ((bitmap >> BigInt(bit)) & 1n) {
+        initialized.push((words[index] * 256 + bit) * tickSpacing);
+      }
+    }
+  });
+
+  const below = initialized.filter(t => t <= tick).sort((a, b) => b - a).slice(0, MAX_NEARBY_TICKS);
+  const above = initialized.filter(t => t > tick).sort((a, b) => a - b).slice(0, MAX_NEARBY_TICKS);
+
+  return Promise.all([...below.reverse(), ...above].map(async tickIndex => {
+    const info = await pool.ticks(tickIndex, { blockTag });
+    return {
+      tick: tickIndex,
+      liquidityGross: info.liquidityGross.toString(),
+      liquidityNet: info.liquidityNet.toString()
+    };
+  }));
+}
+
+// slot0, in-range liquidity and token balances of one pool
+export async function getPoolState(chain, poolAddress, { blockTag = 'latest', includeTicks = false } = {}) {
+  const provider = getProvider(chain);
+  const pool = new ethers.Contract(poolAddress, POOL_ABI, provider);
+
+  const [token0, token1, tickSpacing, slot0, liquidity] = await Promise.all([
+    pool.token0(),
+    pool.token1(),
+    pool.tickSpacing(),
+    pool.slot0({ blockTag }),
+    pool.liquidity({ blockTag })
+  ]);
+
+  const [decimals0, decimals1, balance0, balance1] = await Promise.all([
+    getTokenDecimalsOnChain(chain, token0),
+    getTokenDecimalsOnChain(chain, token1),
+    new ethers.Contract(token0, ERC20_METADATA_ABI, provider).balanceOf(poolAddress, { blockTag }),
+    new ethers.Contract(token1, ERC20_METADATA_ABI, provider).balanceOf(poolAddress, { blockTag })
+  ]);
+
+  const tick = Number(slot0.tick);
+
+  // Virtual reserves of the active range: x = L / √P, y = L · √P
+  const activeReserve0 = slot0.sqrtPriceX96 > 0n ? liquidity * Q96 / slot0.sqrtPriceX96 : 0n;
+  const activeReserve1 = liquidity * slot0.sqrtPriceX96 / Q96;
+
+  return {
+    address: poolAddress,
+    token0,
+    token1,
+    decimals0,
+    decimals1,
+    tickSpacing: Number(tickSpacing),
+    sqrtPriceX96: slot0.sqrtPriceX96.toString(),
+    tick,
+    unlocked: slot0.unlocked,
+    liquidity: liquidity.toString(),
+    price: sqrtPriceX96ToPrice(slot0.sqrtPriceX96, decimals0, decimals1),
+    balances: {
+      token0: parseFloat(ethers.formatUnits(balance0, decimals0)),
+      token1: parseFloat(ethers.formatUnits(balance1, decimals1))
+    },
+    activeReserves: {
+      token0: parseFloat(ethers.formatUnits(activeReserve0, decimals0)),
+      token1: parseFloat(ethers.formatUnits(activeReserve1, decimals1))
+    },
+    nearbyTicks: includeTicks ? await getNearbyTicks(pool, tick, Number(tickSpacing), blockTag) : undefined
+  };
+}
+
+// Swap count and volume over the last `lookbackBlocks` blocks, from Swap logs
+export async function getRecentSwapActivity(chain, poolState, lookbackBlocks, toBlock) {
+  const pool = new ethers.Contract(poolState.address, POOL_ABI, getProvider(chain));
+  const endBlock = toBlock ?? await getProvider(chain).getBlockNumber();
+  const startBlock = Math.max(0, endBlock - lookbackBlocks + 1);
+
+  let swaps = 0;
+  let volume0 = 0n;
+  let volume1 = 0n;
+
+  for (let from = startBlock; from <= endBlock; from += LOG_CHUNK_BLOCKS) {
+    const to = Math.min(from + LOG_CHUNK_BLOCKS - 1, endBlock);
+    const events = await pool.queryFilter(pool.filters.Swap(), from, to);
+
+    for (const event of events) {
+      const { amount0, amount1 } = event.args;
+      swaps++;
+      volume0 += amount0 < 0n ? -amount0 : amount0;
+      volume1 += amount1 < 0n ? -amount1 : amount1;
+    }
+  }
+
+  return {
+    fromBlock: startBlock,
+    toBlock: endBlock,
+    swaps,
+    volume: {
+      token0: parseFloat(ethers.formatUnits(volume0, poolState.decimals0)),
+      token1: parseFloat(ethers.formatUnits(volume1, poolState.decimals1))
+    }
+  };
+}
+
+// Per-fee-tier pool state and recent activity for a pair on a chain.
+// Tiers with no pool are reported with exists: false rather than skipped.
+export async function getUniswapPoolLiquidity(chain, tokenAAddress, tokenBAddress, { includeTicks = false, lookbackBlocks } = {}) {
+  const blockTime = CHAIN_CONFIG[chain]?.blockTimeSeconds || 12;
+  const lookback = lookbackBlocks ?? Math.round(86400 / blockTime); // ~24h
+  const blockNumber = await getProvider(chain).getBlockNumber();
+
+  const tiers = await Promise.all(FEE_TIERS.map(async fee => {
+    const tier = { fee, feeTier: feeTierLabel(fee) };
+
+    try {
+      const address = await getPoolAddress(chain, tokenAAddress, tokenBAddress, fee);
+      if (!address) {
+        return { ...tier, exists: false };
+      }
+
+      const state = await getPoolState(chain, address, { blockTag: blockNumber, includeTicks });
+
+      let activity;
+      try {
+        activity = await getRecentSwapActivity(chain, state, lookback, blockNumber);
+      } catch (error) {
+        activity = { error: error.shortMessage || error.message };
+      }
+
+      return { ...tier, exists: true, ...state, activity };
+    } catch (error) {
+      return { ...tier, exists: null, error: error.shortMessage || error.message };
+    }
+  }));
+
+  return { chain, blockNumber, lookbackBlocks: lookback, tiers };
+}
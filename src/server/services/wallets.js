@@ -2,6 +2,7 @@ import { ethers } from 'ethers';
 import { Ed25519Keypair } from '@mysten/sui.js/keypairs/ed25519';
 import { SuiClient } from '@mysten/sui.js/client';
 import { CHAIN_CONFIG } from '../config/chains.js';
+import { getFeeSuggestion, formatFeeSuggestion } from './fee-strategy.js';
 
 // Global wallet instances
 export let ethWallet, celoWallet, suiWallet, suiClient;
@@ -290,18 +291,17 @@ export async function getGasPrices() {
   try {
     const gasPrices = {};
 
-    // Ethereum gas prices
-    if (ethWallet) {
+    // Ethereum and Celo: the fees the fee strategy would send with right now
+    for (const [chain, wallet] of [['ethereum', ethWallet], ['celo', celoWallet]]) {
+      if (!wallet) continue;
       try {
-        const feeData = await ethWallet.provider.getFeeData();
-        gasPrices.ethereum = {
-          gasPrice: feeData.gasPrice ? ethers.formatUnits(feeData.gasPrice, 'gwei') + ' gwei' : 'Unknown',
-          maxFeePerGas: feeData.maxFeePerGas ? ethers.formatUnits(feeData.maxFeePerGas, 'gwei') + ' gwei' : null,
-          maxPriorityFeePerGas: feeData.maxPriorityFeePerGas ? ethers.formatUnits(feeData.maxPriorityFeePerGas, 'gwei') + ' gwei' : null,
-          type: feeData.maxFeePerGas ? 'EIP-1559' : 'Legacy'
+        const suggestion = formatFeeSuggestion(await getFeeSuggestion(chain));
+        gasPrices[chain] = {
+          ...suggestion,
+          type: suggestion.type === 'eip1559' ? 'EIP-1559' : 'Legacy'
         };
       } catch (error) {
-        gasPrices.ethereum = { error: error.message };
+        gasPrices[chain] = { error: error.message };
       }
     }
 
@@ -487,6 +487,8 @@ export function getWalletInstance(chain) {
   switch (chain) {
     case 'ethereum':
       return ethWallet;
+    case 'celo':
+      return celoWallet;
     case 'sui':
       return suiWallet;
     default:
@@ -0,0 +1,32 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { CHAIN_CONFIG, PERMIT2_ADDRESS } from '../config/chains.js';
+import { getKnownSpenders } from '../services/allowances.js';
+
+// Spender lists behind the allowance audit and revoke routes
+
+describe('getKnownSpenders', () => {
+  const configuredPool = CHAIN_CONFIG.celo.curve.cUSDcEURcREAL;
+  afterEach(() => {
+    CHAIN_CONFIG.celo.curve.cUSDcEURcREAL = configuredPool;
+  });
+
+  it('leaves out a Curve pool without an address', () => {
+    CHAIN_CONFIG.celo.curve.cUSDcEURcREAL = null;
+    const names = getKnownSpenders('celo').map(spender => spender.name);
+
+    assert.ok(!names.includes('curve_cUSDcEURcREAL'));
+    assert.ok(names.includes('curve_tricrypto'));
+    assert.ok(names.includes('permit2'));
+  });
+
+  it('lists a configured Curve pool with a checksummed address', () => {
+    const address = '0x' + 'ab'.repeat(20);
+    CHAIN_CONFIG.celo.curve.cUSDcEURcREAL = address;
+    const pool = getKnownSpenders('celo').find(spender => spender.name === 'curve_cUSDcEURcREAL');
+
+    assert.equal(pool.address, ethers.getAddress(address));
+    assert.equal(getKnownSpenders('celo').find(spender => spender.name === 'permit2').address, PERMIT2_ADDRESS);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { createFixturePriceSource, setPriceSource } from '../services/price-sources.js';
+import { scanCeloArbitrageOpportunities } from '../services/celo-dex.js';
+
+// Celo scan over test/fixtures/celo-prices.json: cUSD-USDC is 1% apart
+// between Ubeswap and Uniswap V3, cUSD-cEUR is flat, other pairs are unpriced
+
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/celo-prices.json', import.meta.url), 'utf8'));
+
+describe('scanCeloArbitrageOpportunities', () => {
+  before(() => setPriceSource(createFixturePriceSource(fixture)));
+  after(() => setPriceSource(null));
+
+  it('finds the spread and sizes the round trip', async () => {
+    const scan = await scanCeloArbitrageOpportunities(0.1, 100, { gasCostUSD: 0.05, startTokenPriceUSD: 1 });
+
+    assert.equal(scan.priceSource, 'fixture');
+    assert.equal(scan.totalFound, 1);
+
+    const [opportunity] = scan.opportunities;
+    assert.equal(opportunity.pair, 'cUSD-USDC');
+    assert.equal(opportunity.sellDEX, 'ubeswap');
+    assert.equal(opportunity.recommendedDEX, 'uniswap_v3');
+    assert.equal(opportunity.direction, 'ubeswap_to_uniswap_v3');
+    assert.equal(opportunity.curvePrice, null);
+    assert.equal(opportunity.blockNumber, 24000000);
+    assert.equal(opportunity.recommendedAmount, 50);
+    assert.ok(opportunity.expectedNetProfit > 0);
+    assert.equal(opportunity.sizing.gasCostUSD, 0.05);
+  });
+
+  it('skips pairs below the minimum spread', async () => {
+    const scan = await scanCeloArbitrageOpportunities(5, 100, { gasCostUSD: 0.05, startTokenPriceUSD: 1 });
+
+    assert.equal(scan.totalFound, 0);
+    assert.equal(scan.bestSpread, 0);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { createHash, randomBytes } from 'crypto';
+import { ethers } from 'ethers';
+import ganache from 'ganache';
+import solc from 'solc';
+import { deployHtlc, createHtlcClient } from '../services/htlc.js';
+
+// HashedTimelockERC20 deployed with deployHtlc on an in-process node
+
+function compileTestToken() {
+  const output = JSON.parse(solc.compile(JSON.stringify({
+    language: 'Solidity',
+    sources: { 'TestToken.sol': { content: readFileSync(new URL('./fixtures/TestToken.sol', import.meta.url), 'utf8') } },
+    settings: { evmVersion: 'paris', outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } } }
+  })));
+  const contract = output.contracts['TestToken.sol'].TestToken;
+  return { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+}
+
+function newSecret() {
+  const preimage = randomBytes(32);
+  return {
+    preimage: `0x${preimage.toString('hex')}`,
+    hashlock: `0x${createHash('sha256').update(preimage).digest('hex')}`
+  };
+}
+
+describe('HashedTimelockERC20', () => {
+  let node, provider, sender, recipient, token, htlcAddress, senderClient, recipientClient;
+
+  const latestTimestamp = async () => (await provider.getBlock('latest')).timestamp;
+
+  const advanceTime = async seconds => {
+    await provider.send('evm_increaseTime', [seconds]);
+    await provider.send('evm_mine', []);
+  };
+
+  const lock = async ({ amount = 1000n, hashlock, timelockIn = 600 }) => senderClient.lock({
+    recipient: recipient.address,
+    token: await token.getAddress(),
+    amount,
+    hashlock,
+    timelock: (await latestTimestamp()) + timelockIn
+  });
+
+  before(async () => {
+    node = ganache.provider({ logging: { quiet: true }, chain: { hardfork: 'merge' } });
+    provider = new ethers.BrowserProvider(node, undefined, { cacheTimeout: -1 }); // Blocks are mined between reads
+    provider.pollingInterval = 50;
+    sender = await provider.getSigner(0);
+    recipient = await provider.getSigner(1);
+
+    const { abi, bytecode } = compileTestToken();
+    token = await (await new ethers.ContractFactory(abi, bytecode, sender).deploy(10n ** 24n)).waitForDeployment();
+
+    ({ address: htlcAddress } = await deployHtlc(sender));
+    senderClient = createHtlcClient({ address: htlcAddress, signer: sender });
+    recipientClient = createHtlcClient({ address: htlcAddress, signer: recipient });
+  });
+
+  after(async () => {
+    await node.disconnect();
+  });
+
+  it('deploys the contract', async () => {
+    assert.notEqual(await provider.getCode(htlcAddress), '0x');
+  });
+
+  it('escrows the locked amount', async () => {
+    const { hashlock } = newSecret();
+    const { lockId } = await lock({ amount: 1234n, hashlock });
+    const stored = await senderClient.getLock(lockId);
+
+    assert.equal(stored.status, 'LOCKED');
+    assert.equal(stored.amount, '1234');
+    assert.equal(stored.hashlock, hashlock);
+    assert.equal(stored.recipient, recipient.address);
+    assert.equal(await token.balanceOf(htlcAddress), 1234n);
+  });
+
+  it('lets the recipient claim with the preimage', async () => {
+    const { preimage, hashlock } = newSecret();
+    const { lockId } = await lock({ amount: 500n, hashlock });
+    const before = await token.balanceOf(recipient.address);
+
+    await recipientClient.claim(lockId, preimage);
+    const stored = await senderClient.getLock(lockId);
+
+    assert.equal(stored.status, 'CLAIMED');
+    assert.equal(stored.preimage, preimage);
+    assert.equal(await token.balanceOf(recipient.address), before + 500n);
+  });
+
+  it('rejects a wrong preimage', async () => {
+    const { hashlock } = newSecret();
+    const { lockId } = await lock({ hashlock });
+
+    await assert.rejects(recipientClient.claim(lockId, newSecret().preimage), /WrongPreimage/);
+    assert.equal((await senderClient.getLock(lockId)).status, 'LOCKED');
+  });
+
+  it('rejects a refund before the timelock', async () => {
+    const { hashlock } = newSecret();
+    const { lockId } = await lock({ hashlock });
+
+    await assert.rejects(senderClient.refund(lockId), /NotExpired/);
+    assert.equal((await senderClient.getLock(lockId)).status, 'LOCKED');
+  });
+
+  it('refunds the sender after the timelock and refuses a late claim', async () => {
+    const { preimage, hashlock } = newSecret();
+    const { lockId } = await lock({ amount: 700n, hashlock, timelockIn: 60 });
+    await advanceTime(120);
+
+    assert.equal((await senderClient.getLock(lockId)).status, 'EXPIRED');
+    await assert.rejects(recipientClient.claim(lockId, preimage), /Expired/);
+
+    const before = await token.balanceOf(sender.address);
+    await senderClient.refund(lockId);
+
+    assert.equal((await senderClient.getLock(lockId)).status, 'REFUNDED');
+    assert.equal(await token.balanceOf(sender.address), before + 700n);
+  });
+});
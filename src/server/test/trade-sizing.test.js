@@ -0,0 +1,90 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { createFixturePriceSource, setPriceSource } from '../services/price-sources.js';
+import { buildProfitCurve, buildSizeLadder, buildTwoVenueRoute } from '../services/trade-sizing.js';
+
+// Profit curves priced from test/fixtures/celo-prices.json
+
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/celo-prices.json', import.meta.url), 'utf8'));
+
+// Sell cUSD on Ubeswap (1.01 USDC), buy it back on Uniswap V3 (1.00)
+const route = buildTwoVenueRoute('cUSD', 'USDC', { chain: 'celo', venue: 'ubeswap' }, { chain: 'celo', venue: 'uniswap_v3' });
+
+describe('fixture price source', () => {
+  const source = createFixturePriceSource(fixture);
+
+  it('applies depth to the derived reverse pair', async () => {
+    const quote = await source.quote({ chain: 'celo', venue: 'uniswap_v3', tokenIn: 'USDC', tokenOut: 'cUSD', amountIn: 1000 });
+    assert.ok(Math.abs(quote.amountOut - 1000 * 20000 / 21000) < 1e-9);
+  });
+
+  it('restates depth in the reverse token', async () => {
+    const quote = await source.quote({ chain: 'celo', venue: 'ubeswap', tokenIn: 'USDC', tokenOut: 'cUSD', amountIn: 1010 });
+    const depth = 20000 * 1.01;
+    assert.ok(Math.abs(quote.amountOut - (1010 / 1.01) * depth / (depth + 1010)) < 1e-9);
+  });
+
+  it('passes fixture errors through', async () => {
+    await assert.rejects(
+      source.quote({ chain: 'celo', venue: 'curve', tokenIn: 'USDC', tokenOut: 'cUSD', amountIn: 10 }),
+      /zero output/
+    );
+  });
+});
+
+describe('buildProfitCurve', () => {
+  before(() => setPriceSource(createFixturePriceSource(fixture)));
+  after(() => setPriceSource(null));
+
+  it('quotes every ladder size through both legs', async () => {
+    const sizing = await buildProfitCurve(route, { gasCostUSD: 0.05, startTokenPriceUSD: 1 });
+
+    assert.deepEqual(sizing.curve.map(point => point.size), buildSizeLadder());
+    assert.deepEqual(sizing.errors, []);
+    for (const point of sizing.curve) {
+      assert.equal(point.legs.length, 2);
+      assert.equal(point.legs[1].amountIn, point.legs[0].amountOut);
+      assert.ok(Math.abs(point.netProfit - (point.finalAmount - point.size - 0.05)) < 1e-9);
+    }
+  });
+
+  it('recommends the size where price impact overtakes the spread', async () => {
+    const sizing = await buildProfitCurve(route, { gasCostUSD: 0.05, startTokenPriceUSD: 1 });
+
+    assert.equal(sizing.profitable, true);
+    assert.equal(sizing.recommended, 50);
+    assert.match(sizing.reasoning, /peaks at 50/);
+    const largest = sizing.curve[sizing.curve.length - 1];
+    assert.ok(largest.marginalProfit < 0);
+  });
+
+  it('is unprofitable when gas exceeds the best gross profit', async () => {
+    const sizing = await buildProfitCurve(route, { gasCostUSD: 5, startTokenPriceUSD: 1 });
+
+    assert.equal(sizing.profitable, false);
+    assert.equal(sizing.recommended, 0);
+    assert.match(sizing.reasoning, /No quoted size covers/);
+  });
+
+  it('charges gas in start-token units', async () => {
+    // cEUR-like start token worth $1.25: $0.05 of gas is 0.04 tokens
+    const sizing = await buildProfitCurve(route, { sizes: [50], gasCostUSD: 0.05, startTokenPriceUSD: 1.25 });
+
+    assert.equal(sizing.startToken, 'cUSD');
+    assert.ok(Math.abs(sizing.gasCost - 0.04) < 1e-12);
+    const [point] = sizing.curve;
+    assert.ok(Math.abs(point.netProfit - (point.grossProfit - 0.04)) < 1e-9);
+  });
+
+  it('reports sizes that could not be quoted', async () => {
+    const sizing = await buildProfitCurve(
+      buildTwoVenueRoute('cUSD', 'USDC', { chain: 'celo', venue: 'curve' }, { chain: 'celo', venue: 'uniswap_v3' }),
+      { sizes: [10, 20], gasCostUSD: 0.05, startTokenPriceUSD: 1 }
+    );
+
+    assert.equal(sizing.curve.length, 0);
+    assert.equal(sizing.errors.length, 2);
+    assert.equal(sizing.reasoning, 'No size could be quoted on every leg');
+  });
+});